@@ -0,0 +1,69 @@
+const path = require('path');
+
+const { isPlainObject } = require('./utils');
+
+// Every change a run will make, collected before anything touches the disk. In the root of a monorepo, the
+// dependencies without a workspace package are added to the root.
+function createChangePlan({ workspaceRoot = false } = {}) {
+  return {
+    workspaceRoot,
+    addedDependencies: [],
+    // Workspace directory -> { workspace, dependencies } for packages installed into a monorepo package
+    workspaceDependencies: new Map(),
+    removedDependencies: [],
+    files: new Map(),
+    removedFiles: [],
+    // Directory of the package.json ('.' for the root) -> keys to update
+    packageJsonUpdates: new Map(),
+    commands: [],
+    // Commands that make Git commits: they run once the changes are committed, as a rollback cannot take a commit back
+    finalCommands: [],
+    // Filled in when the plan is applied: { spec, workspace } of the dependencies that could not be installed
+    failedDependencies: [],
+    // Files the commands write, so they are backed up and undone like the rest of the run
+    commandFiles: [],
+    hooks: [],
+    addDependencies(dependencies, workspace = null) {
+      if (workspace) {
+        const current = this.workspaceDependencies.get(workspace.directory);
+        const merged = [...new Set([...(current ? current.dependencies : []), ...dependencies])];
+        this.workspaceDependencies.set(workspace.directory, { workspace, dependencies: merged });
+        return;
+      }
+      this.addedDependencies = [...new Set([...this.addedDependencies, ...dependencies])];
+    },
+    removeDependencies(dependencies) {
+      this.removedDependencies = [...new Set([...this.removedDependencies, ...dependencies])];
+    },
+    writeFile(filePath, content) {
+      this.files.set(filePath, content);
+      this.removedFiles = this.removedFiles.filter(removed => removed !== filePath);
+    },
+    removeFile(filePath) {
+      this.files.delete(filePath);
+      if (!this.removedFiles.includes(filePath)) this.removedFiles.push(filePath);
+    },
+    writeJsonFile(filePath, content) {
+      this.writeFile(filePath, JSON.stringify(content, null, 2) + '\n');
+    },
+    // Object values (scripts, lint-staged) are merged key by key into the existing package.json entries
+    updatePackageJson(updates, directory = '.') {
+      const pending = this.packageJsonUpdates.get(directory) || {};
+      for (const [key, value] of Object.entries(updates)) {
+        const current = pending[key];
+        pending[key] = isPlainObject(value) && isPlainObject(current) ? { ...current, ...value } : value;
+      }
+      this.packageJsonUpdates.set(directory, pending);
+    },
+    runCommand(command, { writes = [], final = false } = {}) {
+      if (!this.commands.includes(command)) this.commands.push(command);
+      if (final && !this.finalCommands.includes(command)) this.finalCommands.push(command);
+      this.commandFiles = [...new Set([...this.commandFiles, ...writes])];
+    },
+    installHook(name, content) {
+      this.hooks.push({ name, path: path.join('.husky', name), content });
+    },
+  };
+}
+
+module.exports = { createChangePlan };
@@ -0,0 +1,204 @@
+const semver = require('semver');
+const YAML = require('yaml');
+
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { packageManager } = require('./packageManager');
+
+// CI pipelines that run the lint, format and type checks on pull requests
+const ciSetup = {
+  FILES: {
+    github: '.github/workflows/lint.yml',
+    gitlab: '.gitlab-ci.yml',
+  },
+  JOB_NAME: 'lint',
+  // Keeps flow sequences like `on: [push]` as they were written, and long commands on one line
+  YAML_OPTIONS: { flowCollectionPadding: false, lineWidth: 0 },
+  // package.json scripts the pipeline runs, in this order, when the project has them
+  SCRIPTS: ['lint', 'lint:css', 'format:check', 'check', 'typecheck'],
+  // GitLab only caches paths inside the project, so each package manager's cache is moved there
+  gitlabCache: {
+    npm: { paths: ['.npm/'], installFlags: ['--cache', '.npm', '--prefer-offline'] },
+    pnpm: { setup: ['corepack enable', 'pnpm config set store-dir .pnpm-store'], paths: ['.pnpm-store/'] },
+    yarn: { paths: ['.yarn-cache/'], installFlags: ['--cache-folder', '.yarn-cache'] },
+    yarnBerry: { setup: ['corepack enable'], variables: { YARN_CACHE_FOLDER: '.yarn-cache' }, paths: ['.yarn-cache/'] },
+    bun: { variables: { BUN_INSTALL_CACHE_DIR: '.bun-cache' }, paths: ['.bun-cache/'] },
+  },
+
+  async detectProvider() {
+    try {
+      await io.fs.access(io.resolve('.github'));
+      return { value: 'github', reason: '.github exists' };
+    } catch (error) {
+      // Not on GitHub, continue checking
+    }
+    if ((await fileSystem.readFileIfExists(this.FILES.gitlab)) !== null) {
+      return { value: 'gitlab', reason: `${this.FILES.gitlab} exists` };
+    }
+    return { value: 'none', reason: 'no CI configuration was found' };
+  },
+  // From .nvmrc, else the lowest version allowed by engines.node, else the current LTS release
+  async readNodeVersion(packageJson) {
+    const nvmrc = await fileSystem.readFileIfExists('.nvmrc');
+    if (nvmrc !== null && nvmrc.trim() !== '') {
+      return { file: '.nvmrc', version: nvmrc.trim().replace(/^v/, '') };
+    }
+    const range = packageJson.engines && packageJson.engines.node;
+    const minVersion = range && semver.validRange(range) ? semver.minVersion(range) : null;
+    if (minVersion) return { file: null, version: String(minVersion.major) };
+    return { file: null, version: null };
+  },
+  // The branch pull requests are merged into, as git knows it from the remote
+  async readDefaultBranch() {
+    const head = await fileSystem.readFileIfExists('.git/refs/remotes/origin/HEAD');
+    const match = head && head.match(/^ref: refs\/remotes\/origin\/(.+)$/m);
+    return match ? match[1].trim() : 'main';
+  },
+  // The lockfile that is there, or else the one the package manager writes when the plan installs dependencies
+  async findLockfile(plan) {
+    const lockfile = await fileSystem.findFirstFile(packageManager.lockfiles);
+    if (lockfile) return lockfile;
+    return plan.addedDependencies.length > 0 || plan.workspaceDependencies.size > 0 ? packageManager.lockfiles[0] : null;
+  },
+  // Command lines of the checks. With a lint baseline, only the errors beyond it fail the pipeline. In a monorepo,
+  // the type checks run in the workspace packages, which have the typecheck scripts.
+  getCommands(scripts, typeCheckCommands = []) {
+    const commands = this.SCRIPTS
+      .map(script => (script === 'lint' && scripts['lint:baseline'] ? 'lint:baseline' : script))
+      .filter(script => scripts[script])
+      .map(script => packageManager.runScriptCommand(script));
+    return [...new Set([...commands, ...typeCheckCommands])];
+  },
+  createGithubJob({ nodeVersion, lockfile, commands, packageJson }) {
+    const { name } = packageManager;
+    const setupNode = nodeVersion.file
+      ? { 'node-version-file': nodeVersion.file }
+      : { 'node-version': nodeVersion.version || 'lts/*' };
+    // setup-node caches npm, pnpm and Yarn downloads, keyed on the lockfile
+    if (lockfile && name !== 'bun') setupNode.cache = name;
+
+    return {
+      'runs-on': 'ubuntu-latest',
+      steps: [
+        { uses: 'actions/checkout@v4' },
+        // pnpm has to be installed before setup-node looks for its cache; without "packageManager" it needs a version
+        ...(name === 'pnpm' ? [{ uses: 'pnpm/action-setup@v4', ...(packageJson.packageManager ? {} : { with: { version: 9 } }) }] : []),
+        ...(name === 'yarn' && packageManager.yarnBerry ? [{ run: 'corepack enable' }] : []),
+        { uses: 'actions/setup-node@v4', with: setupNode },
+        ...(name === 'bun'
+          ? [
+            { uses: 'oven-sh/setup-bun@v2' },
+            {
+              uses: 'actions/cache@v4',
+              with: { path: '~/.bun/install/cache', key: `\${{ runner.os }}-bun-\${{ hashFiles('${lockfile || 'package.json'}') }}` },
+            },
+          ]
+          : []),
+        { run: packageManager.ciInstallCommand(Boolean(lockfile)) },
+        ...commands.map(command => ({ run: command })),
+      ],
+    };
+  },
+  createGithubWorkflow(job, defaultBranch) {
+    return {
+      name: 'Lint',
+      on: { push: { branches: [defaultBranch] }, pull_request: {} },
+      jobs: { [this.JOB_NAME]: job },
+    };
+  },
+  createGitlabJob({ nodeVersion, lockfile, commands }) {
+    const { name } = packageManager;
+    const cache = this.gitlabCache[name === 'yarn' && packageManager.yarnBerry ? 'yarnBerry' : name];
+    // Docker image tags only exist for version numbers, not for names like lts/iron
+    const nodeTag = nodeVersion.version && /^\d/.test(nodeVersion.version) ? nodeVersion.version : 'lts';
+    return {
+      image: name === 'bun' ? 'oven/bun:1' : `node:${nodeTag}`,
+      stage: 'test',
+      rules: [
+        { if: '$CI_PIPELINE_SOURCE == "merge_request_event"' },
+        { if: '$CI_COMMIT_BRANCH == $CI_DEFAULT_BRANCH' },
+      ],
+      ...(cache.variables ? { variables: cache.variables } : {}),
+      cache: {
+        key: lockfile ? { files: [lockfile] } : '$CI_COMMIT_REF_SLUG',
+        paths: cache.paths,
+      },
+      before_script: [
+        ...(cache.setup || []),
+        [packageManager.ciInstallCommand(Boolean(lockfile)), ...(cache.installFlags || [])].join(' '),
+      ],
+      script: commands,
+    };
+  },
+  // Adds the job to an existing pipeline. A job of the same name keeps its settings and gets the
+  // missing commands appended to the list at `listPath`.
+  mergeJob(content, jobPath, job, listPath, commands, getCommand) {
+    const document = YAML.parseDocument(content);
+    if (document.errors.length > 0) {
+      throw new Error(`Unable to parse the existing CI configuration: ${document.errors[0].message}`);
+    }
+    if (!document.hasIn(jobPath)) {
+      const parent = jobPath.length > 1 ? document.getIn(jobPath.slice(0, -1)) : document.contents;
+      if (!YAML.isMap(parent)) {
+        document.setIn(jobPath, document.createNode(job));
+        return document.toString(this.YAML_OPTIONS);
+      }
+      // Separated from the jobs before it by a blank line
+      const pair = document.createPair(jobPath[jobPath.length - 1], job);
+      if (parent.items.length > 0) pair.key.spaceBefore = true;
+      parent.add(pair);
+      return document.toString(this.YAML_OPTIONS);
+    }
+    const existingList = document.getIn([...jobPath, ...listPath]);
+    const existingCommands = YAML.isSeq(existingList) ? existingList.toJSON().map(getCommand) : [];
+    const missing = commands.filter(item => !existingCommands.includes(getCommand(item)));
+    if (!YAML.isSeq(existingList)) {
+      document.setIn([...jobPath, ...listPath], document.createNode(missing));
+    } else {
+      missing.forEach(item => existingList.add(document.createNode(item)));
+    }
+    return document.toString(this.YAML_OPTIONS);
+  },
+  planGithubWorkflow(existingContent, job, defaultBranch) {
+    if (existingContent === null) return YAML.stringify(this.createGithubWorkflow(job, defaultBranch), this.YAML_OPTIONS);
+    // An existing job has its own checkout and setup steps, so only the checks are added to it
+    const checks = job.steps.filter(step => step.run);
+    return this.mergeJob(existingContent, ['jobs', this.JOB_NAME], job, ['steps'], checks, step => step && step.run);
+  },
+  planGitlabConfig(existingContent, job) {
+    if (existingContent === null) return YAML.stringify({ [this.JOB_NAME]: job }, this.YAML_OPTIONS);
+    let content = this.mergeJob(existingContent, [this.JOB_NAME], job, ['script'], job.script, command => command);
+    // A job in a stage the pipeline does not list is rejected by GitLab
+    const document = YAML.parseDocument(content);
+    const stages = document.get('stages');
+    if (YAML.isSeq(stages) && !stages.toJSON().includes('test')) {
+      stages.add('test');
+      content = document.toString(this.YAML_OPTIONS);
+    }
+    return content;
+  },
+  async setup(plan, provider, { packageJson, scripts, typeCheckCommands }) {
+    const file = this.FILES[provider];
+    const options = {
+      nodeVersion: await this.readNodeVersion(packageJson),
+      lockfile: await this.findLockfile(plan),
+      commands: this.getCommands(scripts, typeCheckCommands),
+      packageJson,
+    };
+    if (!options.lockfile) {
+      logger.warn(`No ${packageManager.name} lockfile was found, so the CI pipeline cannot install exact versions or cache them by lockfile.`);
+    }
+
+    const existingContent = await fileSystem.readFileIfExists(file);
+    if (existingContent !== null) {
+      logger.info(`Merging the ${this.JOB_NAME} job into the existing ${file}.`);
+    }
+    const content = provider === 'github'
+      ? this.planGithubWorkflow(existingContent, this.createGithubJob(options), await this.readDefaultBranch())
+      : this.planGitlabConfig(existingContent, this.createGitlabJob(options));
+    if (content !== existingContent) plan.writeFile(file, content);
+  },
+};
+
+module.exports = { ciSetup };
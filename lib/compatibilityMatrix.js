@@ -0,0 +1,140 @@
+const semver = require('semver');
+
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { getAllDependencies, getPackageName } = require('./utils');
+
+// Picks lint package versions that work with the installed framework, TypeScript, ESLint and Node.js versions
+const compatibilityMatrix = {
+  // Newest first; the first release line whose requirements are met is used
+  typescriptEslint: [
+    { major: 8, range: '^8.4.0', eslint: '^8.57.0 || ^9.0.0', typescript: '>=4.8.4 <6.0.0', node: '^18.18.0 || >=20.0.0', install: '^5.5.0' },
+    { major: 7, range: '^7.18.0', eslint: '^8.56.0', typescript: '>=4.7.4 <5.6.0', node: '^18.18.0 || >=20.0.0', install: '~5.5.0' },
+    { major: 6, range: '^6.21.0', eslint: '^7.0.0 || ^8.0.0', typescript: '>=4.3.5 <5.4.0', node: '^16.0.0 || >=18.0.0', install: '~5.3.0' },
+  ],
+  // Node.js versions supported by the ESLint release each config format installs
+  eslintNode: {
+    flat: '^18.18.0 || ^20.9.0 || >=21.1.0',
+    legacy: '^12.22.0 || ^14.17.0 || >=16.0.0',
+  },
+  // angular-eslint is released with the same major version as Angular; flat configs and typescript-eslint 8 came with 18
+  angularEslint: { minimumMajor: 12, flatConfigMajor: 18, typescriptEslint7Before: 18 },
+  // eslint-config-next supports ESLint 9 from Next.js 15 on
+  nextEslint9Major: 15,
+  // The version in node_modules, or else the lowest version the package.json range allows
+  async readInstalledVersion(name, packageJson, directory = '.') {
+    for (const base of [...new Set([directory, '.'])]) {
+      const content = await fileSystem.readFileIfExists(io.resolve(base, 'node_modules', name, 'package.json'));
+      if (content === null) continue;
+      try {
+        const { version } = JSON.parse(content);
+        if (semver.valid(version)) return { version, range: version };
+      } catch (error) {
+        logger.debug(`Unable to read the installed version of ${name}: ${error.message}`);
+      }
+    }
+    const range = getAllDependencies(packageJson)[name];
+    if (range && semver.validRange(range)) return { version: semver.minVersion(range).version, range };
+    return null;
+  },
+  async readVersions(packageJson, directory = '.') {
+    const packages = { angular: '@angular/core', next: 'next', svelte: 'svelte', typescript: 'typescript' };
+    const versions = {
+      node: semver.clean(process.version),
+      engines: packageJson.engines && packageJson.engines.node,
+    };
+    for (const [key, name] of Object.entries(packages)) {
+      versions[key] = await this.readInstalledVersion(name, packageJson, directory);
+    }
+    return versions;
+  },
+  // Rewrites the dependency ranges to versions that fit the project, and explains what cannot be satisfied
+  resolve(dependencies, { projectType, eslintConfigFormat, versions }) {
+    const warnings = [];
+    const replacements = new Map(); // package name -> spec, or null to leave the package out
+    const namesMatching = (pattern) => dependencies.map(dep => getPackageName(dep)).filter(name => pattern.test(name));
+
+    const eslintSpec = dependencies.find(dep => getPackageName(dep) === 'eslint');
+    const eslintVersion = semver.minVersion(eslintSpec.slice('eslint@'.length)).version;
+    const eslintMajor = semver.major(eslintVersion);
+    const eslintNode = this.eslintNode[eslintConfigFormat];
+    if (!semver.satisfies(versions.node, eslintNode)) {
+      warnings.push(`ESLint ${eslintMajor} needs Node.js ${eslintNode}, but Node.js ${versions.node} is running.`);
+    }
+    if (versions.engines && semver.validRange(versions.engines) && !semver.satisfies(semver.minVersion(versions.engines), eslintNode)) {
+      warnings.push(`package.json "engines" allows Node.js ${versions.engines}, but ESLint ${eslintMajor} needs ${eslintNode}.`);
+    }
+
+    let maxTypescriptEslintMajor = Infinity;
+    if (projectType === 'angular') {
+      const angular = versions.angular;
+      const { minimumMajor, flatConfigMajor, typescriptEslint7Before } = this.angularEslint;
+      const major = angular && semver.major(angular.version);
+      if (!angular) {
+        warnings.push('Could not find the installed @angular/core version, so angular-eslint is installed at its default range.');
+      } else if (major < minimumMajor) {
+        warnings.push(`angular-eslint does not support Angular ${major}; Angular ${minimumMajor} is the oldest supported version.`);
+      } else if (eslintConfigFormat === 'flat' && major < flatConfigMajor) {
+        warnings.push(`angular-eslint only provides flat configs from Angular ${flatConfigMajor} on. Use --eslint-config legacy for Angular ${major}.`);
+      } else {
+        namesMatching(/^(@angular-eslint\/.+|angular-eslint)$/).forEach(name => replacements.set(name, `${name}@^${major}.0.0`));
+        if (major < typescriptEslint7Before) maxTypescriptEslintMajor = 7;
+      }
+    }
+
+    const typescriptEslintNames = namesMatching(/^(@typescript-eslint\/.+|typescript-eslint)$/);
+    if (typescriptEslintNames.length > 0) {
+      const typescript = versions.typescript && versions.typescript.version;
+      const candidates = this.typescriptEslint.filter(entry => semver.satisfies(eslintVersion, entry.eslint));
+      const allowed = candidates.filter(entry => entry.major <= maxTypescriptEslintMajor);
+      const supportsTypeScript = (entry) => !typescript || semver.satisfies(typescript, entry.typescript);
+      const supportsNode = (entry) => semver.satisfies(versions.node, entry.node);
+      const chosen = allowed.find(entry => supportsTypeScript(entry) && supportsNode(entry)) || allowed[0] || candidates[0];
+      if (chosen.major > maxTypescriptEslintMajor) {
+        warnings.push(`angular-eslint for Angular ${semver.major(versions.angular.version)} needs typescript-eslint ${maxTypescriptEslintMajor} or older, which does not support ESLint ${eslintMajor}.`);
+      }
+      if (!supportsTypeScript(chosen)) {
+        warnings.push(`typescript-eslint ${chosen.major} supports TypeScript ${chosen.typescript}, but TypeScript ${typescript} is installed.`);
+      }
+      if (!supportsNode(chosen)) {
+        warnings.push(`typescript-eslint ${chosen.major} needs Node.js ${chosen.node}, but Node.js ${versions.node} is running.`);
+      }
+      typescriptEslintNames.forEach(name => replacements.set(name, `${name}@${chosen.range}`));
+      // The project's own TypeScript is kept; otherwise a version typescript-eslint supports is installed
+      replacements.set('typescript', typescript ? null : `typescript@${chosen.install}`);
+    }
+
+    if (projectType === 'nextjs') {
+      const next = versions.next;
+      if (!next) {
+        warnings.push('Could not find the installed next version, so the latest eslint-config-next is installed.');
+      } else {
+        // The caret range of the version, rather than a range from package.json such as "^14 || ^15"
+        replacements.set('eslint-config-next', `eslint-config-next@^${next.version}`);
+        const nextMajor = semver.major(next.version);
+        if (eslintMajor >= 9 && nextMajor < this.nextEslint9Major) {
+          warnings.push(
+            `eslint-config-next ${nextMajor} only supports ESLint 8, but flat configs are set up with ESLint 9. ` +
+            `Use --eslint-config legacy, or upgrade to Next.js ${this.nextEslint9Major}.`
+          );
+        }
+      }
+    }
+
+    // svelte-check 4 dropped Svelte 3
+    if (projectType === 'svelte' && versions.svelte && semver.major(versions.svelte.version) < 4) {
+      replacements.set('svelte-check', 'svelte-check@^3.8.0');
+    }
+
+    const resolved = dependencies
+      .map(dep => {
+        const name = getPackageName(dep);
+        return replacements.has(name) ? replacements.get(name) : dep;
+      })
+      .filter(dep => dep !== null);
+    return { dependencies: resolved, warnings };
+  },
+};
+
+module.exports = { compatibilityMatrix };
@@ -0,0 +1,41 @@
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { strictness } = require('./strictness');
+
+// Configuration
+const config = {
+  MINIMUM_NODE_VERSION: '14.0.0',
+  // Every registered project type, including the ones added by plugins
+  get PROJECT_TYPES() {
+    return projectTypeRegistry.names();
+  },
+  RC_FILE: '.codepolishrc.json',
+  STATE_DIR: '.code-polish-pro',
+  COMMANDS: ['undo', 'doctor', 'baseline'],
+  PACKAGE_JSON_KEY: 'codePolishPro',
+  // Answers that can be given as CLI flags, in .codepolishrc.json or under the codePolishPro key of package.json
+  OPTIONS: [
+    { key: 'projectType', name: 'type', type: 'string' },
+    { key: 'useTypeScript', name: 'typescript', type: 'boolean', default: false },
+    { key: 'useHusky', name: 'husky', type: 'boolean', default: false },
+    { key: 'gitHooks', name: 'hooks', type: 'list', choices: ['pre-commit', 'commit-msg', 'pre-push'], default: ['pre-commit'] },
+    { key: 'strictness', name: 'strictness', type: 'string', choices: strictness.names(), default: strictness.DEFAULT },
+    { key: 'useLintBaseline', name: 'lint-baseline', type: 'boolean', default: false },
+    { key: 'fixCommit', name: 'fix-commit', type: 'boolean', default: false },
+    { key: 'usePrettier', name: 'prettier', type: 'boolean', default: true },
+    { key: 'useStylelint', name: 'stylelint', type: 'boolean', default: false },
+    { key: 'ciProvider', name: 'ci', type: 'string', choices: ['github', 'gitlab', 'none'], default: 'none' },
+    { key: 'useVscode', name: 'vscode', type: 'boolean', default: false },
+    { key: 'eslintConfigFormat', name: 'eslint-config', type: 'string', choices: ['flat', 'legacy'] },
+    { key: 'overwriteEslintConfig', name: 'overwrite', type: 'boolean', default: false },
+    { key: 'createEditorConfig', name: 'editorconfig', type: 'boolean', default: true },
+    { key: 'useWorkspaces', name: 'workspaces', type: 'boolean', default: true },
+    // Never asked for; recorded in package.json with the version that was used
+    { key: 'preset', name: 'preset', type: 'string' },
+    // Never asked for; packages or files registering more project types
+    { key: 'plugins', name: 'plugins', type: 'list' },
+    // Deprecated and never asked for: --strict stands for --strictness strict, --no-strict for the default level
+    { key: 'useStrict', name: 'strict', type: 'boolean' },
+  ],
+};
+
+module.exports = { config };
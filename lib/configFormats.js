@@ -0,0 +1,86 @@
+const { pathToFileURL } = require('url');
+const JSON5 = require('json5');
+const YAML = require('yaml');
+
+const { io } = require('./io');
+
+// Reading and writing config files in JSON, JSON5, YAML and JavaScript module formats
+const configFormats = {
+  // JSON as ESLint and Prettier accept it: comments and trailing commas are allowed
+  parseJson(content) {
+    let result = '';
+    let inString = false;
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (inString) {
+        result += char;
+        if (char === '\\') result += content[++i] || '';
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+        result += char;
+      } else if (char === '/' && content[i + 1] === '/') {
+        while (i < content.length && content[i] !== '\n') i++;
+        result += '\n';
+      } else if (char === '/' && content[i + 1] === '*') {
+        i = content.indexOf('*/', i + 2);
+        if (i === -1) break;
+        i++;
+      } else {
+        result += char;
+      }
+    }
+    return JSON.parse(result.replace(/,(\s*[}\]])/g, '$1'));
+  },
+  // Extensionless rc files may hold either JSON or YAML
+  parseJsonOrYaml(content) {
+    try {
+      return { format: 'json', config: this.parseJson(content) };
+    } catch (error) {
+      return { format: 'yaml', config: YAML.parse(content) };
+    }
+  },
+  isEsmFile(filePath, packageJson) {
+    return filePath.endsWith('.mjs') || (filePath.endsWith('.js') && packageJson.type === 'module');
+  },
+  async loadModule(filePath, packageJson) {
+    const absolutePath = io.resolve(filePath);
+    if (!this.isEsmFile(filePath, packageJson)) {
+      try {
+        delete require.cache[absolutePath];
+        return require(absolutePath);
+      } catch (error) {
+        if (error.code !== 'ERR_REQUIRE_ESM') throw error;
+      }
+    }
+    const module = await import(pathToFileURL(absolutePath).href);
+    return module.default;
+  },
+  async load(filePath, format, packageJson) {
+    if (format === 'toml') {
+      throw new Error('TOML config files cannot be read or merged');
+    }
+    if (format === 'js') {
+      return { format, config: await this.loadModule(filePath, packageJson) };
+    }
+    const content = await io.fs.readFile(io.resolve(filePath), 'utf-8');
+    if (format === 'json') return { format, config: this.parseJson(content) };
+    if (format === 'json5') return { format, config: JSON5.parse(content) };
+    if (format === 'yaml') return { format, config: YAML.parse(content) || {} };
+    return this.parseJsonOrYaml(content);
+  },
+  stringify(format, config, filePath) {
+    switch (format) {
+      case 'yaml':
+        return YAML.stringify(config);
+      // JavaScript configs are never rewritten, as that would freeze what they compute when loaded
+      case 'js':
+        throw new Error(`${filePath} is JavaScript and cannot be rewritten`);
+      // JSON is valid JSON5 as well
+      default:
+        return JSON.stringify(config, null, 2) + '\n';
+    }
+  },
+};
+
+module.exports = { configFormats };
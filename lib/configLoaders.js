@@ -0,0 +1,87 @@
+const { configFormats } = require('./configFormats');
+const { fileSystem } = require('./fileSystem');
+
+// Finds, loads, rewrites and removes a tool's config in any of its files or its package.json key
+function createConfigLoader({ toolName, packageJsonKey, sources }) {
+  return {
+    sources,
+    async findSources(packageJson) {
+      const found = [];
+      for (const source of this.sources) {
+        if (source.format === 'package-json') {
+          if (packageJson[packageJsonKey] !== undefined) found.push(source);
+        } else if (await fileSystem.readFileIfExists(source.file) !== null) {
+          found.push(source);
+        }
+      }
+      return found;
+    },
+    async load(source, packageJson) {
+      try {
+        if (source.format === 'package-json') {
+          return { ...source, config: packageJson[packageJsonKey] };
+        }
+        const { format, config } = await configFormats.load(source.file, source.format, packageJson);
+        return { ...source, format, config: config || {} };
+      } catch (error) {
+        throw new Error(`Unable to read the existing ${toolName} configuration in ${source.file}: ${error.message}`);
+      }
+    },
+    // Writes the config back to where it came from, in the format it was written in
+    write(plan, source, config) {
+      if (source.format === 'package-json') {
+        plan.updatePackageJson({ [packageJsonKey]: config });
+        return;
+      }
+      plan.writeFile(source.file, configFormats.stringify(source.format, config, source.file));
+    },
+    remove(plan, source) {
+      if (source.format === 'package-json') {
+        plan.updatePackageJson({ [packageJsonKey]: undefined });
+      } else {
+        plan.removeFile(source.file);
+      }
+    },
+    describe(source) {
+      return source.format === 'package-json' ? `the "${packageJsonKey}" key of package.json` : source.file;
+    },
+  };
+}
+
+// Legacy (.eslintrc) ESLint configs, in the order of precedence ESLint itself uses
+const eslintConfigLoader = createConfigLoader({
+  toolName: 'ESLint',
+  packageJsonKey: 'eslintConfig',
+  sources: [
+    { file: '.eslintrc.js', format: 'js' },
+    { file: '.eslintrc.cjs', format: 'js' },
+    { file: '.eslintrc.yaml', format: 'yaml' },
+    { file: '.eslintrc.yml', format: 'yaml' },
+    { file: '.eslintrc.json', format: 'json' },
+    { file: '.eslintrc', format: 'json-or-yaml' },
+    { file: 'package.json', format: 'package-json' },
+  ],
+});
+
+// Prettier configs, in the order Prettier searches for them
+const prettierConfigLoader = createConfigLoader({
+  toolName: 'Prettier',
+  packageJsonKey: 'prettier',
+  sources: [
+    { file: 'package.json', format: 'package-json' },
+    { file: '.prettierrc', format: 'json-or-yaml' },
+    { file: '.prettierrc.json', format: 'json' },
+    { file: '.prettierrc.yaml', format: 'yaml' },
+    { file: '.prettierrc.yml', format: 'yaml' },
+    { file: '.prettierrc.json5', format: 'json5' },
+    { file: '.prettierrc.js', format: 'js' },
+    { file: '.prettierrc.mjs', format: 'js' },
+    { file: '.prettierrc.cjs', format: 'js' },
+    { file: 'prettier.config.js', format: 'js' },
+    { file: 'prettier.config.mjs', format: 'js' },
+    { file: 'prettier.config.cjs', format: 'js' },
+    { file: '.prettierrc.toml', format: 'toml' },
+  ],
+});
+
+module.exports = { createConfigLoader, eslintConfigLoader, prettierConfigLoader };
@@ -0,0 +1,165 @@
+const { compatibilityMatrix } = require('./compatibilityMatrix');
+const { logger } = require('./logger');
+const { presetLoader } = require('./presetLoader');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { strictness } = require('./strictness');
+const { testFrameworks } = require('./testFrameworks');
+const { getPackageName } = require('./utils');
+
+// Dependency management
+const dependencyManager = {
+  commonDependencies: [
+    'eslint@^8.57.0',
+    'prettier@^3.2.5',
+    'eslint-config-prettier@^9.1.0',
+    'eslint-plugin-prettier@^5.1.3',
+  ],
+  // Ranges here and in the project types are the newest known-good versions; compatibilityMatrix adjusts them
+  // to the installed frameworks
+  typescriptDependencies: [
+    '@typescript-eslint/parser@^8.4.0',
+    '@typescript-eslint/eslint-plugin@^8.4.0',
+  ],
+  // ESLint 9 and typescript-eslint, used for eslint.config.js; each project type lists its flat-config plugins
+  flatConfigDependencies: {
+    common: [
+      'eslint@^9.9.0',
+      '@eslint/js@^9.9.0',
+      'globals@^15.9.0',
+      'prettier@^3.2.5',
+      'eslint-config-prettier@^9.1.0',
+      'eslint-plugin-prettier@^5.1.3',
+    ],
+    typescript: ['typescript-eslint@^8.4.0'],
+  },
+  huskyDependencies: ['husky@^9.0.11', 'lint-staged@^15.2.2'],
+  commitlintDependencies: ['@commitlint/cli@^19.5.0', '@commitlint/config-conventional@^19.5.0'],
+  stylelintDependencies: {
+    css: ['stylelint@^16.9.0', 'stylelint-config-standard@^36.0.1'],
+    scss: ['stylelint@^16.9.0', 'stylelint-config-standard-scss@^13.1.0'],
+    vue: ['stylelint-config-recommended-vue@^1.5.0', 'postcss-html@^1.7.0'],
+    svelte: ['postcss-html@^1.7.0'],
+  },
+  // Packages released in lockstep, which only work together at the same major version
+  versionedTogether: [
+    { family: '@typescript-eslint', packages: /^(@typescript-eslint\/.+|typescript-eslint)$/ },
+    { family: '@angular-eslint', packages: /^(@angular-eslint\/.+|angular-eslint)$/ },
+    { family: 'eslint', packages: /^(eslint|@eslint\/js)$/ },
+  ],
+  // Tools a workspace package runs itself; everything the root ESLint config loads is installed at the root
+  workspaceLevelPackages: ['svelte-check', 'typescript'],
+  // With the versions read by compatibilityMatrix.readVersions, ranges are matched to the installed frameworks,
+  // with the settings of a preset, its dependencies are added, and the strictness level adds its plugins
+  getProjectDependencies(
+    projectType, useTypeScript, usePrettier, eslintConfigFormat = 'legacy', versions = null, presetSettings = null,
+    level = strictness.DEFAULT
+  ) {
+    let deps = eslintConfigFormat === 'flat'
+      ? this.getFlatConfigDependencies(projectType, useTypeScript, usePrettier)
+      : this.getLegacyConfigDependencies(projectType, useTypeScript, usePrettier);
+    deps = this.addStrictnessDependencies(deps, projectType, useTypeScript, eslintConfigFormat, level);
+    if (versions) {
+      const resolved = compatibilityMatrix.resolve(deps, { projectType, eslintConfigFormat, versions });
+      resolved.warnings.forEach(warning => logger.warn(warning));
+      deps = resolved.dependencies;
+    }
+    return this.applyPreset(deps, presetSettings, eslintConfigFormat);
+  },
+  // A preset's dependencies replace the ranges of the same packages. Flat configs load the preset's
+  // eslintrc-style extends and plugins through FlatCompat, from @eslint/eslintrc.
+  applyPreset(deps, presetSettings, eslintConfigFormat = 'legacy') {
+    if (!presetSettings) return deps;
+    const presetDeps = [...(presetSettings.dependencies || [])];
+    const eslint = presetSettings.eslint || {};
+    if (eslintConfigFormat === 'flat' && Object.keys(eslint).some(key => key !== 'rules' && key !== 'settings')) {
+      presetDeps.unshift(this.findSpec('@eslint/eslintrc', 'flat'));
+    }
+    const byName = new Map([...deps, ...presetDeps].map(dep => [getPackageName(dep), dep]));
+    return [...byName.values()];
+  },
+  getLegacyConfigDependencies(projectType, useTypeScript, usePrettier) {
+    const type = projectTypeRegistry.get(projectType);
+    let deps = [...this.commonDependencies, ...type.dependencies.legacy];
+    if (type.usesTypeScriptEslint(useTypeScript, 'legacy')) {
+      deps = [...deps, ...this.typescriptDependencies];
+    }
+    if (!usePrettier) deps = deps.filter(dep => !dep.includes('prettier'));
+    return [...new Set(deps)]; // Remove any duplicates
+  },
+  // The plugins of a strictness level, and typescript-eslint for type-aware linting when the project type's config
+  // brings its own TypeScript support. Packages the project type already installs keep their range.
+  addStrictnessDependencies(deps, projectType, useTypeScript, eslintConfigFormat, level) {
+    const type = projectTypeRegistry.get(projectType);
+    const hasTypeScript = useTypeScript || type.alwaysTypeScript;
+    const added = strictness.getDependencies(level, eslintConfigFormat, hasTypeScript);
+    if (hasTypeScript && strictness.isTypeChecked(level) && !type.usesTypeScriptEslint(useTypeScript, eslintConfigFormat)) {
+      added.push(...(eslintConfigFormat === 'flat' ? this.flatConfigDependencies.typescript : this.typescriptDependencies));
+    }
+    const names = new Set(deps.map(dep => getPackageName(dep)));
+    return [...deps, ...added.filter(dep => !names.has(getPackageName(dep)))];
+  },
+  // The version range this tool installs a package at, or null when it is not one of its dependencies
+  findSpec(name, eslintConfigFormat = 'legacy') {
+    const { common, typescript } = this.flatConfigDependencies;
+    const plugins = [
+      ...projectTypeRegistry.all(),
+      ...testFrameworks.frameworks.filter(framework => framework.dependencies),
+      ...Object.values(strictness.plugins),
+    ];
+    const flat = [...common, ...typescript, ...plugins.flatMap(plugin => plugin.dependencies.flat)];
+    const legacy = [...this.commonDependencies, ...this.typescriptDependencies, ...plugins.flatMap(plugin => plugin.dependencies.legacy)];
+    const candidates = eslintConfigFormat === 'flat' ? [...flat, ...legacy] : [...legacy, ...flat];
+    const stylelint = Object.values(this.stylelintDependencies).flat();
+    const resolvers = Object.values(strictness.plugins).flatMap(plugin => plugin.typescriptDependencies || []);
+    return [...candidates, ...resolvers, ...this.huskyDependencies, ...this.commitlintDependencies, ...stylelint]
+      .find(spec => getPackageName(spec) === name) || null;
+  },
+  getFlatConfigDependencies(projectType, useTypeScript, usePrettier) {
+    const { common, typescript } = this.flatConfigDependencies;
+    const type = projectTypeRegistry.get(projectType);
+    let deps = [...common, ...type.dependencies.flat];
+    if (type.usesTypeScriptEslint(useTypeScript, 'flat')) {
+      deps = [...deps, ...typescript];
+    }
+    if (!usePrettier) deps = deps.filter(dep => !dep.includes('prettier'));
+    return [...new Set(deps)];
+  },
+  // stylelint-config-standard-scss extends stylelint-config-standard, so only one of them is installed
+  getStylelintDependencies(projectTypes, useScss) {
+    const { css, scss, ...typeSpecific } = this.stylelintDependencies;
+    const deps = [...(useScss ? scss : css), ...projectTypes.flatMap(type => typeSpecific[type] || [])];
+    return [...new Set(deps)];
+  },
+  // Splits the dependencies of every workspace package between the monorepo root and the package itself
+  getWorkspaceDependencies(workspaces, usePrettier, eslintConfigFormat, preset = null, level = strictness.DEFAULT) {
+    const root = [];
+    const perWorkspace = [];
+    for (const workspace of workspaces) {
+      const deps = this.getProjectDependencies(
+        workspace.projectType, workspace.useTypeScript, usePrettier, eslintConfigFormat, workspace.versions,
+        presetLoader.getSettings(preset, workspace.projectType), level
+      );
+      const isWorkspaceLevel = (dep) => this.workspaceLevelPackages.includes(getPackageName(dep));
+      root.push(...deps.filter(dep => !isWorkspaceLevel(dep)).map(dep => ({ dep, workspace })));
+      const workspaceDeps = deps.filter(isWorkspaceLevel);
+      if (workspaceDeps.length > 0) perWorkspace.push({ workspace, dependencies: workspaceDeps });
+    }
+    // A package can only be installed once at the root, so the first range asked for wins
+    const rootByName = new Map();
+    for (const { dep, workspace } of root) {
+      const name = getPackageName(dep);
+      const chosen = rootByName.get(name);
+      if (!chosen) {
+        rootByName.set(name, { dep, workspace });
+      } else if (chosen.dep !== dep) {
+        logger.warn(
+          `${workspace.directory} needs ${dep}, but ${chosen.dep} is installed at the root for ${chosen.workspace.directory}. ` +
+          `Both cannot be satisfied by one root ESLint config.`
+        );
+      }
+    }
+    return { root: [...rootByName.values()].map(({ dep }) => dep), workspaces: perWorkspace };
+  },
+};
+
+module.exports = { dependencyManager };
@@ -0,0 +1,68 @@
+// Line-based unified diff used to preview file changes
+const diffUtils = {
+  CONTEXT_LINES: 3,
+  splitLines(content) {
+    if (content === null || content === '') return [];
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  },
+  // Longest common subsequence table walked into a list of equal/removed/added operations
+  diffLines(oldLines, newLines) {
+    const rows = oldLines.length + 1;
+    const cols = newLines.length + 1;
+    const table = Array.from({ length: rows }, () => new Uint32Array(cols));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+        table[i][j] = oldLines[i] === newLines[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+      if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+        operations.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+      } else if (i < oldLines.length && (j === newLines.length || table[i + 1][j] >= table[i][j + 1])) {
+        operations.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+      } else {
+        operations.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+      }
+    }
+    return operations;
+  },
+  unifiedDiff(oldContent, newContent, filePath) {
+    const oldLines = this.splitLines(oldContent);
+    const newLines = this.splitLines(newContent);
+    const operations = this.diffLines(oldLines, newLines);
+    const changed = operations.map((operation, index) => (operation.type !== ' ' ? index : -1)).filter(index => index >= 0);
+    if (changed.length === 0) return '';
+
+    // Group changes whose context windows overlap into hunks
+    const hunks = [];
+    for (const index of changed) {
+      const start = Math.max(0, index - this.CONTEXT_LINES);
+      const end = Math.min(operations.length - 1, index + this.CONTEXT_LINES);
+      const last = hunks[hunks.length - 1];
+      if (last && start <= last.end + 1) last.end = end;
+      else hunks.push({ start, end });
+    }
+
+    const output = [`--- ${oldContent === null ? '/dev/null' : `a/${filePath}`}`, `+++ b/${filePath}`];
+    for (const { start, end } of hunks) {
+      const slice = operations.slice(start, end + 1);
+      const oldCount = slice.filter(operation => operation.type !== '+').length;
+      const newCount = slice.filter(operation => operation.type !== '-').length;
+      const oldStart = oldCount === 0 ? slice[0].oldIndex : slice[0].oldIndex + 1;
+      const newStart = newCount === 0 ? slice[0].newIndex : slice[0].newIndex + 1;
+      output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      output.push(...slice.map(operation => `${operation.type}${operation.line}`));
+    }
+    return output.join('\n');
+  },
+};
+
+module.exports = { diffUtils };
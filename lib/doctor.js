@@ -0,0 +1,302 @@
+const path = require('path');
+const { builtinModules } = require('module');
+const semver = require('semver');
+
+const { createChangePlan } = require('./changePlan');
+const { eslintConfigLoader, prettierConfigLoader } = require('./configLoaders');
+const { dependencyManager } = require('./dependencyManager');
+const { eslintConfigGenerator } = require('./eslintConfigGenerator');
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { packageManager } = require('./packageManager');
+const { reviewAndApplyPlan } = require('./planExecutor');
+const { getLintScripts } = require('./scripts');
+const { workspaceDetector } = require('./workspaceDetector');
+
+// Health checks for an existing setup, run by `code-polish-pro doctor`
+const doctor = {
+  // 'react' -> 'eslint-plugin-react', '@scope' -> '@scope/eslint-plugin', '@scope/x' -> '@scope/eslint-plugin-x'
+  getPluginPackage(name) {
+    if (name.startsWith('@')) {
+      const [scope, rest] = name.split('/');
+      if (!rest) return `${scope}/eslint-plugin`;
+      return rest.startsWith('eslint-plugin') ? `${scope}/${rest}` : `${scope}/eslint-plugin-${rest}`;
+    }
+    return name.startsWith('eslint-plugin-') ? name : `eslint-plugin-${name}`;
+  },
+  // 'next/core-web-vitals' -> 'eslint-config-next', 'plugin:react/recommended' -> 'eslint-plugin-react'
+  getExtendsPackage(name) {
+    if (name.startsWith('eslint:') || name.startsWith('.') || path.isAbsolute(name)) return null;
+    if (name.startsWith('plugin:')) {
+      const separator = name.lastIndexOf('/');
+      return separator === -1 ? null : this.getPluginPackage(name.slice('plugin:'.length, separator));
+    }
+    if (name.startsWith('@')) {
+      const [scope, rest] = name.split('/');
+      if (!rest) return `${scope}/eslint-config`;
+      return rest.startsWith('eslint-config') ? `${scope}/${rest}` : `${scope}/eslint-config-${rest}`;
+    }
+    const [packageName] = name.split('/');
+    return packageName.startsWith('eslint-config-') ? packageName : `eslint-config-${packageName}`;
+  },
+  // '@eslint/js' -> '@eslint/js', 'eslint-plugin-prettier/recommended' -> 'eslint-plugin-prettier'
+  getModulePackage(specifier) {
+    const segments = specifier.split('/');
+    return specifier.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+  },
+  // Packages providing the shareable configs, plugins and parsers an eslintrc config refers to
+  getLegacyConfigPackages(eslintConfig) {
+    const packages = new Set();
+    const visit = (block) => {
+      for (const name of eslintConfigGenerator.toArray(block.extends)) {
+        const packageName = this.getExtendsPackage(name);
+        if (packageName) packages.add(packageName);
+      }
+      eslintConfigGenerator.toArray(block.plugins).forEach(name => packages.add(this.getPluginPackage(name)));
+      // espree is ESLint's own parser
+      const parsers = [block.parser, block.parserOptions && block.parserOptions.parser];
+      parsers
+        .filter(parser => typeof parser === 'string' && parser !== 'espree' && !parser.startsWith('.') && !path.isAbsolute(parser))
+        .forEach(parser => packages.add(this.getModulePackage(parser)));
+      (block.overrides || []).forEach(visit);
+    };
+    visit(eslintConfig);
+    return [...packages];
+  },
+  // Packages a flat config imports, including eslintrc configs loaded through FlatCompat
+  getFlatConfigPackages(source) {
+    const specifiers = [
+      ...[...source.matchAll(/^\s*import\s+(?:[\w*{}\s,]+\s+from\s+)?['"]([^'"]+)['"]/gm)].map(match => match[1]),
+      ...[...source.matchAll(/\brequire\(\s*['"]([^'"]+)['"]\s*\)/g)].map(match => match[1]),
+    ];
+    const packages = specifiers
+      .filter(specifier => !specifier.startsWith('.') && !specifier.startsWith('node:') && !builtinModules.includes(specifier))
+      .map(specifier => this.getModulePackage(specifier));
+    for (const match of source.matchAll(/\.extends\(([^)]*)\)/g)) {
+      for (const [, name] of match[1].matchAll(/['"]([^'"]+)['"]/g)) {
+        const packageName = this.getExtendsPackage(name);
+        if (packageName) packages.push(packageName);
+      }
+    }
+    return [...new Set(packages)];
+  },
+  getInstalledDependencies(packageJson) {
+    return { ...(packageJson.dependencies || {}), ...(packageJson.devDependencies || {}) };
+  },
+  async collectContext() {
+    const packageJson = await fileSystem.readPackageJson();
+    const flatConfigs = await fileSystem.findFlatESLintConfigs();
+    const legacySources = await eslintConfigLoader.findSources(packageJson);
+    const useFlatConfig = flatConfigs.length > 0;
+    const legacyConfig = !useFlatConfig && legacySources.length > 0
+      ? await eslintConfigLoader.load(legacySources[0], packageJson)
+      : null;
+    return {
+      packageJson,
+      flatConfigs,
+      legacySources,
+      legacyConfig,
+      useFlatConfig,
+      flatSource: useFlatConfig ? await fileSystem.readFileIfExists(flatConfigs[0]) : null,
+      prettierSources: await prettierConfigLoader.findSources(packageJson),
+      hasEslintIgnore: (await fileSystem.readFileIfExists('.eslintignore')) !== null,
+      monorepo: await workspaceDetector.detect(packageJson),
+    };
+  },
+  checkMissingPackages(context) {
+    const { packageJson, useFlatConfig, legacyConfig, flatSource } = context;
+    if (!useFlatConfig && !legacyConfig) {
+      return [{ severity: 'error', message: 'No ESLint configuration was found. Run code-polish-pro to create one.' }];
+    }
+    const configName = useFlatConfig ? context.flatConfigs[0] : eslintConfigLoader.describe(legacyConfig);
+    const referenced = useFlatConfig ? this.getFlatConfigPackages(flatSource) : this.getLegacyConfigPackages(legacyConfig.config);
+    const installed = this.getInstalledDependencies(packageJson);
+    const missing = [...new Set(['eslint', ...referenced])].filter(name => !installed[name]);
+    if (missing.length === 0) return [];
+    const format = useFlatConfig ? 'flat' : 'legacy';
+    return [{
+      severity: 'error',
+      message: `${configName} needs packages that are missing from devDependencies: ${missing.join(', ')}`,
+      fix: (plan) => plan.addDependencies(missing.map(name => dependencyManager.findSpec(name, format) || name)),
+    }];
+  },
+  checkPrettierOrder(context) {
+    const { legacyConfig } = context;
+    if (!legacyConfig) return [];
+    const isMisordered = (block) => {
+      const names = eslintConfigGenerator.toArray(block.extends);
+      const firstPrettier = names.findIndex(name => eslintConfigGenerator.isPrettierExtend(name));
+      return firstPrettier !== -1 && names.slice(firstPrettier).some(name => !eslintConfigGenerator.isPrettierExtend(name));
+    };
+    const eslintConfig = legacyConfig.config;
+    if (![eslintConfig, ...(eslintConfig.overrides || [])].some(isMisordered)) return [];
+    return [{
+      severity: 'error',
+      message: `eslint-config-prettier is not last in "extends" of ${eslintConfigLoader.describe(legacyConfig)}, ` +
+        'so the configs after it turn rules that conflict with Prettier back on',
+      // A JavaScript config is reordered by hand, as writing its loaded result would freeze what it computes
+      fix: legacyConfig.format === 'js' ? undefined : (plan) => {
+        const reorder = (block) => (isMisordered(block) ? { ...block, extends: eslintConfigGenerator.mergeExtends(block.extends, []) } : block);
+        const fixed = reorder(eslintConfig);
+        if (eslintConfig.overrides) fixed.overrides = eslintConfig.overrides.map(reorder);
+        eslintConfigLoader.write(plan, legacyConfig, fixed);
+      },
+    }];
+  },
+  checkScripts(context) {
+    const { packageJson } = context;
+    const scripts = packageJson.scripts || {};
+    const issues = [];
+    if (!scripts.lint) {
+      const lintScripts = getLintScripts();
+      issues.push({
+        severity: 'error',
+        message: 'package.json has no "lint" script',
+        fix: (plan) => plan.updatePackageJson({
+          scripts: Object.fromEntries(Object.entries(lintScripts).filter(([name]) => !scripts[name])),
+        }),
+      });
+    }
+    if (!scripts.format && this.getInstalledDependencies(packageJson).prettier) {
+      issues.push({
+        severity: 'warning',
+        message: 'package.json has no "format" script although Prettier is installed',
+        fix: (plan) => plan.updatePackageJson({ scripts: { format: 'prettier --write .' } }),
+      });
+    }
+    return issues;
+  },
+  async checkHuskyHook() {
+    // Windows has no executable bit
+    if (process.platform === 'win32') return [];
+    const hookPath = path.join('.husky', 'pre-commit');
+    let stats;
+    try {
+      stats = await io.fs.stat(io.resolve(hookPath));
+    } catch (error) {
+      return [];
+    }
+    if (stats.mode & 0o111) return [];
+    const content = await io.fs.readFile(io.resolve(hookPath), 'utf-8');
+    return [{
+      severity: 'error',
+      message: `${hookPath} is not executable, so Git skips it and nothing is checked before a commit`,
+      fix: (plan) => plan.installHook('pre-commit', content),
+    }];
+  },
+  checkDuplicateConfigs(context) {
+    const { flatConfigs, legacySources, prettierSources } = context;
+    const issues = [];
+    if (context.useFlatConfig && context.hasEslintIgnore) {
+      issues.push({
+        severity: 'warning',
+        message: `Flat configs do not read .eslintignore; move its patterns into the "ignores" of ${flatConfigs[0]}`,
+      });
+    }
+    // A flat config takes precedence over every eslintrc file
+    const eslintConfigs = [
+      ...flatConfigs.map(file => ({ name: file, remove: (plan) => plan.removeFile(file) })),
+      ...legacySources.map(source => ({ name: eslintConfigLoader.describe(source), remove: (plan) => eslintConfigLoader.remove(plan, source) })),
+    ];
+    const prettierConfigs = prettierSources.map(source => ({
+      name: prettierConfigLoader.describe(source),
+      remove: (plan) => prettierConfigLoader.remove(plan, source),
+    }));
+    for (const [toolName, configs] of [['ESLint', eslintConfigs], ['Prettier', prettierConfigs]]) {
+      if (configs.length < 2) continue;
+      const [active, ...ignored] = configs;
+      issues.push({
+        severity: 'warning',
+        message: `${toolName} only reads ${active.name}, so ${ignored.map(config => config.name).join(', ')} ` +
+          `${ignored.length === 1 ? 'is' : 'are'} ignored`,
+        fix: (plan) => ignored.forEach(config => config.remove(plan)),
+      });
+    }
+    return issues;
+  },
+  // Lint packages that are versioned together, or the same package in several workspace packages, at different majors
+  checkVersionMajors(context) {
+    const { packageJson, monorepo } = context;
+    const manifests = [
+      { workspace: null, packageJson },
+      ...(monorepo ? monorepo.workspaces.map(workspace => ({ workspace, packageJson: workspace.packageJson })) : []),
+    ];
+    const groups = new Map();
+    for (const manifest of manifests) {
+      for (const [name, range] of Object.entries(this.getInstalledDependencies(manifest.packageJson))) {
+        // Tags like "latest" and protocols like "workspace:*" have no major to compare
+        if (!semver.validRange(range)) continue;
+        const family = dependencyManager.versionedTogether.find(group => group.packages.test(name));
+        if (!family && !/eslint|prettier/.test(name)) continue;
+        const key = family ? family.family : name;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ name, range, major: semver.minVersion(range).major, workspace: manifest.workspace });
+      }
+    }
+
+    const issues = [];
+    for (const [key, pins] of groups) {
+      const majors = [...new Set(pins.map(pin => pin.major))];
+      if (majors.length < 2) continue;
+      const describePin = (pin) => `${pin.name}@${pin.range}${pin.workspace ? ` (in ${pin.workspace.directory})` : ''}`;
+      const newest = pins.reduce((latest, pin) => (pin.major > latest.major ? pin : latest));
+      issues.push({
+        severity: 'error',
+        message: `${key} is pinned at different major versions: ${pins.map(describePin).join(', ')}`,
+        fix: (plan) => {
+          // Packages of one family are released with the same version numbers
+          const range = `^${semver.minVersion(newest.range).version}`;
+          pins
+            .filter(pin => pin.major !== newest.major)
+            .forEach(pin => plan.addDependencies([`${pin.name}@${pin.name === newest.name ? newest.range : range}`], pin.workspace));
+        },
+      });
+    }
+    return issues;
+  },
+  // Reports every problem, applies the fixes when asked to, and returns the number of errors left
+  async run(args) {
+    await packageManager.detect();
+    const context = await this.collectContext();
+
+    const checks = [
+      this.checkMissingPackages,
+      this.checkPrettierOrder,
+      this.checkScripts,
+      this.checkHuskyHook,
+      this.checkDuplicateConfigs,
+      this.checkVersionMajors,
+    ];
+    const issues = [];
+    for (const check of checks) {
+      issues.push(...(await check.call(this, context)));
+    }
+    if (issues.length === 0) {
+      logger.info('No problems found. Your setup looks healthy.');
+      return 0;
+    }
+
+    for (const issue of issues) {
+      const message = `${issue.message}${issue.fix && !args.fix ? ' (fixable with --fix)' : ''}`;
+      if (issue.severity === 'error') logger.error(message);
+      else logger.warn(message);
+    }
+    const errors = issues.filter(issue => issue.severity === 'error');
+    logger.info(`Found ${errors.length} error(s) and ${issues.length - errors.length} warning(s).`);
+
+    const fixable = issues.filter(issue => issue.fix);
+    if (!args.fix || fixable.length === 0) return errors.length;
+
+    const plan = createChangePlan({ workspaceRoot: Boolean(context.monorepo) });
+    fixable.forEach(issue => issue.fix(plan));
+    if (!(await reviewAndApplyPlan(plan, args))) return errors.length;
+    if (plan.failedDependencies.length > 0) {
+      logger.error(`Unable to install ${plan.failedDependencies.map(({ spec }) => spec).join(', ')}.`);
+    }
+    logger.info(`Fixed ${fixable.length} problem(s).`);
+    return errors.filter(issue => !issue.fix).length + plan.failedDependencies.length;
+  },
+};
+
+module.exports = { doctor };
@@ -0,0 +1,71 @@
+const { globToRegExp } = require('./utils');
+
+// .editorconfig parsing and generation
+const editorConfig = {
+  FILE: '.editorconfig',
+  parse(content) {
+    const sections = [];
+    let current = { glob: null, properties: {} };
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (line === '' || line.startsWith('#') || line.startsWith(';')) continue;
+      const section = line.match(/^\[(.*)\]$/);
+      if (section) {
+        current = { glob: section[1], properties: {} };
+        sections.push(current);
+        continue;
+      }
+      const separator = line.indexOf('=');
+      if (separator === -1) continue;
+      current.properties[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim().toLowerCase();
+    }
+    return sections;
+  },
+  // Section globs without a slash match files in any directory
+  globToRegExp(glob) {
+    return globToRegExp(glob, { matchBase: !glob.includes('/') });
+  },
+  // Properties that apply to JavaScript and TypeScript sources, later sections winning as in EditorConfig
+  getSourceProperties(content) {
+    const properties = {};
+    for (const section of this.parse(content)) {
+      const regExp = this.globToRegExp(section.glob);
+      if (['src/index.js', 'src/index.ts'].some(file => regExp.test(file))) {
+        Object.assign(properties, section.properties);
+      }
+    }
+    return properties;
+  },
+  toPrettierOptions(content) {
+    const properties = this.getSourceProperties(content);
+    const options = {};
+    if (properties.indent_style === 'tab' || properties.indent_style === 'space') {
+      options.useTabs = properties.indent_style === 'tab';
+    }
+    const indentSize = properties.indent_size === 'tab' ? properties.tab_width : properties.indent_size || properties.tab_width;
+    if (/^\d+$/.test(indentSize || '')) options.tabWidth = Number(indentSize);
+    if (['lf', 'crlf', 'cr'].includes(properties.end_of_line)) options.endOfLine = properties.end_of_line;
+    if (/^\d+$/.test(properties.max_line_length || '')) options.printWidth = Number(properties.max_line_length);
+    return options;
+  },
+  generate(prettierConfig) {
+    return [
+      'root = true',
+      '',
+      '[*]',
+      'charset = utf-8',
+      `indent_style = ${prettierConfig.useTabs ? 'tab' : 'space'}`,
+      `indent_size = ${prettierConfig.tabWidth || 2}`,
+      `end_of_line = ${prettierConfig.endOfLine && prettierConfig.endOfLine !== 'auto' ? prettierConfig.endOfLine : 'lf'}`,
+      'insert_final_newline = true',
+      'trim_trailing_whitespace = true',
+      `max_line_length = ${prettierConfig.printWidth || 80}`,
+      '',
+      '[*.md]',
+      'trim_trailing_whitespace = false',
+      '',
+    ].join('\n');
+  },
+};
+
+module.exports = { editorConfig };
@@ -0,0 +1,23 @@
+const semver = require('semver');
+
+const { config } = require('./config');
+const { io } = require('./io');
+
+// Environment check utilities
+const environmentChecker = {
+  async checkNodeVersion() {
+    const nodeVersion = process.version;
+    if (!semver.gte(nodeVersion, config.MINIMUM_NODE_VERSION)) {
+      throw new Error(`Node.js version ${config.MINIMUM_NODE_VERSION} or higher is required. Current version: ${nodeVersion}`);
+    }
+  },
+  async checkGitRepository() {
+    try {
+      await io.fs.access(io.resolve('.git'));
+    } catch (error) {
+      throw new Error('This directory is not a Git repository. Please initialize a Git repository before running this script.');
+    }
+  },
+};
+
+module.exports = { environmentChecker };
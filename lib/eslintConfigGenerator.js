@@ -0,0 +1,244 @@
+const path = require('path');
+
+const { logger } = require('./logger');
+const { presetLoader } = require('./presetLoader');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { strictness } = require('./strictness');
+const { testFrameworks } = require('./testFrameworks');
+const { typeScriptSetup } = require('./typeScriptSetup');
+const { isPlainObject } = require('./utils');
+const { workspaceDetector } = require('./workspaceDetector');
+
+// ESLint configuration generator
+const eslintConfigGenerator = {
+  // `level` is one of the strictness levels: relaxed, recommended, strict or pedantic
+  generateConfig(projectType, useTypeScript, level, usePrettier, packageJson, existingConfig = {}, presetSettings = null) {
+    const { rules, typescriptRules } = strictness.get(level);
+    let eslintConfig = {
+      root: true,
+      env: {
+        browser: true,
+        es2022: true,
+        node: true,
+      },
+      parserOptions: {
+        ecmaVersion: 'latest',
+        sourceType: packageJson.type === 'module' ? 'module' : 'script',
+      },
+      rules: {
+        ...rules,
+        'no-unused-vars': 'error',
+      },
+    };
+
+    // Add project-specific configurations; the root config of a monorepo has no project type
+    const type = projectType ? projectTypeRegistry.get(projectType) : null;
+    if (type) {
+      eslintConfig = type.configureEslint(eslintConfig, { useTypeScript });
+    }
+
+    if (type ? type.usesTypeScriptEslint(useTypeScript, 'legacy') : useTypeScript) {
+      eslintConfig = this.configureTypeScript(eslintConfig, typescriptRules);
+    }
+
+    const hasTypeScript = useTypeScript || Boolean(type && type.alwaysTypeScript);
+    for (const plugin of strictness.getPlugins(level)) {
+      eslintConfig = plugin.configureEslint(eslintConfig, { useTypeScript: hasTypeScript });
+    }
+    if (type && hasTypeScript && strictness.isTypeChecked(level)) {
+      eslintConfig = this.configureTypeChecking(eslintConfig, level);
+    }
+
+    // Test files get the globals and rules of the test frameworks in package.json
+    const testOverrides = testFrameworks.getEslintOverrides(testFrameworks.detect(packageJson));
+    if (testOverrides.length > 0) {
+      eslintConfig.overrides = [...(eslintConfig.overrides || []), ...testOverrides];
+    }
+
+    if (usePrettier) {
+      eslintConfig = this.configurePrettier(eslintConfig);
+    }
+
+    if (presetSettings && presetSettings.eslint) {
+      eslintConfig = this.applyPreset(eslintConfig, presetSettings.eslint);
+    }
+
+    // Merge with existing configuration, the user's choices win
+    return this.mergeConfigs(eslintConfig, existingConfig);
+  },
+
+  // One root config for a monorepo: a shared base, and an override per workspace package for its framework
+  // A preset's shared settings go into the base, and its settings per project type into the overrides
+  generateWorkspaceConfig(workspaces, level, usePrettier, packageJson, existingConfig = {}, preset = null) {
+    const eslintConfig = this.generateConfig(null, false, level, usePrettier, packageJson, {}, presetLoader.getSettings(preset));
+    // The test overrides of the root package.json come last, so they apply to the test files of every package
+    eslintConfig.overrides = [
+      ...workspaces.map(workspace => this.generateWorkspaceOverride(
+        workspace, level, usePrettier, presetLoader.getProjectTypeSettings(preset, workspace.projectType)
+      )),
+      ...(eslintConfig.overrides || []),
+    ];
+    return this.mergeConfigs(eslintConfig, existingConfig);
+  },
+
+  generateWorkspaceOverride(workspace, level, usePrettier, presetSettings = null) {
+    const { directory, projectType, useTypeScript, packageJson } = workspace;
+    // Prettier is repeated so it still comes after the framework configs; root is not allowed in overrides
+    const override = this.generateConfig(projectType, useTypeScript, level, usePrettier, packageJson, {}, presetSettings);
+    delete override.root;
+    // The tsconfig paths are relative to the package, the config to the root
+    for (const { parserOptions } of [override, ...(override.overrides || [])]) {
+      if (parserOptions && typeof parserOptions.project === 'string') {
+        parserOptions.project = `./${path.posix.join(directory, parserOptions.project)}`;
+      }
+    }
+    const settings = projectTypeRegistry.get(projectType).getWorkspaceSettings(directory);
+    if (settings) {
+      override.settings = { ...override.settings, ...settings };
+    }
+    return { files: [workspaceDetector.getSourceGlob(workspace)], ...override };
+  },
+
+  toArray(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+  },
+
+  // eslint-config-prettier has to come last to switch off the formatting rules of everything before it
+  isPrettierExtend(name) {
+    return name === 'prettier' || name.startsWith('prettier/') || name === 'plugin:prettier/recommended';
+  },
+
+  mergeExtends(generated, existing) {
+    const combined = [...new Set([...this.toArray(existing), ...this.toArray(generated)])];
+    return [
+      ...combined.filter(name => !this.isPrettierExtend(name)),
+      ...combined.filter(name => this.isPrettierExtend(name)),
+    ];
+  },
+
+  deepMerge(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? this.deepMerge(merged[key], value) : value;
+    }
+    return merged;
+  },
+
+  // Merges the user's existing config into a generated one. Rules are merged one by one, keeping the
+  // user's severity and options; extends are deduplicated and kept in an order that still works.
+  mergeConfigs(generatedConfig, existingConfig = {}) {
+    const merged = { ...generatedConfig };
+    for (const [key, value] of Object.entries(existingConfig)) {
+      switch (key) {
+        case 'extends':
+          merged.extends = this.mergeExtends(generatedConfig.extends, value);
+          break;
+        case 'plugins':
+        case 'ignorePatterns':
+          merged[key] = [...new Set([...this.toArray(generatedConfig[key]), ...this.toArray(value)])];
+          break;
+        case 'rules':
+          merged.rules = { ...(generatedConfig.rules || {}), ...value };
+          break;
+        case 'overrides': {
+          const generated = generatedConfig.overrides || [];
+          const seen = new Set(generated.map(override => JSON.stringify(override)));
+          merged.overrides = [...generated, ...value.filter(override => !seen.has(JSON.stringify(override)))];
+          break;
+        }
+        case 'parser':
+          if (generatedConfig.parser && generatedConfig.parser !== value) {
+            logger.warn(`Keeping your ESLint parser "${value}" instead of "${generatedConfig.parser}".`);
+          }
+          merged.parser = value;
+          break;
+        default:
+          merged[key] = isPlainObject(value) && isPlainObject(generatedConfig[key])
+            ? this.deepMerge(generatedConfig[key], value)
+            : value;
+      }
+    }
+    return merged;
+  },
+
+  // The parts of a generated value the existing one leaves unset, down to the leaves of nested objects
+  omitExisting(generated, existing) {
+    const kept = {};
+    for (const [key, value] of Object.entries(generated)) {
+      if (existing[key] === undefined) kept[key] = value;
+      else if (isPlainObject(value) && isPlainObject(existing[key])) kept[key] = this.omitExisting(value, existing[key]);
+    }
+    return kept;
+  },
+
+  // A JavaScript config can compute values when ESLint loads it, such as tsconfigRootDir: __dirname or rules that
+  // depend on process.env, which writing its loaded result would freeze. The generated config extends the file
+  // instead, before Prettier, and leaves out what the file sets, so its values win as they do in mergeConfigs.
+  extendConfig(generatedConfig, existingConfig, file) {
+    const extended = {};
+    for (const [key, value] of Object.entries(generatedConfig)) {
+      if (['extends', 'plugins', 'ignorePatterns', 'overrides'].includes(key) || existingConfig[key] === undefined) {
+        extended[key] = value;
+      } else if (isPlainObject(value) && isPlainObject(existingConfig[key])) {
+        extended[key] = this.omitExisting(value, existingConfig[key]);
+      }
+    }
+    extended.extends = this.mergeExtends([...this.toArray(generatedConfig.extends), `./${file}`], []);
+    return extended;
+  },
+
+  // Applies the eslint settings of a preset: its rules win over the generated ones, and its extends come
+  // after the generated ones so they can build on the framework configs, with Prettier still last
+  applyPreset(generatedConfig, presetConfig) {
+    const { extends: presetExtends, ...rest } = presetConfig;
+    const merged = this.mergeConfigs(generatedConfig, rest);
+    if (presetExtends !== undefined) {
+      merged.extends = this.mergeExtends([...this.toArray(generatedConfig.extends), ...this.toArray(presetExtends)], []);
+    }
+    return merged;
+  },
+
+  configureTypeScript(config, typescriptRules = {}) {
+    config.parser = '@typescript-eslint/parser';
+    config.plugins = [...(config.plugins || []), '@typescript-eslint'];
+    config.extends = [
+      ...(config.extends || []),
+      'plugin:@typescript-eslint/recommended',
+    ];
+    config.rules = {
+      ...config.rules,
+      '@typescript-eslint/explicit-function-return-type': 'off',
+      '@typescript-eslint/explicit-module-boundary-types': 'off',
+      '@typescript-eslint/no-explicit-any': 'warn',
+      ...typescriptRules,
+    };
+    return config;
+  },
+
+  // Type-aware rules need the TypeScript compiler, so they are limited to the files it compiles, with the
+  // tsconfig.eslint.json of the TypeScript step, which also covers config and test files
+  configureTypeChecking(config, level) {
+    const ownRules = Object.entries(config.rules).filter(([name]) => name.startsWith('@typescript-eslint/'));
+    const rules = { ...Object.fromEntries(ownRules), ...strictness.get(level).typescriptRules };
+    config.overrides = [...(config.overrides || []), {
+      files: strictness.TYPE_CHECKED_EXTENSIONS.map(extension => `*.${extension}`),
+      extends: [`plugin:@typescript-eslint/${strictness.get(level).typescript}`],
+      parserOptions: { project: `./${typeScriptSetup.ESLINT_FILE}` },
+      // The generated rules are repeated, as the type-checked config would replace them in these files
+      ...(Object.keys(rules).length > 0 ? { rules } : {}),
+    }];
+    return config;
+  },
+
+  configurePrettier(config) {
+    config.extends = [...(config.extends || []), 'plugin:prettier/recommended'];
+    config.rules = {
+      ...config.rules,
+      'prettier/prettier': 'error',
+    };
+    return config;
+  },
+};
+
+module.exports = { eslintConfigGenerator };
@@ -0,0 +1,125 @@
+const path = require('path');
+
+const { config } = require('./config');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { optionParser } = require('./options');
+
+// File system utilities
+const fileSystem = {
+  async writeJsonFile(filePath, content) {
+    await this.writeFile(filePath, JSON.stringify(content, null, 2) + '\n');
+  },
+  // Logs whether the file was created or an existing one, such as package.json, was updated
+  async writeFile(filePath, content) {
+    const existed = (await this.readFileIfExists(filePath)) !== null;
+    await io.fs.writeFile(io.resolve(filePath), content);
+    logger.info(`File ${existed ? 'updated' : 'created'}: ${filePath}`);
+  },
+  async readPackageJson(directory = '.') {
+    const packageJsonPath = io.resolve(directory, 'package.json');
+    try {
+      const content = await io.fs.readFile(packageJsonPath, 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (directory !== '.') {
+        throw new Error(`Unable to read ${path.join(directory, 'package.json')}: ${error.message}`);
+      }
+      throw new Error('Unable to read package.json. Make sure you are in the root directory of your project.');
+    }
+  },
+  async readOptionsConfig() {
+    const packageJson = await this.readPackageJson();
+    let answers = {};
+    if (packageJson[config.PACKAGE_JSON_KEY] !== undefined) {
+      answers = optionParser.parseConfig(packageJson[config.PACKAGE_JSON_KEY], `the "${config.PACKAGE_JSON_KEY}" key of package.json`);
+    }
+
+    let content;
+    try {
+      content = await io.fs.readFile(io.resolve(config.RC_FILE), 'utf-8');
+    } catch (error) {
+      return answers;
+    }
+    let rawConfig;
+    try {
+      rawConfig = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Unable to parse ${config.RC_FILE}: ${error.message}`);
+    }
+    return { ...answers, ...optionParser.parseConfig(rawConfig, config.RC_FILE) };
+  },
+  async checkExistingFlatESLintConfig() {
+    const [configFile] = await this.findFlatESLintConfigs();
+    return configFile || null;
+  },
+  // Every flat config file present, in the order ESLint looks for them
+  async findFlatESLintConfigs() {
+    const eslintConfigFiles = [
+      'eslint.config.js',
+      'eslint.config.mjs',
+      'eslint.config.cjs',
+      'eslint.config.ts',
+    ];
+
+    const found = [];
+    for (const configFile of eslintConfigFiles) {
+      try {
+        await io.fs.access(io.resolve(configFile));
+        found.push(configFile);
+      } catch (error) {
+        // File doesn't exist, continue checking
+      }
+    }
+    return found;
+  },
+  // The first Stylelint config found, in the order Stylelint looks for them
+  async checkExistingStylelintConfig(packageJson) {
+    if (packageJson.stylelint !== undefined) return 'the "stylelint" key of package.json';
+    const stylelintConfigFiles = [
+      '.stylelintrc',
+      '.stylelintrc.json',
+      '.stylelintrc.yaml',
+      '.stylelintrc.yml',
+      '.stylelintrc.js',
+      '.stylelintrc.mjs',
+      '.stylelintrc.cjs',
+      'stylelint.config.js',
+      'stylelint.config.mjs',
+      'stylelint.config.cjs',
+    ];
+    return this.findFirstFile(stylelintConfigFiles);
+  },
+  async checkExistingCommitlintConfig(packageJson) {
+    if (packageJson.commitlint !== undefined) return 'the "commitlint" key of package.json';
+    return this.findFirstFile([
+      '.commitlintrc',
+      '.commitlintrc.json',
+      '.commitlintrc.yaml',
+      '.commitlintrc.yml',
+      '.commitlintrc.js',
+      '.commitlintrc.cjs',
+      '.commitlintrc.mjs',
+      '.commitlintrc.ts',
+      'commitlint.config.js',
+      'commitlint.config.cjs',
+      'commitlint.config.mjs',
+      'commitlint.config.ts',
+    ]);
+  },
+  async findFirstFile(files) {
+    for (const file of files) {
+      if ((await this.readFileIfExists(file)) !== null) return file;
+    }
+    return null;
+  },
+  async readFileIfExists(filePath) {
+    try {
+      return await io.fs.readFile(io.resolve(filePath), 'utf-8');
+    } catch (error) {
+      return null;
+    }
+  },
+};
+
+module.exports = { fileSystem };
@@ -0,0 +1,244 @@
+const path = require('path');
+
+const { ignoreFiles } = require('./ignoreFiles');
+const { presetLoader } = require('./presetLoader');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { sourceWriter } = require('./sourceWriter');
+const { strictness } = require('./strictness');
+const { testFrameworks } = require('./testFrameworks');
+const { typeScriptSetup } = require('./typeScriptSetup');
+
+// ESLint flat config (eslint.config.js) generator
+const flatConfigGenerator = {
+  // Loads eslintrc-style configs, such as eslint-config-next or the eslint settings of a preset
+  compat: {
+    imports: [
+      ['path', 'node:path'],
+      ['{ fileURLToPath }', 'node:url'],
+      ['{ FlatCompat }', '@eslint/eslintrc'],
+    ],
+    statement: 'const compat = new FlatCompat({ baseDirectory: path.dirname(fileURLToPath(import.meta.url)) });',
+  },
+  getFileName(packageJson) {
+    return packageJson.type === 'module' ? 'eslint.config.js' : 'eslint.config.mjs';
+  },
+  // .eslintignore patterns are relative to any directory, flat config patterns to the config file
+  toFlatIgnorePattern(pattern) {
+    const negated = pattern.startsWith('!');
+    const body = negated ? pattern.slice(1) : pattern;
+    // A slash anywhere but at the end anchors a pattern to the directory of the ignore file, as in .gitignore
+    const flatPattern = body.slice(0, -1).includes('/') ? body.replace(/^\//, '') : `**/${body}`;
+    return `${negated ? '!' : ''}${flatPattern}`;
+  },
+  usesTypeScriptEslint(projectType, useTypeScript) {
+    return projectTypeRegistry.get(projectType).usesTypeScriptEslint(useTypeScript, 'flat');
+  },
+  // Only project types written as CommonJS, such as Node.js, stay CommonJS without "type": "module"
+  getSourceType(projectType, packageJson) {
+    return packageJson.type === 'module' || !projectTypeRegistry.get(projectType).commonJs ? 'module' : 'commonjs';
+  },
+  getLanguageOptions(sourceType) {
+    return {
+      ecmaVersion: 'latest',
+      sourceType,
+      globals: sourceWriter.code('{\n  ...globals.browser,\n  ...globals.node,\n}'),
+    };
+  },
+  getBaseRules(level) {
+    return { ...strictness.get(level).rules };
+  },
+  getUnusedVarsRules(projectType, useTypeScript, level) {
+    if (!useTypeScript && !projectTypeRegistry.get(projectType).alwaysTypeScript) return { 'no-unused-vars': 'error' };
+    return {
+      'no-unused-vars': 'off',
+      '@typescript-eslint/no-unused-vars': ['error', { varsIgnorePattern: '^_', argsIgnorePattern: '^_' }],
+      '@typescript-eslint/explicit-function-return-type': 'off',
+      '@typescript-eslint/explicit-module-boundary-types': 'off',
+      '@typescript-eslint/no-explicit-any': 'warn',
+      ...strictness.get(level).typescriptRules,
+    };
+  },
+  usesTypeChecking(projectType, useTypeScript, level) {
+    const hasTypeScript = useTypeScript || projectTypeRegistry.get(projectType).alwaysTypeScript;
+    return hasTypeScript && strictness.isTypeChecked(level);
+  },
+  // Framework and TypeScript entries of a project, in the order they have to be applied, and the imports they need.
+  // `directory` is the workspace package the entries are for.
+  getProjectEntries(projectType, useTypeScript, typeConfig, level, imports, directory = '.') {
+    const { code } = sourceWriter;
+    const entries = [
+      ...typeConfig.entries,
+      ...(this.usesTypeScriptEslint(projectType, useTypeScript) ? [code('...tseslint.configs.recommended')] : []),
+      ...typeConfig.afterTypeScript,
+    ];
+    if (this.usesTypeChecking(projectType, useTypeScript, level)) {
+      // Type-aware rules need the TypeScript compiler, so they are limited to the files it compiles, with the
+      // tsconfig.eslint.json of the TypeScript step, which also covers config and test files
+      const project = `./${path.posix.join(directory, typeScriptSetup.ESLINT_FILE)}`;
+      const files = [`**/*.{${strictness.TYPE_CHECKED_EXTENSIONS.join(',')}}`];
+      this.addImports(imports, [['tseslint', 'typescript-eslint'], ...this.compat.imports.slice(0, 2)]);
+      entries.push(
+        code(`...tseslint.configs.${strictness.getFlatTypeScriptConfig(level)}.map((config) => ({ ...config, files: ${sourceWriter.stringify(files)} }))`),
+        {
+          files,
+          languageOptions: {
+            parserOptions: { project, tsconfigRootDir: code('path.dirname(fileURLToPath(import.meta.url))') },
+          },
+        }
+      );
+    }
+    return entries;
+  },
+  // Entries of the plugins a strictness level adds, such as SonarJS
+  getStrictnessEntries(level, useTypeScript, imports) {
+    return strictness.getPlugins(level).flatMap(plugin => {
+      const pluginConfig = plugin.configureFlatConfig({ useTypeScript });
+      this.addImports(imports, pluginConfig.imports);
+      return pluginConfig.entries;
+    });
+  },
+  addImports(imports, newImports) {
+    for (const newImport of newImports) {
+      if (!imports.some(([name]) => name === newImport[0])) imports.push(newImport);
+    }
+  },
+  addStatements(statements, newStatements) {
+    statements.push(...newStatements.filter(statement => !statements.includes(statement)));
+  },
+  // Entries for the test files of the test frameworks in package.json
+  getTestEntries(packageJson, imports) {
+    const testConfig = testFrameworks.getFlatConfig(testFrameworks.detect(packageJson));
+    this.addImports(imports, testConfig.imports);
+    return testConfig.entries;
+  },
+  // `projectIgnores` are the .gitignore entries and tsconfig.json outDirs, which flat configs do not read by themselves
+  getIgnores(projectTypes, presetSettings, projectIgnores = []) {
+    const presetIgnores = (presetSettings && presetSettings.ignorePatterns) || [];
+    return ignoreFiles.unique([...ignoreFiles.getEslintIgnores(projectTypes, projectIgnores), ...presetIgnores])
+      .map(pattern => this.toFlatIgnorePattern(pattern));
+  },
+  // The eslint settings of a preset are written in the eslintrc format. Rules and settings map onto a flat
+  // config entry as they are; anything else, such as extends and plugins, is loaded through FlatCompat.
+  getPresetEntries(presetSettings, imports, statements) {
+    const eslint = presetSettings && presetSettings.eslint;
+    if (!eslint || Object.keys(eslint).length === 0) return [];
+    if (Object.keys(eslint).every(key => key === 'rules' || key === 'settings')) return [eslint];
+    this.addImports(imports, this.compat.imports);
+    this.addStatements(statements, [this.compat.statement]);
+    return [sourceWriter.code(`...compat.config(${sourceWriter.stringify(eslint)})`)];
+  },
+  // Adds the entries every config ends with: the user's own rules, then Prettier to switch off formatting rules
+  finishConfig({ imports, statements, entries }, usePrettier, existingConfig) {
+    if (existingConfig.rules && Object.keys(existingConfig.rules).length > 0) {
+      entries.push({ rules: existingConfig.rules });
+    }
+
+    if (usePrettier) {
+      imports.push(['eslintPluginPrettierRecommended', 'eslint-plugin-prettier/recommended']);
+      entries.push(sourceWriter.code('eslintPluginPrettierRecommended'));
+    }
+
+    return sourceWriter.module({ imports, statements, exportDefault: entries });
+  },
+  // `level` is one of the strictness levels: relaxed, recommended, strict or pedantic
+  generateConfig(projectType, useTypeScript, level, usePrettier, packageJson, existingConfig = {}, presetSettings = null, projectIgnores = []) {
+    const { code } = sourceWriter;
+    const imports = [['js', '@eslint/js'], ['globals', 'globals']];
+    const statements = [];
+    const entries = [
+      { ignores: this.getIgnores([projectType], presetSettings, projectIgnores) },
+      code('js.configs.recommended'),
+    ];
+    if (this.usesTypeScriptEslint(projectType, useTypeScript)) imports.push(['tseslint', 'typescript-eslint']);
+
+    const typeConfig = this.configureProjectType(projectType, useTypeScript, usePrettier);
+    this.addImports(imports, typeConfig.imports);
+    this.addStatements(statements, typeConfig.statements);
+    entries.push(...this.getProjectEntries(projectType, useTypeScript, typeConfig, level, imports));
+    const hasTypeScript = useTypeScript || projectTypeRegistry.get(projectType).alwaysTypeScript;
+    entries.push(...this.getStrictnessEntries(level, hasTypeScript, imports));
+
+    entries.push({
+      languageOptions: this.getLanguageOptions(this.getSourceType(projectType, packageJson)),
+      rules: {
+        ...this.getBaseRules(level),
+        ...this.getUnusedVarsRules(projectType, useTypeScript, level),
+        ...typeConfig.rules,
+      },
+    });
+    entries.push(...this.getTestEntries(packageJson, imports));
+    entries.push(...this.getPresetEntries(presetSettings, imports, statements));
+
+    return this.finishConfig({ imports, statements, entries }, usePrettier, existingConfig);
+  },
+  // One root config for a monorepo: shared entries for every file, then each workspace package's framework
+  // and TypeScript entries limited to its directory by the scope() helper written into the config. A preset's
+  // shared settings apply to every file, and its settings per project type to the packages of that type.
+  generateWorkspaceConfig(workspaces, level, usePrettier, packageJson, existingConfig = {}, preset = null, projectIgnores = []) {
+    const { code } = sourceWriter;
+    const imports = [['js', '@eslint/js'], ['globals', 'globals']];
+    const statements = [
+      '// Limits shared configs to one workspace package',
+      'const scope = (directory, configs) =>',
+      '  configs.map((config) => ({',
+      '    ...config,',
+      "    files: (config.files || ['**/*']).map((pattern) => `${directory}/${pattern}`),",
+      '    ...(config.ignores && { ignores: config.ignores.map((pattern) => `${directory}/${pattern}`) }),',
+      '  }));',
+    ];
+    const presetSettings = presetLoader.getSettings(preset);
+    const hasTypeScript = workspaces.some(({ projectType, useTypeScript }) => (
+      useTypeScript || projectTypeRegistry.get(projectType).alwaysTypeScript
+    ));
+    const entries = [
+      { ignores: this.getIgnores(workspaces.map(workspace => workspace.projectType), presetSettings, projectIgnores) },
+      code('js.configs.recommended'),
+      ...this.getStrictnessEntries(level, hasTypeScript, imports),
+      {
+        // Each package sets its own source type below; scripts at the root are parsed as modules
+        languageOptions: this.getLanguageOptions('module'),
+        rules: { ...this.getBaseRules(level), 'no-unused-vars': 'error' },
+      },
+      ...this.getTestEntries(packageJson, imports),
+      ...this.getPresetEntries(presetSettings, imports, statements),
+    ];
+
+    for (const workspace of workspaces) {
+      const { directory, projectType, useTypeScript } = workspace;
+      const settings = projectTypeRegistry.get(projectType).getWorkspaceSettings(directory);
+      if (this.usesTypeScriptEslint(projectType, useTypeScript)) this.addImports(imports, [['tseslint', 'typescript-eslint']]);
+      const typeConfig = this.configureProjectType(projectType, useTypeScript, usePrettier);
+      this.addImports(imports, typeConfig.imports);
+      this.addStatements(statements, typeConfig.statements);
+
+      const scoped = [
+        ...this.getProjectEntries(projectType, useTypeScript, typeConfig, level, imports, directory),
+        {
+          languageOptions: { sourceType: this.getSourceType(projectType, workspace.packageJson) },
+          rules: { ...this.getUnusedVarsRules(projectType, useTypeScript, level), ...typeConfig.rules },
+          ...(settings ? { settings } : {}),
+        },
+        ...this.getTestEntries(workspace.packageJson, imports),
+        ...this.getPresetEntries(presetLoader.getProjectTypeSettings(preset, projectType), imports, statements),
+      ];
+      entries.push(code(`...scope(${sourceWriter.formatString(directory)}, ${sourceWriter.stringify(scoped)})`));
+    }
+
+    return this.finishConfig({ imports, statements, entries }, usePrettier, existingConfig);
+  },
+  // The imports, setup statements, entries and rules of a project type's part of the config. Types that
+  // are loaded through FlatCompat ask for it, and it is set up once.
+  configureProjectType(projectType, useTypeScript, usePrettier) {
+    const { imports = [], statements = [], entries = [], afterTypeScript = [], rules = {}, compat = false } =
+      projectTypeRegistry.get(projectType).configureFlatConfig({ useTypeScript, usePrettier });
+    return {
+      imports: compat ? [...this.compat.imports, ...imports] : imports,
+      statements: compat ? [this.compat.statement, ...statements] : statements,
+      entries,
+      afterTypeScript,
+      rules,
+    };
+  },
+};
+
+module.exports = { flatConfigGenerator };
@@ -0,0 +1,72 @@
+const path = require('path');
+
+const { dependencyManager } = require('./dependencyManager');
+const { fileSystem } = require('./fileSystem');
+const { logger } = require('./logger');
+const { packageManager } = require('./packageManager');
+const { getPackageName } = require('./utils');
+
+// Husky setup utility
+const huskySetup = {
+  // Sourcing husky.sh was needed up to Husky 8; Husky 9 warns about it and Husky 10 fails on it
+  deprecatedLine: /^\.\s+"\$\(dirname\s+(--\s+)?"\$0"\)\/_\/husky\.sh"\s*$/,
+
+  // Installs the chosen hooks with Husky 9, which is set up by running `husky` (also as the prepare script,
+  // so hooks are installed for everyone who runs an install). `typeCheckCommands` and the `lintScript` run before
+  // pushing. Without a pre-push hook, the type checks run before committing: they check the whole project, so they
+  // cannot go through lint-staged, which passes the staged files.
+  async setup(plan, packageJson, { hooks = ['pre-commit'], typeCheckCommands = [], lintScript = 'lint' } = {}) {
+    // lint-staged is only run by the pre-commit hook
+    plan.addDependencies(dependencyManager.huskyDependencies.filter(dep => hooks.includes('pre-commit') || getPackageName(dep) !== 'lint-staged'));
+    plan.runCommand(packageManager.execCommand('husky'));
+    plan.updatePackageJson({ scripts: { prepare: this.getPrepareScript(packageJson.scripts && packageJson.scripts.prepare) } });
+
+    if (hooks.includes('pre-commit')) {
+      const commitTypeChecks = hooks.includes('pre-push') ? [] : typeCheckCommands;
+      await this.planHook(plan, 'pre-commit', [packageManager.execCommand('lint-staged'), ...commitTypeChecks]);
+    }
+
+    if (hooks.includes('commit-msg')) {
+      plan.addDependencies(dependencyManager.commitlintDependencies);
+      const existingConfig = await fileSystem.checkExistingCommitlintConfig(packageJson);
+      if (existingConfig) {
+        logger.info(`Keeping the existing commitlint configuration from ${existingConfig}.`);
+      } else {
+        plan.writeJsonFile('.commitlintrc.json', { extends: ['@commitlint/config-conventional'] });
+      }
+      await this.planHook(plan, 'commit-msg', [`${packageManager.execCommand('commitlint')} --edit "$1"`]);
+    }
+
+    if (hooks.includes('pre-push')) {
+      await this.planHook(plan, 'pre-push', [...typeCheckCommands, packageManager.runScriptCommand(lintScript)]);
+    }
+  },
+  getPrepareScript(existing) {
+    if (!existing) return 'husky';
+    if (/\bhusky install\b/.test(existing)) return existing.replace(/\bhusky install\b/, 'husky');
+    return /\bhusky\b/.test(existing) ? existing : `${existing} && husky`;
+  },
+  // Hooks that exist already keep their commands; the missing ones are added at the end
+  async planHook(plan, name, commands) {
+    const hookPath = path.join('.husky', name);
+    const existing = await fileSystem.readFileIfExists(hookPath);
+    if (existing === null) {
+      plan.installHook(name, `${commands.join('\n')}\n`);
+      return;
+    }
+
+    const lines = existing.trimEnd().split('\n').filter(line => !this.deprecatedLine.test(line));
+    const missing = commands.filter(command => !lines.some(line => line.trim() === command));
+    const content = `${[...lines, ...missing].join('\n').trim()}\n`;
+    if (content === existing) {
+      logger.info(`Keeping ${hookPath}, which already runs ${commands.join(', ')}.`);
+      return;
+    }
+    if (missing.length > 0) {
+      logger.info(`Adding ${missing.join(', ')} to the existing ${hookPath}.`);
+    }
+    plan.installHook(name, content);
+  },
+};
+
+module.exports = { huskySetup };
@@ -0,0 +1,121 @@
+const path = require('path');
+
+const { configFormats } = require('./configFormats');
+const { fileSystem } = require('./fileSystem');
+const { logger } = require('./logger');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+
+// .eslintignore, .prettierignore and .stylelintignore. Each one lists the common build outputs, those of the
+// project types, and the project's own ignores: the .gitignore entries and the tsconfig.json outDirs. ESLint 8
+// reads only one ignore file and Prettier 2 only .prettierignore, so the .gitignore entries are repeated in them.
+const ignoreFiles = {
+  // Entries of an ignore file, without comments and blank lines
+  parse(content) {
+    return content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+  },
+  // "/dist/" and "dist" ignore the same build output for our purposes, so they count as one entry
+  toKey(entry) {
+    return entry.replace(/^(!?)\//, '$1').replace(/\/$/, '');
+  },
+  unique(entries) {
+    const keys = new Set();
+    return entries.filter(entry => {
+      const key = this.toKey(entry);
+      if (keys.has(key)) return false;
+      keys.add(key);
+      return true;
+    });
+  },
+  // The outDir of a tsconfig.json, relative to the project root; an outDir outside the package is left out
+  async readOutDir(directory) {
+    const tsconfigPath = path.posix.join(directory, 'tsconfig.json');
+    const content = await fileSystem.readFileIfExists(tsconfigPath);
+    if (content === null) return null;
+    let tsconfig;
+    try {
+      tsconfig = configFormats.parseJson(content);
+    } catch (error) {
+      logger.debug(`Unable to read ${tsconfigPath}: ${error.message}`);
+      return null;
+    }
+    const outDir = tsconfig.compilerOptions && tsconfig.compilerOptions.outDir;
+    if (typeof outDir !== 'string') return null;
+    const relativeOutDir = path.posix.normalize(outDir.replace(/\\/g, '/')).replace(/\/$/, '');
+    if (relativeOutDir === '.' || relativeOutDir.startsWith('..') || path.posix.isAbsolute(relativeOutDir)) return null;
+    // Anchored, so an outDir such as "lib" does not ignore every lib directory of the sources
+    return directory === '.' ? `/${relativeOutDir}` : path.posix.join(directory, relativeOutDir);
+  },
+  // The .gitignore entries and the outDirs of the root's and the workspace packages' tsconfig.json
+  async readProjectIgnores(directories = ['.']) {
+    const gitignore = await fileSystem.readFileIfExists('.gitignore');
+    const outDirs = [];
+    for (const directory of directories) {
+      const outDir = await this.readOutDir(directory);
+      if (outDir) outDirs.push(outDir);
+    }
+    return this.unique([...(gitignore === null ? [] : this.parse(gitignore)), ...outDirs]);
+  },
+  getEslintIgnores(projectTypes, projectIgnores = []) {
+    const commonIgnores = [
+      'node_modules',
+      'dist',
+      'build',
+      'coverage',
+      '*.min.js',
+      '*.d.ts',
+    ];
+
+    const typeIgnores = projectTypes.flatMap(projectType => projectTypeRegistry.get(projectType).ignores.eslint);
+    return this.unique([...commonIgnores, ...typeIgnores, ...projectIgnores]);
+  },
+  // Stylelint ignores node_modules by itself
+  getStylelintIgnores(projectTypes, projectIgnores = []) {
+    const typeIgnores = projectTypes.flatMap(projectType => projectTypeRegistry.get(projectType).ignores.stylelint);
+    return this.unique(['dist', 'build', 'coverage', '*.min.css', ...typeIgnores, ...projectIgnores]);
+  },
+  getPrettierIgnores(projectTypes, projectIgnores = []) {
+    const commonIgnores = [
+      'node_modules',
+      'dist',
+      'build',
+      'coverage',
+      '*.min.js',
+      '*.d.ts',
+      'package-lock.json',
+      'yarn.lock',
+    ];
+    const typeIgnores = projectTypes.flatMap(projectType => projectTypeRegistry.get(projectType).ignores.prettier);
+    return this.unique([...commonIgnores, ...typeIgnores, ...projectIgnores]);
+  },
+  // Writes the entries to a new ignore file, or adds the missing ones to the end of an existing one, which keeps
+  // its own entries, comments and order
+  async write(plan, filePath, entries) {
+    const existing = await fileSystem.readFileIfExists(filePath);
+    if (existing === null) {
+      plan.writeFile(filePath, `${entries.join('\n')}\n`);
+      return;
+    }
+    const existingKeys = new Set(this.parse(existing).map(entry => this.toKey(entry)));
+    const missing = entries.filter(entry => !existingKeys.has(this.toKey(entry)));
+    if (missing.length === 0) {
+      logger.debug(`${filePath} already has every ignore entry.`);
+      return;
+    }
+    const kept = existing.trimEnd();
+    plan.writeFile(filePath, `${kept ? `${kept}\n` : ''}${missing.join('\n')}\n`);
+    logger.info(`Adding ${missing.length} ignore pattern(s) to the existing ${filePath}.`);
+  },
+  // A preset's ignore patterns are added after the built-in ones
+  async createEslintIgnore(plan, projectTypes, projectIgnores, presetSettings = null) {
+    const presetIgnores = (presetSettings && presetSettings.ignorePatterns) || [];
+    await this.write(plan, '.eslintignore', this.unique([...this.getEslintIgnores(projectTypes, projectIgnores), ...presetIgnores]));
+  },
+  async createStylelintIgnore(plan, projectTypes, projectIgnores) {
+    await this.write(plan, '.stylelintignore', this.getStylelintIgnores(projectTypes, projectIgnores));
+  },
+  async createPrettierIgnore(plan, projectTypes, projectIgnores) {
+    await this.write(plan, '.prettierignore', this.getPrettierIgnores(projectTypes, projectIgnores));
+  },
+};
+
+module.exports = { ignoreFiles };
@@ -0,0 +1,34 @@
+// Public API of code-polish-pro. The generators are pure: they take the answers and return configs or
+// dependency lists without touching the disk. setup() runs the whole flow the CLI runs, baseline() the
+// `baseline` command.
+const { setup } = require('./setup');
+const { baseline } = require('./lintBaseline');
+const { compatibilityMatrix } = require('./compatibilityMatrix');
+const { config } = require('./config');
+const { dependencyManager } = require('./dependencyManager');
+const { eslintConfigGenerator } = require('./eslintConfigGenerator');
+const { flatConfigGenerator } = require('./flatConfigGenerator');
+const { presetLoader } = require('./presetLoader');
+const { prettierConfigGenerator } = require('./prettierConfigGenerator');
+const { projectDetector } = require('./projectDetector');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { sourceWriter } = require('./sourceWriter');
+const { stylelintConfigGenerator } = require('./stylelintConfigGenerator');
+const { workspaceDetector } = require('./workspaceDetector');
+
+module.exports = {
+  setup,
+  baseline,
+  config,
+  compatibilityMatrix,
+  dependencyManager,
+  eslintConfigGenerator,
+  flatConfigGenerator,
+  presetLoader,
+  prettierConfigGenerator,
+  projectDetector,
+  projectTypeRegistry,
+  sourceWriter,
+  stylelintConfigGenerator,
+  workspaceDetector,
+};
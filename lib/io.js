@@ -0,0 +1,40 @@
+const path = require('path');
+
+// Console, file system and child process access. setup() swaps these for the ones it is given, so the
+// library can run against an in-memory file system, without package managers and without printing.
+const io = {
+  console,
+  fs: require('fs').promises,
+  childProcess: require('child_process'),
+  directory: null,
+  // stdio of the package manager and the other commands that are run; --json sends their output to stderr
+  commandStdio: 'inherit',
+  // Whether questions may be asked on stdin; setup() only prompts when asked to
+  interactive: true,
+  // Where questions are asked and answered
+  stdin: process.stdin,
+  stdout: process.stdout,
+  cwd() {
+    return this.directory || process.cwd();
+  },
+  // Relative paths are resolved against the project directory rather than the process's working directory
+  resolve(...segments) {
+    return path.resolve(this.cwd(), ...segments);
+  },
+  // Runs the callback with some of the above replaced, and restores them afterwards
+  async use(overrides, callback) {
+    const previous = {};
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value === undefined) continue;
+      previous[key] = this[key];
+      this[key] = value;
+    }
+    try {
+      return await callback();
+    } finally {
+      Object.assign(this, previous);
+    }
+  },
+};
+
+module.exports = { io };
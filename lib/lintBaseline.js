@@ -0,0 +1,218 @@
+const path = require('path');
+
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { packageManager } = require('./packageManager');
+const { version } = require('../package.json');
+
+// Lint errors a codebase already had when it adopted its lint setup, counted per file and rule, so that
+// `code-polish-pro baseline check` only fails on new ones. Counts are kept instead of lines, which move with
+// every edit; a file fails once it has more errors of a rule than the baseline allows.
+const lintBaseline = {
+  FILE: '.eslint-baseline.json',
+  ACTIONS: ['record', 'check', 'update'],
+  // The check runs from the project's own devDependencies, in scripts and lint-staged
+  dependencies: [`code-polish-pro@^${version}`],
+  scripts: {
+    'lint:baseline': 'code-polish-pro baseline check',
+    'lint:baseline:update': 'code-polish-pro baseline update',
+  },
+  lintStagedCommand: 'code-polish-pro baseline check --fix',
+  FIX_COMMIT_MESSAGE: 'style: apply lint:fix and format',
+
+  // Arguments of the lint script, so the whole project is linted the way `lint` does it, without the quotes a
+  // shell would remove
+  getLintArguments(packageJson) {
+    const script = (packageJson.scripts && packageJson.scripts.lint) || '';
+    const match = script.match(/^eslint\s+([^&|;]+)$/);
+    if (!match) return ['.'];
+    return match[1].match(/"[^"]*"|'[^']*'|\S+/g).map(arg => arg.replace(/^(["'])(.*)\1$/, '$2'));
+  },
+  // Runs ESLint with the JSON formatter and returns its results; ESLint exits with 1 when it found errors.
+  // The targets are passed as arguments, not through a shell, so file names need no quoting.
+  runEslint(targets, { fix = false } = {}) {
+    const { command, args } = packageManager.command([
+      ...packageManager.execArgs('eslint'), '--format', 'json', ...(fix ? ['--fix'] : []), ...targets,
+    ]);
+    let output;
+    try {
+      output = io.childProcess.execFileSync(command, args, {
+        cwd: io.cwd(), stdio: ['ignore', 'pipe', 'inherit'], maxBuffer: 256 * 1024 * 1024,
+      });
+    } catch (error) {
+      if (error.status !== 1 || !error.stdout) throw new Error(`ESLint failed: ${error.message}`);
+      output = error.stdout;
+    }
+    return JSON.parse(String(output));
+  },
+  toRelativePath(filePath) {
+    return path.relative(io.cwd(), filePath).split(path.sep).join('/');
+  },
+  // { file: { rule: count } } of the errors in ESLint's results. Warnings do not fail `lint`, so they are left out.
+  countErrors(results) {
+    const counts = {};
+    for (const result of results) {
+      for (const message of result.messages) {
+        if (message.severity !== 2) continue;
+        // Parsing errors have no rule
+        const rule = message.ruleId || 'parse-error';
+        const file = this.toRelativePath(result.filePath);
+        counts[file] = counts[file] || {};
+        counts[file][rule] = (counts[file][rule] || 0) + 1;
+      }
+    }
+    return this.sort(counts);
+  },
+  // Sorted, so the baseline file only changes where the counts do
+  sort(counts) {
+    return Object.fromEntries(Object.keys(counts).sort().map(file => [
+      file,
+      Object.fromEntries(Object.keys(counts[file]).sort().map(rule => [rule, counts[file][rule]])),
+    ]));
+  },
+  countTotal(counts) {
+    return Object.values(counts).reduce((total, rules) => total + Object.values(rules).reduce((sum, count) => sum + count, 0), 0);
+  },
+  // Files and rules with more errors than the baseline allows
+  findNewErrors(baseline, counts) {
+    return Object.entries(counts).flatMap(([file, rules]) => Object.entries(rules)
+      .map(([rule, count]) => ({ file, rule, count, allowed: (baseline[file] && baseline[file][rule]) || 0 }))
+      .filter(({ count, allowed }) => count > allowed));
+  },
+  countNewErrors(newErrors) {
+    return newErrors.reduce((total, { count, allowed }) => total + count - allowed, 0);
+  },
+  // The baseline without the errors that were fixed since; new errors are not added
+  shrink(baseline, counts) {
+    const shrunk = {};
+    for (const [file, rules] of Object.entries(baseline)) {
+      for (const [rule, allowed] of Object.entries(rules)) {
+        const count = Math.min(allowed, (counts[file] && counts[file][rule]) || 0);
+        if (count === 0) continue;
+        shrunk[file] = shrunk[file] || {};
+        shrunk[file][rule] = count;
+      }
+    }
+    return this.sort(shrunk);
+  },
+  async read() {
+    const content = await fileSystem.readFileIfExists(this.FILE);
+    if (content === null) {
+      throw new Error(`No lint baseline found. Run "code-polish-pro baseline record" to create ${this.FILE}.`);
+    }
+    return JSON.parse(content);
+  },
+  // Files with uncommitted changes, relative to the repository root (setup runs there)
+  getChangedFiles() {
+    const output = String(io.childProcess.execSync('git status --porcelain -z', { cwd: io.cwd() }));
+    const entries = output.split('\0').filter(Boolean);
+    const files = [];
+    for (let i = 0; i < entries.length; i++) {
+      files.push(entries[i].slice(3));
+      // Renames and copies are followed by their original path
+      if (/^[RC]/.test(entries[i])) i++;
+    }
+    return files;
+  },
+  // Runs lint:fix and format over the whole codebase and commits what they changed on its own, so the
+  // formatting noise stays out of feature commits. Files that had uncommitted changes are left out of the commit.
+  commitFixes(packageJson) {
+    const scripts = ['lint:fix', 'format'].filter(script => packageJson.scripts && packageJson.scripts[script]);
+    const changedBefore = this.getChangedFiles();
+    for (const script of scripts) {
+      try {
+        io.childProcess.execSync(packageManager.runScriptCommand(script), { cwd: io.cwd(), stdio: io.commandStdio });
+      } catch (error) {
+        // lint:fix fails on the errors it cannot fix, which the baseline records next
+        logger.debug(`${script} exited with errors: ${error.message}`);
+      }
+    }
+    const fixedFiles = this.getChangedFiles().filter(file => !changedBefore.includes(file));
+    if (fixedFiles.length === 0) {
+      logger.info(`${scripts.join(' and ')} changed nothing, so there is nothing to commit.`);
+      return;
+    }
+    // The hooks would lint the whole commit again
+    io.childProcess.execSync(
+      `git commit --no-verify --quiet -m "${this.FIX_COMMIT_MESSAGE}" --pathspec-from-file=- --pathspec-file-nul`,
+      { cwd: io.cwd(), input: fixedFiles.join('\0'), stdio: ['pipe', 'inherit', 'inherit'] }
+    );
+    logger.info(`Committed the fixes of ${scripts.join(' and ')} to ${fixedFiles.length} file(s): "${this.FIX_COMMIT_MESSAGE}".`);
+    logger.warn('The commit was made with --no-verify, so your Git hooks did not run on it.');
+  },
+  async record(packageJson, { fix = false } = {}) {
+    if (fix) this.commitFixes(packageJson);
+    const counts = this.countErrors(this.runEslint(this.getLintArguments(packageJson)));
+    await fileSystem.writeJsonFile(this.FILE, counts);
+    logger.info(`Recorded ${this.countTotal(counts)} lint error(s) in ${Object.keys(counts).length} file(s). Commit ${this.FILE} with your code.`);
+    return 0;
+  },
+  // Lints the given files, or the whole project, and reports the errors beyond the baseline
+  async check(packageJson, { files = [], fix = false } = {}) {
+    const baseline = await this.read();
+    const targets = files.length > 0 ? files : this.getLintArguments(packageJson);
+    const results = this.runEslint(targets, { fix });
+    const counts = this.countErrors(results);
+
+    const newErrors = this.findNewErrors(baseline, counts);
+    for (const { file, rule, count, allowed } of newErrors) {
+      logger.error(`${file}: ${count - allowed} new ${rule} error(s)${allowed > 0 ? ` (the baseline allows ${allowed})` : ''}`);
+      // The counts cannot tell which of the errors are new, so all of them are listed
+      results
+        .filter(result => this.toRelativePath(result.filePath) === file)
+        .flatMap(result => result.messages)
+        .filter(message => message.severity === 2 && (message.ruleId || 'parse-error') === rule)
+        .forEach(message => logger.error(`  ${file}:${message.line}:${message.column} ${message.message}`));
+    }
+
+    const linted = results.map(result => this.toRelativePath(result.filePath));
+    const lintedBaseline = Object.fromEntries(Object.entries(baseline).filter(([file]) => linted.includes(file)));
+    const fixedCount = this.countTotal(lintedBaseline) - this.countTotal(this.shrink(lintedBaseline, counts));
+    if (fixedCount > 0) {
+      logger.info(`${fixedCount} error(s) of the baseline were fixed. Run "code-polish-pro baseline update" to shrink ${this.FILE}.`);
+    }
+    const newCount = this.countNewErrors(newErrors);
+    logger.info(newCount > 0 ? `Found ${newCount} lint error(s) beyond the baseline.` : 'No lint errors beyond the baseline.');
+    return newCount;
+  },
+  async update(packageJson) {
+    const baseline = await this.read();
+    const counts = this.countErrors(this.runEslint(this.getLintArguments(packageJson)));
+    const shrunk = this.shrink(baseline, counts);
+    const newCount = this.countNewErrors(this.findNewErrors(baseline, counts));
+    if (newCount > 0) {
+      logger.warn(`${newCount} lint error(s) beyond the baseline are not added to it. Fix them, or record a new baseline.`);
+    }
+    const fixedCount = this.countTotal(baseline) - this.countTotal(shrunk);
+    if (fixedCount === 0) {
+      logger.info(`No errors of the baseline were fixed; ${this.FILE} is unchanged.`);
+      return 0;
+    }
+    await fileSystem.writeJsonFile(this.FILE, shrunk);
+    logger.info(`Removed ${fixedCount} fixed error(s) from the baseline, ${this.countTotal(shrunk)} are left.`);
+    return 0;
+  },
+  // Runs `code-polish-pro baseline <action>` and returns the number of errors beyond the baseline
+  async run(args) {
+    if (!this.ACTIONS.includes(args.action)) {
+      throw new Error(`Unknown baseline action "${args.action}". Expected one of: ${this.ACTIONS.join(', ')}.`);
+    }
+    if (args.files.length > 0 && args.action !== 'check') {
+      throw new Error(`baseline ${args.action} lints the whole project and takes no files.`);
+    }
+    await packageManager.detect();
+    const packageJson = await fileSystem.readPackageJson();
+    if (args.action === 'record') return this.record(packageJson, { fix: args.fix });
+    if (args.action === 'check') return this.check(packageJson, { files: args.files, fix: args.fix });
+    return this.update(packageJson);
+  },
+};
+
+// Runs a baseline action like the CLI; `cwd`, `fs`, `childProcess` and `console` replace the real ones, as for setup()
+async function baseline(options = {}) {
+  const { cwd, fs, childProcess, console: output, ...args } = options;
+  return io.use({ directory: cwd, fs, childProcess, console: output }, () => lintBaseline.run({ files: [], fix: false, ...args }));
+}
+
+module.exports = { lintBaseline, baseline };
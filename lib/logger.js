@@ -0,0 +1,68 @@
+const { io } = require('./io');
+
+// From the fewest to the most messages; errors and warnings are always shown
+const LEVELS = ['quiet', 'info', 'verbose'];
+const MESSAGE_LEVELS = { error: 'quiet', warn: 'quiet', info: 'info', debug: 'verbose' };
+
+// Logger utility. Messages below the level are left out of the console, but all of them go to the log file.
+const logger = {
+  LEVELS,
+  level: 'info',
+  file: null,
+  // With --json, stdout is kept for the report, so everything else goes to stderr
+  stderr: false,
+  lines: [],
+  warnings: [],
+  _log(level, message) {
+    const line = `[${new Date().toISOString()}] [${level.toUpperCase()}] ${message}`;
+    if (level === 'warn') logger.warnings.push(message);
+    if (logger.file) logger.lines.push(line);
+    if (logger.shows(level)) io.console[logger.stderr ? 'error' : level](line);
+  },
+  // DEBUG=1 still turns on the debug messages
+  shows(level) {
+    const current = process.env.DEBUG && logger.level === 'info' ? 'verbose' : logger.level;
+    return LEVELS.indexOf(current) >= LEVELS.indexOf(MESSAGE_LEVELS[level]);
+  },
+  info: (message) => logger._log('info', message),
+  warn: (message) => logger._log('warn', message),
+  error: (message) => logger._log('error', message),
+  debug: (message) => logger._log('debug', message),
+  // Output that is not a log message, such as the plan, shown at every level
+  print(text) {
+    if (logger.file) logger.lines.push(text);
+    io.console[logger.stderr ? 'error' : 'log'](text);
+  },
+  // Runs the callback with the given level, log file and stderr setting, collecting its warnings. The log file is
+  // written at the end, also when the callback fails; the messages of a nested run go to the surrounding one's too.
+  async use({ level, file, stderr } = {}, callback) {
+    if (level !== undefined && !LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}". Expected one of: ${LEVELS.join(', ')}.`);
+    }
+    const previous = { level: this.level, file: this.file, stderr: this.stderr, lines: this.lines, warnings: this.warnings };
+    Object.assign(this, {
+      level: level === undefined ? this.level : level,
+      file: file === undefined ? this.file : file,
+      stderr: stderr === undefined ? this.stderr : stderr,
+      lines: file === undefined ? this.lines : [],
+      warnings: [],
+    });
+    try {
+      return await callback();
+    } finally {
+      const { lines, warnings } = this;
+      if (file) {
+        try {
+          await io.fs.writeFile(io.resolve(file), `${lines.join('\n')}\n`);
+        } catch (error) {
+          io.console.error(`Unable to write the log file ${file}: ${error.message}`);
+        }
+      }
+      Object.assign(this, previous);
+      if (lines !== previous.lines && previous.file) previous.lines.push(...lines);
+      previous.warnings.push(...warnings);
+    }
+  },
+};
+
+module.exports = { logger };
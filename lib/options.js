@@ -0,0 +1,233 @@
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const usage = `Usage: code-polish-pro [options]
+       code-polish-pro undo
+       code-polish-pro doctor [--fix]
+       code-polish-pro baseline record|check|update [--fix] [files...]
+
+Commands:
+  undo                      Revert the last successful run (dependencies, files and package.json changes)
+  doctor                    Check an existing setup for missing plugins, conflicts and drift; exits non-zero on errors
+  baseline record           Record the existing lint errors per file and rule in .eslint-baseline.json
+  baseline check            Lint the given files, or the whole project, and exit non-zero on errors beyond the baseline
+  baseline update           Remove the errors that were fixed since from the baseline
+
+Options:
+  --type <type>             Project type (${config.PROJECT_TYPES.join(', ')})
+  --[no-]typescript         Configure ESLint for TypeScript
+  --[no-]husky              Set up Husky and lint-staged pre-commit hooks
+  --hooks <hooks>           Git hooks to install with Husky, comma-separated: pre-commit (lint-staged),
+                            commit-msg (commitlint) and pre-push (type check and lint)
+  --strictness <level>      ESLint strictness: relaxed, recommended, strict (type-aware TypeScript rules, SonarJS,
+                            import cycles) or pedantic (also Unicorn and typescript-eslint's strict rules)
+  --[no-]lint-baseline      Record the existing lint errors in a baseline, so lint-staged, the pre-push hook and CI
+                            only fail on new ones
+  --[no-]fix-commit         With --lint-baseline: commit the changes of lint:fix and format on their own first
+  --[no-]prettier           Use Prettier for code formatting
+  --[no-]stylelint          Lint CSS, SCSS and the style blocks of Vue and Svelte components with Stylelint
+  --ci <provider>           Generate a CI pipeline running the lint and format checks: github, gitlab or none
+  --eslint-config <format>  ESLint config format: flat (eslint.config.js) or legacy (.eslintrc.*)
+  --[no-]overwrite          Overwrite an existing ESLint configuration instead of merging it
+  --[no-]editorconfig       Create an .editorconfig matching the Prettier settings when there is none
+  --[no-]vscode             Add VS Code settings for format-on-save and ESLint fixes, and recommend the extensions
+  --[no-]workspaces         Configure each workspace package of a monorepo for its own framework
+  --preset <preset>         Apply a shared preset: an installed npm package or a path to a JSON, YAML or JS file
+  --plugins <plugins>       Register more project types from installed packages or paths, comma-separated
+  -y, --yes                 Accept the default for every question that was not answered
+  --dry-run                 Print the planned changes without touching any file or running the package manager
+  --json                    Print the run report as JSON on stdout, and everything else on stderr; never prompts
+  --quiet                   Only print warnings, errors and the plan
+  --verbose                 Also print debug messages
+  --log-file <path>         Write every message, including debug messages, to this file
+  --fix                     With doctor: fix the problems that can be fixed automatically. With baseline record:
+                            commit the changes of lint:fix and format first. With baseline check: run ESLint with --fix
+  -h, --help                Show this help
+
+Answers can also be stored in ${config.RC_FILE} or under the "${config.PACKAGE_JSON_KEY}" key of package.json,
+using the option names above (e.g. { "type": "react", "typescript": true }). Command line flags take precedence.
+Questions that are still unanswered are prompted for when stdin is a terminal.
+
+Every run that changes the project writes a report of what it did to ${config.STATE_DIR}/report.json. The exit code
+is non-zero when the setup fails or a dependency could not be installed.`;
+
+// Option parsing for command line flags and config files
+const optionParser = {
+  findOption(name) {
+    return config.OPTIONS.find(option => option.name === name);
+  },
+  coerce(option, value, source) {
+    if (option.type === 'boolean') {
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 'yes') return true;
+      if (value === 'false' || value === 'no') return false;
+      throw new Error(`Invalid value for "${option.name}" in ${source}: expected true or false, got ${JSON.stringify(value)}.`);
+    }
+    if (option.type === 'list') {
+      // Lists without choices hold names or paths, which keep their case
+      const normalize = (item) => (option.choices ? item.trim().toLowerCase() : item.trim());
+      const values = typeof value === 'string' ? value.split(',').map(normalize).filter(Boolean) : value;
+      if (!Array.isArray(values) || values.length === 0 || values.some(item => typeof item !== 'string')) {
+        const expected = option.choices ? `a comma-separated list of ${option.choices.join(', ')}` : 'a comma-separated list';
+        throw new Error(`Invalid value for "${option.name}" in ${source}: expected ${expected}.`);
+      }
+      const invalid = option.choices ? values.filter(item => !option.choices.includes(item)) : [];
+      if (invalid.length > 0) {
+        throw new Error(`Invalid value "${invalid.join(', ')}" for "${option.name}" in ${source}. Expected any of: ${option.choices.join(', ')}.`);
+      }
+      return [...new Set(values)];
+    }
+    if (typeof value !== 'string' || value === '') {
+      throw new Error(`Invalid value for "${option.name}" in ${source}: expected a string.`);
+    }
+    if (!this.getChoices(option)) return value;
+    const choice = value.toLowerCase();
+    // Project types can come from plugins, which setup() loads first, so it checks the project type itself
+    if (option.key !== 'projectType') this.checkChoice(option, choice, source);
+    return choice;
+  },
+  checkChoice(option, value, source) {
+    const choices = this.getChoices(option);
+    if (choices && !choices.includes(value)) {
+      throw new Error(`Invalid value "${value}" for "${option.name}" in ${source}. Expected one of: ${choices.join(', ')}.`);
+    }
+  },
+  getChoices(option) {
+    return option.key === 'projectType' ? config.PROJECT_TYPES : option.choices;
+  },
+  parseArgs(argv) {
+    const result = {
+      command: null,
+      answers: {},
+      yes: false,
+      help: false,
+      dryRun: false,
+      fix: false,
+      json: false,
+      logLevel: 'info',
+      logFile: null,
+      action: null,
+      files: [],
+    };
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      if (arg === '-y' || arg === '--yes') {
+        result.yes = true;
+        continue;
+      }
+      if (arg === '-h' || arg === '--help') {
+        result.help = true;
+        continue;
+      }
+      if (arg === '--dry-run') {
+        result.dryRun = true;
+        continue;
+      }
+      if (arg === '--fix') {
+        result.fix = true;
+        continue;
+      }
+      if (arg === '--json') {
+        result.json = true;
+        continue;
+      }
+      if (arg === '--quiet' || arg === '--verbose') {
+        const level = arg.slice(2);
+        if (result.logLevel !== 'info' && result.logLevel !== level) {
+          throw new Error('--quiet and --verbose cannot be used together.');
+        }
+        result.logLevel = level;
+        continue;
+      }
+      if (arg === '--log-file' || arg.startsWith('--log-file=')) {
+        const value = arg === '--log-file' ? argv[++i] : arg.slice('--log-file='.length);
+        if (!value || value.startsWith('-')) {
+          throw new Error('Option --log-file requires a value.');
+        }
+        result.logFile = value;
+        continue;
+      }
+      if (i === 0 && config.COMMANDS.includes(arg)) {
+        result.command = arg;
+        continue;
+      }
+      // baseline takes an action and, from lint-staged, the staged files
+      if (result.command === 'baseline' && !arg.startsWith('-')) {
+        if (result.action) result.files.push(arg);
+        else result.action = arg;
+        continue;
+      }
+      if (!arg.startsWith('--')) {
+        throw new Error(`Unexpected argument: ${arg}. Run with --help to see the available options.`);
+      }
+
+      let [name, value] = arg.slice(2).split(/=(.*)/s);
+      let negated = false;
+      if (!this.findOption(name) && name.startsWith('no-')) {
+        name = name.slice(3);
+        negated = true;
+      }
+      const option = this.findOption(name);
+      if (!option) {
+        throw new Error(`Unknown option: --${name}. Run with --help to see the available options.`);
+      }
+
+      if (option.type === 'boolean') {
+        if (negated && value !== undefined) {
+          throw new Error(`Option --no-${name} does not take a value.`);
+        }
+        result.answers[option.key] = negated ? false : this.coerce(option, value === undefined ? true : value, `--${name}`);
+      } else {
+        if (negated) {
+          throw new Error(`Unknown option: --no-${name}. Run with --help to see the available options.`);
+        }
+        if (value === undefined) {
+          value = argv[++i];
+          if (value === undefined || value.startsWith('-')) {
+            throw new Error(`Option --${name} requires a value.`);
+          }
+        }
+        result.answers[option.key] = this.coerce(option, value, `--${name}`);
+      }
+    }
+    if (result.fix && !['doctor', 'baseline'].includes(result.command)) {
+      throw new Error('--fix can only be used with the doctor and baseline commands.');
+    }
+    if (result.json && result.command) {
+      throw new Error('--json can only be used when setting up a project.');
+    }
+    if (result.command === 'baseline' && !result.action) {
+      throw new Error('The baseline command needs an action: record, check or update.');
+    }
+    return result;
+  },
+  parseConfig(rawConfig, source) {
+    if (typeof rawConfig !== 'object' || rawConfig === null || Array.isArray(rawConfig)) {
+      throw new Error(`Invalid configuration in ${source}: expected an object.`);
+    }
+    const answers = {};
+    for (const [name, value] of Object.entries(rawConfig)) {
+      const option = this.findOption(name);
+      if (!option) {
+        logger.warn(`Ignoring unknown option "${name}" in ${source}.`);
+        continue;
+      }
+      answers[option.key] = this.coerce(option, value, source);
+    }
+    return answers;
+  },
+  // Answers given to setup() by key (useTypeScript, ...), checked like the ones from flags and config files
+  parseAnswers(rawAnswers, source) {
+    const answers = {};
+    for (const [key, value] of Object.entries(rawAnswers)) {
+      const option = config.OPTIONS.find(candidate => candidate.key === key);
+      if (!option) {
+        throw new Error(`Unknown option "${key}" in ${source}.`);
+      }
+      if (value !== undefined) answers[key] = this.coerce(option, value, source);
+    }
+    return answers;
+  },
+};
+
+module.exports = { usage, optionParser };
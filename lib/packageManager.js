@@ -0,0 +1,256 @@
+const semver = require('semver');
+
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+
+// Package manager utilities
+const packageManager = {
+  name: 'npm',
+  yarnBerry: false,
+  managers: {
+    npm: {
+      lockfiles: ['package-lock.json', 'npm-shrinkwrap.json'],
+      install: ['install'],
+      add: ['install'],
+      devFlags: ['--save-dev'],
+      remove: ['uninstall'],
+      exec: ['npx'],
+      frozenInstall: ['ci'],
+      audit: 'npm audit fix',
+      workspaceArgs: (workspace) => ['--workspace', workspace.directory],
+      workspaceRootFlags: [],
+      // npm 7 and later refuse to install conflicting peer dependencies (ERESOLVE)
+      peerConflictFlags: ['--legacy-peer-deps'],
+    },
+    pnpm: {
+      lockfiles: ['pnpm-lock.yaml'],
+      install: ['install'],
+      add: ['add'],
+      devFlags: ['--save-dev'],
+      remove: ['remove'],
+      exec: ['pnpm', 'exec'],
+      frozenInstall: ['install', '--frozen-lockfile'],
+      audit: 'pnpm audit --fix',
+      workspaceArgs: (workspace) => ['--filter', workspace.name],
+      workspaceRootFlags: ['--workspace-root'],
+      // pnpm only refuses them when the project enables strict-peer-dependencies
+      peerConflictFlags: ['--config.strict-peer-dependencies=false'],
+    },
+    yarn: {
+      lockfiles: ['yarn.lock'],
+      install: ['install'],
+      add: ['add'],
+      devFlags: ['--dev'],
+      remove: ['remove'],
+      exec: ['yarn'],
+      frozenInstall: ['install', '--frozen-lockfile'],
+      audit: 'yarn audit',
+      workspaceArgs: (workspace) => ['workspace', workspace.name],
+      // Only Yarn 1 needs it, Yarn 2+ rejects the flag
+      workspaceRootFlags: ['-W'],
+      // Yarn only warns about peer dependency conflicts
+      peerConflictFlags: [],
+    },
+    bun: {
+      // Bun 1.2 and later write the text lockfile
+      lockfiles: ['bun.lock', 'bun.lockb'],
+      install: ['install'],
+      add: ['add'],
+      devFlags: ['--dev'],
+      remove: ['remove'],
+      exec: ['bunx'],
+      frozenInstall: ['install', '--frozen-lockfile'],
+      audit: 'bun audit',
+      workspaceArgs: (workspace) => ['--cwd', workspace.directory],
+      workspaceRootFlags: [],
+      // Bun only warns about peer dependency conflicts
+      peerConflictFlags: [],
+    },
+  },
+  async detect() {
+    const packageJson = await fileSystem.readPackageJson();
+    const detected = await this.detectName(packageJson);
+    this.name = detected.value;
+    this.yarnBerry = this.name === 'yarn' && await this.detectYarnBerry(packageJson);
+    return detected;
+  },
+  async detectName(packageJson) {
+    if (typeof packageJson.packageManager === 'string') {
+      const name = packageJson.packageManager.split('@')[0];
+      if (this.managers[name]) {
+        return { value: name, reason: `package.json "packageManager" is ${packageJson.packageManager}` };
+      }
+      logger.warn(`Unsupported "packageManager" in package.json: ${packageJson.packageManager}`);
+    }
+
+    for (const [name, manager] of Object.entries(this.managers)) {
+      for (const lockfile of manager.lockfiles) {
+        try {
+          await io.fs.access(io.resolve(lockfile));
+          return { value: name, reason: `${lockfile} exists` };
+        } catch (error) {
+          // Lockfile doesn't exist, continue checking
+        }
+      }
+    }
+
+    return { value: 'npm', reason: 'no lockfile or "packageManager" field was found' };
+  },
+  // Yarn 2+ is pinned through "packageManager" or configured in .yarnrc.yml
+  async detectYarnBerry(packageJson) {
+    const version = typeof packageJson.packageManager === 'string' && packageJson.packageManager.split('@')[1];
+    if (version && semver.valid(semver.coerce(version))) {
+      return semver.major(semver.coerce(version)) >= 2;
+    }
+    return (await fileSystem.readFileIfExists(io.resolve('.yarnrc.yml'))) !== null;
+  },
+  get manager() {
+    return this.managers[this.name];
+  },
+  get lockfiles() {
+    return this.manager.lockfiles;
+  },
+  command(args) {
+    const [command, ...rest] = args;
+    const executable = process.platform === 'win32' && command !== 'bun' ? `${command}.cmd` : command;
+    return { command: executable, args: rest };
+  },
+  // Arguments that select the package to change: a workspace package, or the root of a monorepo, where some
+  // package managers refuse to add to the root by default
+  targetArgs(workspace, workspaceRoot) {
+    if (workspace) return { before: this.manager.workspaceArgs(workspace), after: [] };
+    const rootFlags = workspaceRoot && !(this.name === 'yarn' && this.yarnBerry) ? this.manager.workspaceRootFlags : [];
+    return { before: [], after: rootFlags };
+  },
+  addArgs(dependencies, { dev = true, workspace = null, workspaceRoot = false } = {}) {
+    const target = this.targetArgs(workspace, workspaceRoot);
+    return [
+      this.name,
+      ...target.before,
+      ...this.manager.add,
+      ...target.after,
+      ...(dev ? this.manager.devFlags : []),
+      ...dependencies,
+    ];
+  },
+  removeArgs(dependencies, { workspace = null, workspaceRoot = false } = {}) {
+    const target = this.targetArgs(workspace, workspaceRoot);
+    return [this.name, ...target.before, ...this.manager.remove, ...target.after, ...dependencies];
+  },
+  installArgs() {
+    return [this.name, ...this.manager.install];
+  },
+  // Arguments that run a locally installed binary, e.g. `pnpm exec husky`
+  execArgs(binary) {
+    return [...this.manager.exec, binary];
+  },
+  execCommand(binary) {
+    return this.execArgs(binary).join(' ');
+  },
+  // Command line that installs exactly what the lockfile lists, failing when it is out of date, as CI should
+  ciInstallCommand(hasLockfile) {
+    if (!hasLockfile) return this.installArgs().join(' ');
+    if (this.name === 'yarn' && this.yarnBerry) return 'yarn install --immutable';
+    return [this.name, ...this.manager.frozenInstall].join(' ');
+  },
+  // Command line that runs a package.json script, e.g. `pnpm run lint`, or `pnpm --filter ui run lint` in a workspace package
+  runScriptCommand(script, workspace = null) {
+    return [this.name, ...(workspace ? this.manager.workspaceArgs(workspace) : []), 'run', script].join(' ');
+  },
+  get auditCommand() {
+    return this.manager.audit;
+  },
+  // Runs the package manager without a shell, so a version range such as "eslint-config-next@>=14 <16" stays one
+  // argument instead of redirecting the output to a file named "16"
+  runSync(args) {
+    const { command, args: rest } = this.command(args);
+    io.childProcess.execFileSync(command, rest, { cwd: io.cwd(), stdio: io.commandStdio });
+  },
+  // Returns the dependencies that could not be installed
+  async installDependencies(dependencies, { dev = true, workspace = null, workspaceRoot = false } = {}) {
+    logger.info(`Installing dependencies ${workspace ? `in ${workspace.directory} ` : ''}with ${this.name}...`);
+    const failed = [];
+    const target = { dev, workspace, workspaceRoot };
+    const { command, args } = this.command(this.addArgs(dependencies, target));
+    try {
+      await new Promise((resolve, reject) => {
+        const installProcess = io.childProcess.spawn(command, args, { cwd: io.cwd(), stdio: io.commandStdio });
+        installProcess.on('error', reject);
+        installProcess.on('close', (code) => {
+          if (code === 0) resolve();
+          else reject(new Error(`${this.name} ${args[0]} failed with code ${code}`));
+        });
+      });
+    } catch (error) {
+      logger.warn('Spawn method failed, falling back to execFileSync...');
+      try {
+        this.runSync(this.addArgs(dependencies, target));
+      } catch (execError) {
+        if (this.installIgnoringPeerConflicts(dependencies, target)) {
+          logger.info('Dependency installation process completed.');
+          return failed;
+        }
+        logger.error('Failed to install dependencies.');
+        logger.error('Attempting to install dependencies one by one...');
+        for (const dep of dependencies) {
+          try {
+            this.runSync(this.addArgs([dep], target));
+            logger.info(`Successfully installed ${dep}`);
+          } catch (singleDepError) {
+            logger.error(`Failed to install ${dep}. Skipping...`);
+            failed.push(dep);
+          }
+        }
+      }
+    }
+    logger.info('Dependency installation process completed.');
+    return failed;
+  },
+  // Installs again with the package manager's flags that let conflicting peer dependencies through, such as a plugin
+  // whose peer range does not list the installed ESLint major yet. Returns whether that worked.
+  installIgnoringPeerConflicts(dependencies, target) {
+    const flags = this.manager.peerConflictFlags;
+    if (flags.length === 0) return false;
+    logger.warn(`${this.name} could not install the dependencies, which is often a peer dependency conflict. Trying again with ${flags.join(' ')}...`);
+    try {
+      this.runSync([...this.addArgs(dependencies, target), ...flags]);
+    } catch (error) {
+      logger.debug(`Installing with ${flags.join(' ')} failed too: ${error.message}`);
+      return false;
+    }
+    logger.warn(`Installed with ${flags.join(' ')}. Some packages may not support the versions of their peer dependencies.`);
+    return true;
+  },
+  // Packages a project type replaces, such as lint configs of the framework that the generated config supersedes
+  getConflictingDependencies(projectType, packageJson) {
+    const installed = { ...(packageJson.dependencies || {}), ...(packageJson.devDependencies || {}) };
+    return projectTypeRegistry.get(projectType).conflictingDependencies.filter(dep => installed[dep]);
+  },
+  // Brings node_modules back in line with package.json and the lockfile
+  syncDependencies() {
+    this.runSync(this.installArgs());
+  },
+  async removeDependencies(dependencies, { workspace = null, workspaceRoot = false } = {}) {
+    const from = workspace ? ` from ${workspace.directory}` : '';
+    try {
+      this.runSync(this.removeArgs(dependencies, { workspace, workspaceRoot }));
+      logger.info(`Removed dependencies${from}: ${dependencies.join(', ')}`);
+      return;
+    } catch (error) {
+      // One package that is not installed fails the whole command, so the others are removed one by one
+      logger.debug(`Removing the dependencies at once failed: ${error.message}`);
+    }
+    for (const dep of dependencies) {
+      try {
+        this.runSync(this.removeArgs([dep], { workspace, workspaceRoot }));
+        logger.info(`Removed dependency: ${dep}${from}`);
+      } catch (error) {
+        logger.warn(`Failed to uninstall ${dep}. It might not have been installed.`);
+      }
+    }
+  },
+};
+
+module.exports = { packageManager };
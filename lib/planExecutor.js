@@ -0,0 +1,239 @@
+const path = require('path');
+
+const { diffUtils } = require('./diffUtils');
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { packageManager } = require('./packageManager');
+const { stateManager } = require('./stateManager');
+const { userInteraction } = require('./userInteraction');
+const { getPackageName, isPlainObject } = require('./utils');
+
+// Prints and applies change plans
+const planExecutor = {
+  applyPackageJsonUpdates(packageJson, updates) {
+    const updated = { ...packageJson };
+    for (const [key, value] of Object.entries(updates)) {
+      updated[key] = isPlainObject(value) && isPlainObject(packageJson[key]) ? { ...packageJson[key], ...value } : value;
+    }
+    return updated;
+  },
+  describePackageJsonChanges(packageJson, updates) {
+    const lines = [];
+    const format = (value) => (value === undefined ? '(unset)' : JSON.stringify(value));
+    for (const [key, value] of Object.entries(updates)) {
+      if (isPlainObject(value) && isPlainObject(packageJson[key])) {
+        for (const [subKey, subValue] of Object.entries(value)) {
+          const current = packageJson[key][subKey];
+          if (JSON.stringify(current) !== JSON.stringify(subValue)) {
+            lines.push(`  ~ ${key}.${subKey}: ${format(current)} -> ${format(subValue)}`);
+          }
+        }
+      } else if (JSON.stringify(packageJson[key]) !== JSON.stringify(value)) {
+        lines.push(`  ~ ${key}: ${format(packageJson[key])} -> ${format(value)}`);
+      }
+    }
+    return lines;
+  },
+  async describe(plan) {
+    const sections = [];
+
+    const dependencyLines = [
+      ...plan.removedDependencies.map(dep => `  - ${dep}`),
+      ...plan.addedDependencies.map(dep => `  + ${dep}`),
+      ...[...plan.workspaceDependencies.values()].flatMap(({ workspace, dependencies }) => (
+        dependencies.map(dep => `  + ${dep} (in ${workspace.directory})`)
+      )),
+    ];
+    sections.push(['Dependencies', dependencyLines]);
+
+    const fileLines = [];
+    for (const [filePath, content] of plan.files) {
+      const existing = await fileSystem.readFileIfExists(filePath);
+      if (existing === content) {
+        fileLines.push(`  = ${filePath} (unchanged)`);
+        continue;
+      }
+      fileLines.push(`  ${existing === null ? '+' : '~'} ${filePath}${existing === null ? ' (new file)' : ''}`);
+      fileLines.push(...diffUtils.unifiedDiff(existing, content, filePath).split('\n').map(line => `    ${line}`));
+    }
+    for (const filePath of plan.removedFiles) {
+      if (await fileSystem.readFileIfExists(filePath) !== null) fileLines.push(`  - ${filePath} (deleted)`);
+    }
+    sections.push(['Files', fileLines]);
+
+    // The root package.json first, then the workspace packages
+    const packageJsonDirectories = ['.', ...[...plan.packageJsonUpdates.keys()].filter(directory => directory !== '.')];
+    for (const directory of packageJsonDirectories) {
+      const packageJson = await fileSystem.readPackageJson(directory);
+      const updates = plan.packageJsonUpdates.get(directory) || {};
+      sections.push([path.join(directory, 'package.json'), this.describePackageJsonChanges(packageJson, updates)]);
+    }
+    sections.push(['Commands', plan.commands.map(command => `  $ ${command}`)]);
+    sections.push(['Git hooks', plan.hooks.map(hook => `  + ${hook.path}`)]);
+
+    return sections
+      .map(([title, lines]) => `${title}:\n${lines.length > 0 ? lines.join('\n') : '  (no changes)'}`)
+      .join('\n\n');
+  },
+  // The plan as plain data, as returned by setup()
+  summarize(plan) {
+    return {
+      dependencies: {
+        added: [...plan.addedDependencies],
+        removed: [...plan.removedDependencies],
+        workspaces: Object.fromEntries(
+          [...plan.workspaceDependencies].map(([directory, { dependencies }]) => [directory, [...dependencies]])
+        ),
+      },
+      files: Object.fromEntries(plan.files),
+      removedFiles: [...plan.removedFiles],
+      packageJson: Object.fromEntries(plan.packageJsonUpdates),
+      commands: [...plan.commands],
+      hooks: plan.hooks.map(hook => ({ ...hook })),
+    };
+  },
+  getTouchedPaths(plan) {
+    return [
+      'package.json',
+      ...[...plan.packageJsonUpdates.keys(), ...plan.workspaceDependencies.keys()].map(directory => path.join(directory, 'package.json')),
+      ...packageManager.lockfiles,
+      ...plan.files.keys(),
+      ...plan.removedFiles,
+      ...plan.commandFiles,
+      ...plan.hooks.map(hook => hook.path),
+    ];
+  },
+  findInstalledDependency(packageJson, name) {
+    for (const field of ['devDependencies', 'dependencies']) {
+      if (packageJson[field] && packageJson[field][name]) return { field, range: packageJson[field][name] };
+    }
+    return null;
+  },
+  // workspacePackageJsons maps each workspace directory to its package.json from before the run
+  describeDependencyChanges(plan, packageJson, workspacePackageJsons = new Map()) {
+    const describeAdded = (spec, installedIn, workspace) => {
+      const name = getPackageName(spec);
+      const added = { name, spec, previous: this.findInstalledDependency(installedIn, name) };
+      return workspace ? { ...added, workspace: { directory: workspace.directory, name: workspace.name } } : added;
+    };
+    return {
+      added: [
+        ...plan.addedDependencies.map(spec => describeAdded(spec, packageJson)),
+        ...[...plan.workspaceDependencies.values()].flatMap(({ workspace, dependencies }) => (
+          dependencies.map(spec => describeAdded(spec, workspacePackageJsons.get(workspace.directory), workspace))
+        )),
+      ],
+      removed: plan.removedDependencies.map(name => ({ name, ...this.findInstalledDependency(packageJson, name) })),
+    };
+  },
+  describePackageJsonKeys(packageJson, updates, directory = '.') {
+    const keys = [];
+    const file = path.join(directory, 'package.json');
+    for (const [key, value] of Object.entries(updates)) {
+      if (isPlainObject(value) && isPlainObject(packageJson[key])) {
+        keys.push(...Object.keys(value).map(subKey => ({ file, path: [key, subKey], previous: packageJson[key][subKey] })));
+      } else {
+        keys.push({ file, path: [key], previous: packageJson[key] });
+      }
+    }
+    return keys;
+  },
+  // Applies the plan as one transaction: on failure every touched file is restored from its backup. The final
+  // commands run after it, so a failure of theirs leaves the applied setup, which undo can revert, in place.
+  async apply(plan) {
+    const packageJsons = new Map();
+    for (const directory of ['.', ...plan.packageJsonUpdates.keys(), ...plan.workspaceDependencies.keys()]) {
+      if (!packageJsons.has(directory)) packageJsons.set(directory, await fileSystem.readPackageJson(directory));
+    }
+    const dependenciesChanged = plan.addedDependencies.length + plan.removedDependencies.length + plan.workspaceDependencies.size > 0;
+
+    const transaction = await stateManager.begin(this.getTouchedPaths(plan));
+    try {
+      await this.applyChanges(plan);
+    } catch (error) {
+      logger.error(`Setup failed: ${error.message}`);
+      logger.warn('Rolling back all changes...');
+      await stateManager.rollback(transaction, dependenciesChanged);
+      throw error;
+    }
+    await stateManager.commit(transaction, {
+      packageManager: packageManager.name,
+      workspaceRoot: plan.workspaceRoot,
+      dependencies: this.describeDependencyChanges(plan, packageJsons.get('.'), packageJsons),
+      packageJson: [...plan.packageJsonUpdates].flatMap(([directory, updates]) => (
+        this.describePackageJsonKeys(packageJsons.get(directory), updates, directory)
+      )),
+    });
+
+    for (const command of plan.finalCommands) {
+      try {
+        io.childProcess.execSync(command, { cwd: io.cwd(), stdio: io.commandStdio });
+      } catch (error) {
+        throw new Error(`The setup was applied, but "${command}" failed: ${error.message}`);
+      }
+    }
+  },
+  async applyChanges(plan) {
+    if (plan.removedDependencies.length > 0) {
+      await packageManager.removeDependencies(plan.removedDependencies, { workspaceRoot: plan.workspaceRoot });
+    }
+    if (plan.addedDependencies.length > 0) {
+      const failed = await packageManager.installDependencies(plan.addedDependencies, { workspaceRoot: plan.workspaceRoot });
+      plan.failedDependencies.push(...failed.map(spec => ({ spec, workspace: null })));
+    }
+    for (const { workspace, dependencies } of plan.workspaceDependencies.values()) {
+      const failed = await packageManager.installDependencies(dependencies, { workspace });
+      plan.failedDependencies.push(...failed.map(spec => ({ spec, workspace: workspace.directory })));
+    }
+
+    for (const [filePath, content] of plan.files) {
+      await io.fs.mkdir(path.dirname(io.resolve(filePath)), { recursive: true });
+      await fileSystem.writeFile(filePath, content);
+    }
+    for (const filePath of plan.removedFiles) {
+      await io.fs.rm(io.resolve(filePath), { force: true });
+      logger.info(`File removed: ${filePath}`);
+    }
+
+    // Re-read package.json, the package manager has just updated its dependencies
+    for (const [directory, updates] of plan.packageJsonUpdates) {
+      const packageJson = await fileSystem.readPackageJson(directory);
+      await fileSystem.writeJsonFile(path.join(directory, 'package.json'), this.applyPackageJsonUpdates(packageJson, updates));
+    }
+
+    for (const command of plan.commands.filter(command => !plan.finalCommands.includes(command))) {
+      io.childProcess.execSync(command, { cwd: io.cwd(), stdio: io.commandStdio });
+    }
+
+    for (const hook of plan.hooks) {
+      const hookPath = io.resolve(hook.path);
+      await io.fs.mkdir(path.dirname(hookPath), { recursive: true });
+      await io.fs.writeFile(hookPath, hook.content);
+      await io.fs.chmod(hookPath, '755');
+      logger.info(`Hook installed: ${hook.path}`);
+    }
+  },
+};
+
+// Prints the plan, and applies it unless this is a dry run or the user declines. Returns whether it was applied.
+async function reviewAndApplyPlan(plan, args) {
+  logger.print(`\n${await planExecutor.describe(plan)}\n`);
+  if (args.dryRun) {
+    logger.info('Dry run complete. No files were changed and no packages were installed.');
+    return false;
+  }
+  if (!args.yes && userInteraction.isInteractive()) {
+    const apply = await userInteraction.confirm('Apply these changes?', false);
+    if (!apply) {
+      logger.info('No changes were made.');
+      return false;
+    }
+  }
+
+  logger.info('Applying changes...');
+  await planExecutor.apply(plan);
+  return true;
+}
+
+module.exports = { planExecutor, reviewAndApplyPlan };
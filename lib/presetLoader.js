@@ -0,0 +1,195 @@
+const path = require('path');
+const semver = require('semver');
+
+const { config } = require('./config');
+const { configFormats } = require('./configFormats');
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { getPackageName, isPlainObject } = require('./utils');
+
+// Shared presets: a file or npm package that adds to the generated configs, dependencies and scripts
+const presetLoader = {
+  // Settings a preset can hold at its top level, and for one project type under projectTypes.<type>
+  SETTINGS: {
+    eslint: 'object',
+    prettier: 'object',
+    dependencies: 'array',
+    ignorePatterns: 'array',
+    lintStaged: 'object',
+    scripts: 'object',
+  },
+  FORMATS: { '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.js': 'js', '.cjs': 'js', '.mjs': 'js' },
+
+  isPath(specifier) {
+    return specifier.startsWith('.') || path.isAbsolute(specifier);
+  },
+  // Finds the preset file. Packages are looked up like Node.js does, from the directory of whoever
+  // asks for them (the project, or a preset extending another one) up to the file system root.
+  async locate(specifier, fromDirectory) {
+    if (this.isPath(specifier)) {
+      const file = path.resolve(fromDirectory, specifier);
+      if ((await fileSystem.readFileIfExists(file)) === null) {
+        throw new Error(`Preset ${specifier} not found.`);
+      }
+      return { file, name: specifier, version: null, packageJson: {} };
+    }
+
+    const name = getPackageName(specifier);
+    const requestedVersion = specifier.slice(name.length + 1) || null;
+    for (let directory = fromDirectory; ; directory = path.dirname(directory)) {
+      const packageDirectory = path.join(directory, 'node_modules', name);
+      const content = await fileSystem.readFileIfExists(path.join(packageDirectory, 'package.json'));
+      if (content !== null) {
+        const packageJson = JSON.parse(content);
+        const file = await this.findEntry(packageDirectory, packageJson);
+        if (requestedVersion && semver.valid(packageJson.version) && !semver.satisfies(packageJson.version, requestedVersion)) {
+          logger.warn(`Preset ${name}@${requestedVersion} was asked for, but ${packageJson.version} is installed; using ${packageJson.version}.`);
+        }
+        return { file, name, version: packageJson.version || null, packageJson };
+      }
+      if (directory === path.dirname(directory)) break;
+    }
+    throw new Error(`Preset ${name} is not installed. Add it to devDependencies first, e.g. npm install --save-dev ${name}`);
+  },
+  async findEntry(packageDirectory, packageJson) {
+    const candidates = packageJson.main ? [packageJson.main] : ['index.json', 'index.js'];
+    for (const candidate of candidates) {
+      const file = path.join(packageDirectory, candidate);
+      if ((await fileSystem.readFileIfExists(file)) !== null) return file;
+    }
+    throw new Error(`Preset ${packageJson.name} has no ${candidates.join(' or ')} to load.`);
+  },
+  async read({ file, name, packageJson }) {
+    const format = this.FORMATS[path.extname(file)];
+    if (!format) {
+      throw new Error(`Preset ${name} must be a JSON, YAML or JavaScript file.`);
+    }
+    const { config: preset } = await configFormats.load(file, format, packageJson);
+    return preset;
+  },
+  validateSettings(settings, source) {
+    for (const [key, value] of Object.entries(settings)) {
+      const type = this.SETTINGS[key];
+      if (!type) {
+        logger.warn(`Ignoring unknown key "${key}" in ${source}.`);
+        continue;
+      }
+      if (type === 'array' ? !Array.isArray(value) : !isPlainObject(value)) {
+        throw new Error(`Invalid "${key}" in ${source}: expected ${type === 'array' ? 'an array' : 'an object'}.`);
+      }
+    }
+  },
+  // Splits a preset file into its extends, shared settings and settings per project type
+  validate(preset, name) {
+    const source = `preset ${name}`;
+    if (!isPlainObject(preset)) {
+      throw new Error(`Invalid ${source}: expected an object.`);
+    }
+    const { extends: parents = [], projectTypes = {}, ...settings } = preset;
+    if (typeof parents !== 'string' && !Array.isArray(parents)) {
+      throw new Error(`Invalid "extends" in ${source}: expected a preset name or a list of them.`);
+    }
+    if (!isPlainObject(projectTypes)) {
+      throw new Error(`Invalid "projectTypes" in ${source}: expected an object.`);
+    }
+    this.validateSettings(settings, source);
+    for (const [projectType, typeSettings] of Object.entries(projectTypes)) {
+      if (!config.PROJECT_TYPES.includes(projectType)) {
+        logger.warn(`Ignoring unknown project type "${projectType}" in ${source}.`);
+        continue;
+      }
+      if (!isPlainObject(typeSettings)) {
+        throw new Error(`Invalid "projectTypes.${projectType}" in ${source}: expected an object.`);
+      }
+      this.validateSettings(typeSettings, `"projectTypes.${projectType}" of ${source}`);
+    }
+    return { parents: [].concat(parents), settings, projectTypes };
+  },
+  // Loads a preset and the presets it extends. Later presets win over the ones they extend, and
+  // `sources` lists every preset that was applied, in that order.
+  async load(specifier, fromDirectory = io.cwd(), chain = []) {
+    const located = await this.locate(specifier, fromDirectory);
+    if (chain.includes(located.file)) {
+      throw new Error(`Preset ${located.name} extends itself.`);
+    }
+    const { parents, settings, projectTypes } = this.validate(await this.read(located), located.name);
+
+    let preset = { settings: {}, projectTypes: {}, sources: [] };
+    for (const parent of parents) {
+      preset = this.mergePresets(preset, await this.load(parent, path.dirname(located.file), [...chain, located.file]));
+    }
+    preset = this.mergePresets(preset, { settings, projectTypes, sources: [] });
+    return {
+      ...preset,
+      name: located.name,
+      version: located.version,
+      sources: [...preset.sources, { name: located.name, version: located.version }],
+    };
+  },
+  mergePresets(base, override) {
+    const projectTypes = { ...base.projectTypes };
+    for (const [projectType, settings] of Object.entries(override.projectTypes)) {
+      projectTypes[projectType] = this.mergeSettings(projectTypes[projectType], settings);
+    }
+    return {
+      settings: this.mergeSettings(base.settings, override.settings),
+      projectTypes,
+      sources: [...base.sources, ...override.sources],
+    };
+  },
+  unique(...lists) {
+    return [...new Set(lists.flatMap(list => [].concat(list || [])))];
+  },
+  mergeSettings(base = {}, override = {}) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      const current = merged[key];
+      switch (key) {
+        case 'eslint': {
+          const eslint = { ...current, ...value };
+          for (const listKey of ['extends', 'plugins']) {
+            if (eslint[listKey] !== undefined) eslint[listKey] = this.unique(current && current[listKey], value[listKey]);
+          }
+          for (const objectKey of ['rules', 'settings']) {
+            if (eslint[objectKey] !== undefined) eslint[objectKey] = { ...(current && current[objectKey]), ...value[objectKey] };
+          }
+          merged.eslint = eslint;
+          break;
+        }
+        case 'prettier':
+          merged.prettier = { ...current, ...value };
+          if (merged.prettier.plugins) merged.prettier.plugins = this.unique(current && current.plugins, value.plugins);
+          break;
+        case 'dependencies': {
+          // A package asked for again replaces the range it was asked for before
+          const byName = new Map([...(current || []), ...value].map(spec => [getPackageName(spec), spec]));
+          merged.dependencies = [...byName.values()];
+          break;
+        }
+        case 'ignorePatterns':
+          merged.ignorePatterns = this.unique(current, value);
+          break;
+        default:
+          merged[key] = { ...current, ...value };
+      }
+    }
+    return merged;
+  },
+  // The settings for a project: the shared ones, with those for its project type on top. Without a
+  // project type (the root of a monorepo) only the shared ones apply.
+  getSettings(preset, projectType = null) {
+    if (!preset) return null;
+    return this.mergeSettings(preset.settings, (projectType && preset.projectTypes[projectType]) || {});
+  },
+  // Only the settings for one project type, for the per-package parts of a monorepo config
+  getProjectTypeSettings(preset, projectType) {
+    return (preset && preset.projectTypes[projectType]) || null;
+  },
+  // name@version for packages, the path for files; stored in package.json so later runs use the same preset
+  describe(preset) {
+    return preset.version ? `${preset.name}@${preset.version}` : preset.name;
+  },
+};
+
+module.exports = { presetLoader };
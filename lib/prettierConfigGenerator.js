@@ -0,0 +1,45 @@
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+
+// Prettier configuration generator
+const prettierConfigGenerator = {
+  // Takes one project type, or the project types of a monorepo's packages, whose options and plugins are added
+  generateConfig(projectTypes, presetSettings = null) {
+    const types = [].concat(projectTypes);
+    const baseConfig = {
+      singleQuote: true,
+      trailingComma: 'es5',
+      printWidth: 100,
+      tabWidth: 2,
+      semi: true,
+    };
+
+    const plugins = this.getPlugins(types);
+    const generatedConfig = {
+      ...baseConfig,
+      ...(plugins.length > 0 ? { plugins } : {}),
+      ...Object.assign({}, ...types.map(projectType => projectTypeRegistry.get(projectType).prettier.options)),
+    };
+    return this.applyPreset(generatedConfig, presetSettings);
+  },
+
+  // Plugins to pass to the Prettier CLI
+  getPlugins(projectTypes) {
+    return [...new Set(projectTypes.flatMap(projectType => projectTypeRegistry.get(projectType).prettier.plugins))];
+  },
+
+  // A preset's Prettier options replace the defaults; its plugins are added to the generated ones
+  applyPreset(generatedConfig, presetSettings = null) {
+    if (!presetSettings || !presetSettings.prettier) return generatedConfig;
+    return this.mergeConfigs(generatedConfig, {}, presetSettings.prettier);
+  },
+
+  // Defaults < .editorconfig < the team's existing options; plugins are combined instead of replaced
+  mergeConfigs(generatedConfig, editorConfigOptions = {}, existingConfig = {}) {
+    const merged = { ...generatedConfig, ...editorConfigOptions, ...existingConfig };
+    const plugins = [...new Set([...(existingConfig.plugins || []), ...(generatedConfig.plugins || [])])];
+    if (plugins.length > 0) merged.plugins = plugins;
+    return merged;
+  },
+};
+
+module.exports = { prettierConfigGenerator };
@@ -0,0 +1,100 @@
+const semver = require('semver');
+
+const { compatibilityMatrix } = require('./compatibilityMatrix');
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { getAllDependencies } = require('./utils');
+
+// Project type and TypeScript detection
+const projectDetector = {
+  async readViteConfig(files, directory = '.') {
+    const viteConfig = files.find(file => /^vite\.config\.(js|cjs|mjs|ts|mts|cts)$/.test(file));
+    if (!viteConfig) return null;
+    try {
+      return { file: viteConfig, content: await io.fs.readFile(io.resolve(directory, viteConfig), 'utf-8') };
+    } catch (error) {
+      logger.debug(`Unable to read ${viteConfig}: ${error.message}`);
+      return null;
+    }
+  },
+  detectProjectType(dependencies, files, viteConfig) {
+    // Frameworks built on top of others (Next.js on React) are checked first
+    for (const projectType of projectTypeRegistry.getDetectionOrder()) {
+      const signal = projectType.detection;
+      const reasons = [];
+      const dependency = (signal.dependencies || []).find(name => dependencies[name]);
+      if (dependency) reasons.push(`"${dependency}" is listed in package.json`);
+      const configFile = signal.configFiles && files.find(file => signal.configFiles.test(file));
+      if (configFile) reasons.push(`${configFile} exists`);
+      const vitePlugin = viteConfig && (signal.vitePlugins || []).find(plugin => viteConfig.content.includes(plugin));
+      if (vitePlugin) reasons.push(`${viteConfig.file} uses ${vitePlugin}`);
+      if (reasons.length > 0) {
+        return { value: projectType.name, reason: reasons.join(' and ') };
+      }
+    }
+    return { value: projectTypeRegistry.FALLBACK, reason: 'no frontend framework was found in package.json or config files' };
+  },
+  detectTypeScript(dependencies, files) {
+    const reasons = [];
+    if (dependencies.typescript) reasons.push('"typescript" is listed in package.json');
+    const tsConfig = files.find(file => /^tsconfig(\..+)?\.json$/.test(file));
+    if (tsConfig) reasons.push(`${tsConfig} exists`);
+    if (reasons.length > 0) {
+      return { value: true, reason: reasons.join(' and ') };
+    }
+    return { value: false, reason: 'neither a "typescript" dependency nor a tsconfig file was found' };
+  },
+  // Why the dependencies of a package need a legacy config, or null. `where` names a workspace package.
+  findLegacyFormatReason(dependencies, where = '') {
+    const installedRange = dependencies.eslint;
+    const installedVersion = installedRange && semver.validRange(installedRange) && semver.minVersion(installedRange);
+    if (installedVersion && semver.lt(installedVersion, '9.0.0')) {
+      return `eslint ${installedRange} is already installed${where} and reads .eslintrc files`;
+    }
+    // Framework versions whose lint plugins only work with ESLint 8
+    const majorOf = (range) => range && semver.validRange(range) && semver.major(semver.minVersion(range));
+    const angularMajor = majorOf(dependencies['@angular/core']);
+    if (angularMajor && angularMajor < compatibilityMatrix.angularEslint.flatConfigMajor) {
+      return `angular-eslint for Angular ${angularMajor}${where} does not provide flat configs`;
+    }
+    const nextMajor = majorOf(dependencies.next);
+    if (nextMajor && nextMajor < compatibilityMatrix.nextEslint9Major) {
+      return `eslint-config-next for Next.js ${nextMajor}${where} only supports ESLint 8`;
+    }
+    return null;
+  },
+  // In a monorepo, one root config and ESLint install serve every workspace package, so all of them have to support the format
+  detectEslintConfigFormat(dependencies, workspaces = []) {
+    const manifests = [
+      { dependencies, where: '' },
+      ...workspaces.map(workspace => ({ dependencies: getAllDependencies(workspace.packageJson), where: ` in ${workspace.directory}` })),
+    ];
+    for (const manifest of manifests) {
+      const reason = this.findLegacyFormatReason(manifest.dependencies, manifest.where);
+      if (reason) return { value: 'legacy', reason };
+    }
+    return { value: 'flat', reason: 'ESLint 9 or later will be installed, which reads eslint.config.js by default' };
+  },
+  // Detects the project in the current directory, or in a workspace package relative to it
+  async detect(directory = '.') {
+    const packageJson = await fileSystem.readPackageJson(directory);
+    let files = [];
+    try {
+      files = await io.fs.readdir(io.resolve(directory));
+    } catch (error) {
+      logger.warn(`Unable to list project files: ${error.message}`);
+    }
+    const dependencies = getAllDependencies(packageJson);
+    const viteConfig = await this.readViteConfig(files, directory);
+
+    return {
+      projectType: this.detectProjectType(dependencies, files, viteConfig),
+      useTypeScript: this.detectTypeScript(dependencies, files),
+      eslintConfigFormat: this.detectEslintConfigFormat(dependencies),
+    };
+  },
+};
+
+module.exports = { projectDetector };
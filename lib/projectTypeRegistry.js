@@ -0,0 +1,128 @@
+const { angular } = require('./projectTypes/angular');
+const { astro } = require('./projectTypes/astro');
+const { nextjs } = require('./projectTypes/nextjs');
+const { nodejs } = require('./projectTypes/nodejs');
+const { nuxt } = require('./projectTypes/nuxt');
+const { react } = require('./projectTypes/react');
+const { reactNative } = require('./projectTypes/reactNative');
+const { remix } = require('./projectTypes/remix');
+const { solid } = require('./projectTypes/solid');
+const { svelte } = require('./projectTypes/svelte');
+const { vue } = require('./projectTypes/vue');
+
+// The project types CodePolishPro can set up. Each one is a module with:
+// - name and label
+// - detection: { dependencies, configFiles, vitePlugins } it is recognized by, or null; detectBefore lists the
+//   types whose packages its projects also have, so it is checked before them
+// - extensions: file extensions of its components, besides JavaScript and TypeScript
+// - dependencies: { legacy, flat }, the lint packages for each ESLint config format
+// - configureEslint(config, { useTypeScript }) and configureFlatConfig({ useTypeScript, usePrettier }), which
+//   build its part of the .eslintrc and eslint.config.js configs
+// - usesTypeScriptEslint(useTypeScript, eslintConfigFormat), false when its config brings TypeScript support itself
+// - prettier: { plugins, options }, ignores: { eslint, prettier, stylelint }, scripts and conflictingDependencies
+// - optionally alwaysTypeScript, commonJs, editor: { extensions, eslintLanguages }, getWorkspaceSettings(directory)
+//   and createFiles(plan, { useTypeScript })
+// - optionally typescript: { tsconfig, base, typecheck, typecheckDependencies }, or a function of the package.json
+//   returning them: the tsconfig.json of new TypeScript projects, the package it extends, and the typecheck script
+//   with the packages it runs
+const projectTypeRegistry = {
+  FALLBACK: 'nodejs',
+  types: new Map(),
+
+  // Fills in the parts a project type leaves out
+  normalize(projectType) {
+    return {
+      detection: null,
+      detectBefore: [],
+      extensions: [],
+      alwaysTypeScript: false,
+      commonJs: false,
+      scripts: {},
+      conflictingDependencies: [],
+      usesTypeScriptEslint: (useTypeScript) => useTypeScript,
+      configureEslint: (config) => config,
+      configureFlatConfig: () => ({}),
+      getWorkspaceSettings: () => null,
+      createFiles: () => {},
+      typescript: null,
+      ...projectType,
+      dependencies: { legacy: [], flat: [], ...projectType.dependencies },
+      prettier: { plugins: [], options: {}, ...projectType.prettier },
+      ignores: { eslint: [], prettier: [], stylelint: [], ...projectType.ignores },
+      editor: { extensions: [], eslintLanguages: [], ...projectType.editor },
+    };
+  },
+  register(projectType) {
+    if (typeof projectType !== 'object' || projectType === null || typeof projectType.name !== 'string') {
+      throw new Error('Invalid project type: expected an object with a name.');
+    }
+    const { name } = projectType;
+    if (!/^[a-z][a-z0-9-]*$/.test(name)) {
+      throw new Error(`Invalid project type name "${name}": use lowercase letters, digits and dashes.`);
+    }
+    const existing = this.types.get(name);
+    if (existing) {
+      // Loading the same plugin again, e.g. when setup() runs twice in one process, is fine
+      if (existing.source === projectType) return;
+      throw new Error(`Project type "${name}" is already registered.`);
+    }
+    for (const key of ['configureEslint', 'configureFlatConfig', 'usesTypeScriptEslint', 'getWorkspaceSettings', 'createFiles']) {
+      if (projectType[key] !== undefined && typeof projectType[key] !== 'function') {
+        throw new Error(`Invalid project type "${name}": ${key} must be a function.`);
+      }
+    }
+    this.types.set(name, { ...this.normalize(projectType), source: projectType });
+  },
+  unregister(name) {
+    this.types.delete(name);
+  },
+  has(name) {
+    return this.types.has(name);
+  },
+  get(name) {
+    const projectType = this.types.get(name);
+    if (!projectType) {
+      throw new Error(`Unknown project type "${name}". Expected one of: ${this.names().join(', ')}.`);
+    }
+    return projectType;
+  },
+  names() {
+    return [...this.types.keys()];
+  },
+  all() {
+    return [...this.types.values()];
+  },
+  // Project types that can be detected, each before the types it lists in detectBefore
+  getDetectionOrder() {
+    const ordered = [];
+    for (const projectType of this.all().filter(type => type.detection)) {
+      const positions = projectType.detectBefore
+        .map(name => ordered.findIndex(type => type.name === name))
+        .filter(index => index !== -1);
+      if (positions.length > 0) {
+        ordered.splice(Math.min(...positions), 0, projectType);
+      } else {
+        ordered.push(projectType);
+      }
+    }
+    return ordered;
+  },
+  // Registers the project types of plugins: installed packages or paths, resolved from the project directory.
+  // A plugin exports a project type or a list of them.
+  loadPlugins(specifiers, fromDirectory) {
+    for (const specifier of specifiers) {
+      let plugin;
+      try {
+        plugin = require(require.resolve(specifier, { paths: [fromDirectory] }));
+      } catch (error) {
+        throw new Error(`Unable to load project type plugin ${specifier}: ${error.message}`);
+      }
+      [].concat(plugin).forEach(projectType => this.register(projectType));
+    }
+  },
+};
+
+[nextjs, react, nodejs, angular, vue, svelte, astro, nuxt, remix, solid, reactNative]
+  .forEach(projectType => projectTypeRegistry.register(projectType));
+
+module.exports = { projectTypeRegistry };
@@ -0,0 +1,80 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// Angular, linted with angular-eslint, including inline and external component templates
+const angular = {
+  name: 'angular',
+  label: 'Angular',
+  detection: {
+    dependencies: ['@angular/core'],
+    configFiles: /^angular\.json$/,
+    vitePlugins: [],
+  },
+  // Angular components are always written in TypeScript
+  alwaysTypeScript: true,
+  dependencies: {
+    legacy: ['@angular-eslint/eslint-plugin@^18.3.0', '@angular-eslint/eslint-plugin-template@^18.3.0'],
+    flat: ['angular-eslint@^18.3.0', 'typescript-eslint@^8.4.0'],
+  },
+  ignores: {
+    eslint: ['.angular'],
+    prettier: ['.angular'],
+    stylelint: ['.angular'],
+  },
+  // The Angular CLI writes the tsconfig files; building type checks the templates too, which tsc cannot
+  typescript: {
+    tsconfig: {
+      compilerOptions: {
+        strict: true,
+        noImplicitOverride: true,
+        noPropertyAccessFromIndexSignature: true,
+        noImplicitReturns: true,
+        noFallthroughCasesInSwitch: true,
+        skipLibCheck: true,
+        esModuleInterop: true,
+        experimentalDecorators: true,
+        moduleResolution: 'bundler',
+        importHelpers: true,
+        target: 'ES2022',
+        module: 'ES2022',
+      },
+      angularCompilerOptions: {
+        strictInjectionParameters: true,
+        strictInputAccessModifiers: true,
+        strictTemplates: true,
+      },
+    },
+    typecheck: 'ng build --configuration development',
+  },
+  editor: {
+    extensions: ['Angular.ng-template'],
+    // angular-eslint lints the HTML templates too
+    eslintLanguages: ['html'],
+  },
+  // The flat configs of angular-eslint are built on typescript-eslint
+  usesTypeScriptEslint(useTypeScript, eslintConfigFormat) {
+    return useTypeScript || eslintConfigFormat === 'flat';
+  },
+  configureEslint(config) {
+    config.extends = [
+      ...(config.extends || []),
+      'plugin:@angular-eslint/recommended',
+      'plugin:@angular-eslint/template/process-inline-templates',
+    ];
+    config.plugins = [...(config.plugins || []), '@angular-eslint'];
+    return config;
+  },
+  configureFlatConfig() {
+    const { code } = sourceWriter;
+    return {
+      imports: [['angular', 'angular-eslint']],
+      entries: [],
+      afterTypeScript: [
+        code("...angular.configs.tsRecommended.map((config) => ({ ...config, files: ['**/*.ts'] }))"),
+        { files: ['**/*.ts'], processor: code('angular.processInlineTemplates') },
+        code("...angular.configs.templateRecommended.map((config) => ({ ...config, files: ['**/*.html'] }))"),
+      ],
+    };
+  },
+};
+
+module.exports = { angular };
@@ -0,0 +1,73 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// Astro sites; .astro components are parsed by astro-eslint-parser, which eslint-plugin-astro brings along
+const astro = {
+  name: 'astro',
+  label: 'Astro',
+  detection: {
+    dependencies: ['astro'],
+    configFiles: /^astro\.config\.(js|cjs|mjs|ts|mts)$/,
+    vitePlugins: [],
+  },
+  // Astro projects also list the UI frameworks their islands are written in
+  detectBefore: ['react', 'vue', 'svelte', 'solid'],
+  extensions: ['astro'],
+  dependencies: {
+    legacy: ['eslint-plugin-astro@^1.2.0', 'prettier-plugin-astro@^0.14.1'],
+    flat: ['eslint-plugin-astro@^1.2.0', 'prettier-plugin-astro@^0.14.1'],
+  },
+  prettier: {
+    plugins: ['prettier-plugin-astro'],
+    options: {
+      overrides: [{ files: '*.astro', options: { parser: 'astro' } }],
+    },
+  },
+  ignores: {
+    eslint: ['.astro'],
+    prettier: ['.astro'],
+    stylelint: ['.astro'],
+  },
+  // The bases come with astro; astro check also type checks .astro files
+  typescript: {
+    tsconfig: {
+      extends: 'astro/tsconfigs/strict',
+      include: ['.astro/types.d.ts', '**/*'],
+      exclude: ['dist'],
+    },
+    typecheck: 'astro check',
+    typecheckDependencies: ['@astrojs/check@^0.9.4'],
+  },
+  editor: {
+    extensions: ['astro-build.astro-vscode'],
+  },
+  configureEslint(config, { useTypeScript }) {
+    config.parserOptions.sourceType = 'module';
+    config.extends = [...(config.extends || []), 'plugin:astro/recommended'];
+    if (useTypeScript) {
+      config.overrides = [
+        ...(config.overrides || []),
+        {
+          files: ['*.astro'],
+          parser: 'astro-eslint-parser',
+          parserOptions: { parser: '@typescript-eslint/parser', extraFileExtensions: ['.astro'] },
+        },
+      ];
+    }
+    return config;
+  },
+  configureFlatConfig({ useTypeScript }) {
+    const { code } = sourceWriter;
+    return {
+      imports: [['astro', 'eslint-plugin-astro']],
+      entries: [code("...astro.configs['flat/recommended']")],
+      afterTypeScript: useTypeScript
+        ? [{
+          files: ['**/*.astro'],
+          languageOptions: { parserOptions: { parser: code('tseslint.parser'), extraFileExtensions: ['.astro'] } },
+        }]
+        : [],
+    };
+  },
+};
+
+module.exports = { astro };
@@ -0,0 +1,54 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// Next.js, linted with eslint-config-next, which brings its own React and TypeScript setup
+const nextjs = {
+  name: 'nextjs',
+  label: 'Next.js',
+  detection: {
+    dependencies: ['next'],
+    configFiles: /^next\.config\.(js|cjs|mjs|ts)$/,
+    vitePlugins: [],
+  },
+  detectBefore: ['react'],
+  dependencies: {
+    legacy: ['eslint-config-next@latest'],
+    flat: ['eslint-config-next@latest', '@eslint/eslintrc@^3.1.0'],
+  },
+  ignores: {
+    eslint: ['next.config.js', '.next', 'out'],
+    prettier: ['.next', 'out'],
+    stylelint: ['.next', 'out'],
+  },
+  // next build adds its plugin and the rest of the options it needs to tsconfig.json
+  typescript: {
+    tsconfig: {
+      extends: '@tsconfig/next/tsconfig.json',
+      include: ['next-env.d.ts', '**/*.ts', '**/*.tsx'],
+      exclude: ['node_modules'],
+    },
+    base: '@tsconfig/next@^2.0.3',
+  },
+  conflictingDependencies: ['@next/eslint-plugin-next'],
+  usesTypeScriptEslint() {
+    return false;
+  },
+  configureEslint(config) {
+    config.parserOptions.sourceType = 'module';
+    config.extends = [...(config.extends || []), 'next/core-web-vitals'];
+    return config;
+  },
+  // eslint-config-next is published as an eslintrc config, so it is loaded through FlatCompat
+  configureFlatConfig({ useTypeScript }) {
+    const names = ['next/core-web-vitals', ...(useTypeScript ? ['next/typescript'] : [])];
+    return {
+      compat: true,
+      entries: [sourceWriter.code(`...compat.extends(${names.map(name => sourceWriter.formatString(name)).join(', ')})`)],
+    };
+  },
+  // The Next.js plugin looks for the pages and app directories from here
+  getWorkspaceSettings(directory) {
+    return { next: { rootDir: directory } };
+  },
+};
+
+module.exports = { nextjs };
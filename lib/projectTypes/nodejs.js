@@ -0,0 +1,57 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// Node.js packages and servers; also the project type when no frontend framework is found
+const nodejs = {
+  name: 'nodejs',
+  label: 'Node.js',
+  detection: null,
+  // Without "type": "module" in package.json, its files are CommonJS
+  commonJs: true,
+  dependencies: {
+    legacy: ['eslint-plugin-node@^11.1.0'],
+    flat: ['eslint-plugin-n@^17.10.0'],
+  },
+  typescript: {
+    tsconfig: {
+      extends: '@tsconfig/node-lts/tsconfig.json',
+      compilerOptions: { outDir: 'dist' },
+    },
+    base: '@tsconfig/node-lts@^20.1.3',
+  },
+  configureEslint(config) {
+    config.extends = [...(config.extends || []), 'plugin:node/recommended'];
+    config.plugins = [...(config.plugins || []), 'node'];
+    config.rules = {
+      ...config.rules,
+      'node/exports-style': ['error', 'module.exports'],
+      'node/file-extension-in-import': ['error', 'always'],
+      'node/prefer-global/buffer': ['error', 'always'],
+      'node/prefer-global/console': ['error', 'always'],
+      'node/prefer-global/process': ['error', 'always'],
+      'node/prefer-global/url-search-params': ['error', 'always'],
+      'node/prefer-global/url': ['error', 'always'],
+      'node/prefer-promises/dns': 'error',
+      'node/prefer-promises/fs': 'error',
+    };
+    return config;
+  },
+  configureFlatConfig() {
+    return {
+      imports: [['nodePlugin', 'eslint-plugin-n']],
+      entries: [sourceWriter.code("nodePlugin.configs['flat/recommended']")],
+      rules: {
+        'n/exports-style': ['error', 'module.exports'],
+        'n/file-extension-in-import': ['error', 'always'],
+        'n/prefer-global/buffer': ['error', 'always'],
+        'n/prefer-global/console': ['error', 'always'],
+        'n/prefer-global/process': ['error', 'always'],
+        'n/prefer-global/url-search-params': ['error', 'always'],
+        'n/prefer-global/url': ['error', 'always'],
+        'n/prefer-promises/dns': 'error',
+        'n/prefer-promises/fs': 'error',
+      },
+    };
+  },
+};
+
+module.exports = { nodejs };
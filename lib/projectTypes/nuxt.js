@@ -0,0 +1,48 @@
+const { vue } = require('./vue');
+
+// Nuxt auto-imports composables and components, which no-undef cannot see; TypeScript checks them instead
+const rules = {
+  'no-undef': 'off',
+};
+// Pages and layouts are named after their file, so single-word names are expected there
+const pageRules = {
+  files: ['pages/**/*.vue', 'layouts/**/*.vue', 'app.vue', 'error.vue'],
+  rules: { 'vue/multi-word-component-names': 'off' },
+};
+
+// Nuxt: Vue components, with file-based pages and layouts and the auto-imports Nuxt adds
+const nuxt = {
+  ...vue,
+  name: 'nuxt',
+  label: 'Nuxt',
+  detection: {
+    dependencies: ['nuxt'],
+    configFiles: /^nuxt\.config\.(js|mjs|ts)$/,
+    vitePlugins: [],
+  },
+  detectBefore: ['vue'],
+  ignores: {
+    eslint: ['.nuxt', '.output'],
+    prettier: ['.nuxt', '.output'],
+    stylelint: ['.nuxt', '.output'],
+  },
+  // Nuxt generates the base into .nuxt; nuxi typecheck runs vue-tsc
+  typescript: {
+    tsconfig: { extends: './.nuxt/tsconfig.json' },
+    typecheck: 'nuxi typecheck',
+    typecheckDependencies: ['vue-tsc@^2.1.6'],
+  },
+  configureEslint(config, options) {
+    config.parserOptions.sourceType = 'module';
+    vue.configureEslint(config, options);
+    config.rules = { ...config.rules, ...rules };
+    config.overrides = [...(config.overrides || []), pageRules];
+    return config;
+  },
+  configureFlatConfig(options) {
+    const vueConfig = vue.configureFlatConfig(options);
+    return { ...vueConfig, afterTypeScript: [...vueConfig.afterTypeScript, pageRules], rules };
+  },
+};
+
+module.exports = { nuxt };
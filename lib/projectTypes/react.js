@@ -0,0 +1,107 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// React, with hooks, accessibility and import checks
+const react = {
+  name: 'react',
+  label: 'React',
+  detection: {
+    dependencies: ['react'],
+    configFiles: null,
+    vitePlugins: ['@vitejs/plugin-react', '@vitejs/plugin-react-swc'],
+  },
+  dependencies: {
+    legacy: [
+      'eslint-plugin-react@^7.34.1',
+      'eslint-plugin-react-hooks@^4.6.0',
+      'eslint-plugin-jsx-a11y@^6.8.0',
+      'eslint-config-react-app@^7.0.1',
+      'eslint-plugin-import@^2.29.1',
+    ],
+    flat: [
+      'eslint-plugin-react@^7.35.0',
+      'eslint-plugin-react-hooks@^5.0.0',
+      'eslint-plugin-jsx-a11y@^6.10.0',
+      'eslint-plugin-import@^2.31.0',
+    ],
+  },
+  ignores: {
+    eslint: ['react-app-env.d.ts'],
+  },
+  typescript: {
+    tsconfig: { extends: '@tsconfig/vite-react/tsconfig.json', include: ['src'] },
+    base: '@tsconfig/vite-react@^3.0.2',
+  },
+  configureEslint(config, { useTypeScript }) {
+    config.parserOptions.sourceType = 'module';
+    config.extends = [
+      ...(config.extends || []),
+      'plugin:react/recommended',
+      'plugin:react/jsx-runtime',
+      'plugin:react-hooks/recommended',
+      'plugin:jsx-a11y/recommended',
+      'plugin:import/errors',
+      'plugin:import/warnings',
+    ];
+    config.plugins = [...(config.plugins || []), 'react', 'react-hooks', 'jsx-a11y', 'import'];
+    config.settings = {
+      ...config.settings,
+      react: { version: 'detect' },
+      'import/resolver': {
+        node: {
+          extensions: ['.js', '.jsx', '.ts', '.tsx'],
+        },
+      },
+    };
+    config.rules = {
+      ...config.rules,
+      'react/prop-types': useTypeScript ? 'off' : 'error',
+      'react/jsx-uses-react': 'error',
+      'react/jsx-uses-vars': 'error',
+      'react-hooks/rules-of-hooks': 'error',
+      'react-hooks/exhaustive-deps': 'warn',
+      'import/no-unresolved': 'error',
+      'import/named': 'error',
+      'import/default': 'error',
+      'import/namespace': 'error',
+    };
+    if (useTypeScript) {
+      config.parserOptions.ecmaFeatures = { jsx: true };
+    }
+    return config;
+  },
+  configureFlatConfig({ useTypeScript }) {
+    const { code } = sourceWriter;
+    return {
+      imports: [
+        ['react', 'eslint-plugin-react'],
+        ['reactHooks', 'eslint-plugin-react-hooks'],
+        ['jsxA11y', 'eslint-plugin-jsx-a11y'],
+        ['importPlugin', 'eslint-plugin-import'],
+      ],
+      entries: [
+        code('react.configs.flat.recommended'),
+        code("react.configs.flat['jsx-runtime']"),
+        { plugins: { 'react-hooks': code('reactHooks') }, rules: code('reactHooks.configs.recommended.rules') },
+        code('jsxA11y.flatConfigs.recommended'),
+        code('importPlugin.flatConfigs.errors'),
+        code('importPlugin.flatConfigs.warnings'),
+        {
+          settings: {
+            react: { version: 'detect' },
+            'import/resolver': { node: { extensions: ['.js', '.jsx', '.ts', '.tsx'] } },
+          },
+        },
+        // The Node.js resolver of eslint-plugin-import ignores package "exports", the only entry point of packages
+        // such as typescript-eslint. ESLint resolves the imports of its config file itself when loading it.
+        { files: ['eslint.config.*'], rules: { 'import/no-unresolved': 'off' } },
+      ],
+      rules: {
+        'react/prop-types': useTypeScript ? 'off' : 'error',
+        'react-hooks/rules-of-hooks': 'error',
+        'react-hooks/exhaustive-deps': 'warn',
+      },
+    };
+  },
+};
+
+module.exports = { react };
@@ -0,0 +1,43 @@
+const { sourceWriter } = require('../sourceWriter');
+const { getAllDependencies } = require('../utils');
+
+// React Native apps, with or without Expo, linted with Expo's config for React Native
+const reactNative = {
+  name: 'react-native',
+  label: 'React Native/Expo',
+  detection: {
+    dependencies: ['expo', 'react-native'],
+    configFiles: null,
+    vitePlugins: [],
+  },
+  detectBefore: ['react'],
+  // eslint-config-expo 9 added the flat config, as eslint-config-expo/flat
+  dependencies: {
+    legacy: ['eslint-config-expo@^8.0.1'],
+    flat: ['eslint-config-expo@^9.2.0'],
+  },
+  ignores: {
+    eslint: ['.expo', 'web-build'],
+    prettier: ['.expo', 'web-build'],
+  },
+  // Expo ships its own base; bare React Native projects use the @tsconfig one
+  typescript: (packageJson) => (getAllDependencies(packageJson).expo
+    ? { tsconfig: { extends: 'expo/tsconfig.base', compilerOptions: { strict: true } } }
+    : { tsconfig: { extends: '@tsconfig/react-native/tsconfig.json' }, base: '@tsconfig/react-native@^3.0.5' }),
+  editor: {
+    extensions: ['expo.vscode-expo-tools'],
+  },
+  configureEslint(config) {
+    config.parserOptions.sourceType = 'module';
+    config.extends = [...(config.extends || []), 'expo'];
+    return config;
+  },
+  configureFlatConfig() {
+    return {
+      imports: [['expoConfig', 'eslint-config-expo/flat']],
+      entries: [sourceWriter.code('...expoConfig')],
+    };
+  },
+};
+
+module.exports = { reactNative };
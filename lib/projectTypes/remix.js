@@ -0,0 +1,30 @@
+const { react } = require('./react');
+
+// Remix: React with server routes. @remix-run/eslint-config is deprecated in favour of the React setup.
+const remix = {
+  ...react,
+  name: 'remix',
+  label: 'Remix',
+  detection: {
+    dependencies: ['@remix-run/react', '@remix-run/dev'],
+    configFiles: /^remix\.config\.(js|cjs|mjs)$/,
+    vitePlugins: ['@remix-run/dev'],
+  },
+  detectBefore: ['react'],
+  ignores: {
+    eslint: ['.cache', 'public/build'],
+    prettier: ['.cache', 'public/build'],
+    stylelint: ['.cache', 'public/build'],
+  },
+  typescript: {
+    tsconfig: {
+      extends: '@tsconfig/vite-react/tsconfig.json',
+      compilerOptions: { types: ['@remix-run/node', 'vite/client'] },
+      include: ['**/*.ts', '**/*.tsx'],
+    },
+    base: '@tsconfig/vite-react@^3.0.2',
+  },
+  conflictingDependencies: ['@remix-run/eslint-config'],
+};
+
+module.exports = { remix };
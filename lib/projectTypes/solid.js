@@ -0,0 +1,47 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// SolidJS and SolidStart
+const solid = {
+  name: 'solid',
+  label: 'SolidJS',
+  detection: {
+    dependencies: ['solid-js', '@solidjs/start'],
+    configFiles: null,
+    vitePlugins: ['vite-plugin-solid'],
+  },
+  dependencies: {
+    legacy: ['eslint-plugin-solid@^0.14.3'],
+    flat: ['eslint-plugin-solid@^0.14.3'],
+  },
+  ignores: {
+    eslint: ['.vinxi', '.output'],
+    prettier: ['.vinxi', '.output'],
+    stylelint: ['.vinxi', '.output'],
+  },
+  // There is no Solid base, so the Vite one is used with Solid's JSX
+  typescript: {
+    tsconfig: {
+      extends: '@tsconfig/vite-react/tsconfig.json',
+      compilerOptions: { jsx: 'preserve', jsxImportSource: 'solid-js' },
+      include: ['src'],
+    },
+    base: '@tsconfig/vite-react@^3.0.2',
+  },
+  configureEslint(config, { useTypeScript }) {
+    config.parserOptions.sourceType = 'module';
+    config.extends = [...(config.extends || []), useTypeScript ? 'plugin:solid/typescript' : 'plugin:solid/recommended'];
+    config.plugins = [...(config.plugins || []), 'solid'];
+    return config;
+  },
+  // The plugin ships its flat configs as separate entry points; they are imported under different names
+  // because packages of a monorepo can use either
+  configureFlatConfig({ useTypeScript }) {
+    const [name, config] = useTypeScript ? ['solidTypeScript', 'typescript'] : ['solid', 'recommended'];
+    return {
+      imports: [[name, `eslint-plugin-solid/configs/${config}`]],
+      entries: [sourceWriter.code(name)],
+    };
+  },
+};
+
+module.exports = { solid };
@@ -0,0 +1,138 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// Svelte and SvelteKit; components are type checked by svelte-check
+const svelte = {
+  name: 'svelte',
+  label: 'Svelte',
+  detection: {
+    dependencies: ['svelte', '@sveltejs/kit'],
+    configFiles: /^svelte\.config\.(js|cjs|mjs|ts)$/,
+    vitePlugins: ['@sveltejs/vite-plugin-svelte', '@sveltejs/kit/vite'],
+  },
+  extensions: ['svelte'],
+  dependencies: {
+    legacy: [
+      'eslint-plugin-svelte@^2.35.1',
+      'svelte-eslint-parser@^0.41.0',
+      'prettier-plugin-svelte@^3.2.6',
+      'svelte-check@^4.0.0',
+      '@typescript-eslint/eslint-plugin@^8.4.0',
+      '@typescript-eslint/parser@^8.4.0',
+      'typescript@^5.5.0',
+    ],
+    flat: [
+      'eslint-plugin-svelte@^2.44.0',
+      'svelte-eslint-parser@^0.41.0',
+      'prettier-plugin-svelte@^3.2.6',
+      'svelte-check@^4.0.0',
+    ],
+  },
+  prettier: {
+    plugins: ['prettier-plugin-svelte'],
+    options: {
+      svelteSortOrder: 'options-scripts-markup-styles',
+      svelteStrictMode: false,
+      svelteIndentScriptAndStyle: true,
+      svelteAllowShorthand: true,
+    },
+  },
+  ignores: {
+    eslint: [
+      'rollup.config.js',
+      'svelte.config.js',
+      '.svelte-kit',
+      'package',
+      'build',
+      '.env',
+      '.env.*',
+      '!.env.example',
+      'vite.config.js',
+    ],
+    prettier: ['.svelte-kit'],
+    stylelint: ['.svelte-kit'],
+  },
+  // svelte-check and the typescript-eslint parser need a tsconfig.json that knows about .svelte files; tsc does not
+  // read them, so svelte-check type checks the project
+  typescript: {
+    tsconfig: {
+      extends: '@tsconfig/svelte/tsconfig.json',
+      compilerOptions: {
+        moduleResolution: 'node',
+        target: 'esnext',
+        module: 'esnext',
+        isolatedModules: true,
+        sourceMap: true,
+        esModuleInterop: true,
+        skipLibCheck: true,
+        forceConsistentCasingInFileNames: true,
+        allowJs: true,
+        checkJs: true,
+        baseUrl: '.',
+        paths: {
+          '$lib': ['src/lib'],
+          '$lib/*': ['src/lib/*'],
+        },
+      },
+      include: ['src/**/*.d.ts', 'src/**/*.ts', 'src/**/*.js', 'src/**/*.svelte'],
+      exclude: ['node_modules/*', '__sapper__/*', 'public/*'],
+    },
+    base: '@tsconfig/svelte@^5.0.4',
+    typecheck: 'svelte-check --tsconfig ./tsconfig.json',
+  },
+  editor: {
+    extensions: ['svelte.svelte-vscode'],
+  },
+  // The legacy config sets up typescript-eslint for .svelte files itself
+  usesTypeScriptEslint(useTypeScript, eslintConfigFormat) {
+    return useTypeScript && eslintConfigFormat === 'flat';
+  },
+  configureEslint(config, { useTypeScript }) {
+    config.parserOptions.sourceType = 'module';
+    config.extends = [
+      'eslint:recommended',
+      'plugin:svelte/recommended',
+    ];
+    config.plugins = ['svelte'];
+    config.overrides = [
+      {
+        files: ['*.svelte'],
+        parser: 'svelte-eslint-parser',
+        parserOptions: {
+          parser: useTypeScript ? '@typescript-eslint/parser' : 'espree',
+        },
+      }
+    ];
+    // .svelte files are parsed by svelte-eslint-parser, everything else by the parser for the language
+    if (useTypeScript) {
+      config.parser = '@typescript-eslint/parser';
+      config.extends.push('plugin:@typescript-eslint/recommended');
+      config.plugins.push('@typescript-eslint');
+      config.parserOptions = {
+        ...config.parserOptions,
+        project: './tsconfig.eslint.json',
+        extraFileExtensions: ['.svelte']
+      };
+    }
+    config.rules = {
+      ...config.rules,
+      'no-unused-vars': 'off',
+      '@typescript-eslint/no-unused-vars': useTypeScript ? ['error', { "varsIgnorePattern": "^_", "argsIgnorePattern": "^_" }] : 'off',
+    };
+    return config;
+  },
+  configureFlatConfig({ useTypeScript, usePrettier }) {
+    const { code } = sourceWriter;
+    return {
+      imports: [['svelte', 'eslint-plugin-svelte']],
+      entries: [code("...svelte.configs['flat/recommended']"), ...(usePrettier ? [code("...svelte.configs['flat/prettier']")] : [])],
+      afterTypeScript: useTypeScript
+        ? [{
+          files: ['**/*.svelte'],
+          languageOptions: { parserOptions: { parser: code('tseslint.parser'), extraFileExtensions: ['.svelte'] } },
+        }]
+        : [],
+    };
+  },
+};
+
+module.exports = { svelte };
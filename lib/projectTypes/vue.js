@@ -0,0 +1,48 @@
+const { sourceWriter } = require('../sourceWriter');
+
+// Vue 3 single-file components
+const vue = {
+  name: 'vue',
+  label: 'Vue',
+  detection: {
+    dependencies: ['vue'],
+    configFiles: null,
+    vitePlugins: ['@vitejs/plugin-vue'],
+  },
+  extensions: ['vue'],
+  dependencies: {
+    legacy: ['eslint-plugin-vue@^9.23.0'],
+    flat: ['eslint-plugin-vue@^9.28.0'],
+  },
+  editor: {
+    extensions: ['Vue.volar'],
+  },
+  // tsc does not read .vue files; vue-tsc type checks them along with the rest
+  typescript: {
+    tsconfig: {
+      extends: '@vue/tsconfig/tsconfig.dom.json',
+      include: ['env.d.ts', 'src/**/*', 'src/**/*.vue'],
+    },
+    base: '@vue/tsconfig@^0.5.1',
+    typecheck: 'vue-tsc --noEmit',
+    typecheckDependencies: ['vue-tsc@^2.1.6'],
+  },
+  configureEslint(config) {
+    config.extends = [...(config.extends || []), 'plugin:vue/vue3-recommended'];
+    config.plugins = [...(config.plugins || []), 'vue'];
+    config.parser = 'vue-eslint-parser';
+    return config;
+  },
+  configureFlatConfig({ useTypeScript }) {
+    const { code } = sourceWriter;
+    return {
+      imports: [['pluginVue', 'eslint-plugin-vue']],
+      entries: [code("...pluginVue.configs['flat/recommended']")],
+      afterTypeScript: useTypeScript
+        ? [{ files: ['**/*.vue'], languageOptions: { parserOptions: { parser: code('tseslint.parser') } } }]
+        : [],
+    };
+  },
+};
+
+module.exports = { vue };
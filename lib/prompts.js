@@ -0,0 +1,219 @@
+const readline = require('readline');
+
+const { io } = require('./io');
+
+const HIDE_CURSOR = '\u001B[?25l';
+const SHOW_CURSOR = '\u001B[?25h';
+
+// Questions on the terminal, built on Node's readline only. With stdin and stdout both terminals they are menus
+// answered with the arrow keys; otherwise, such as when the output is piped into a file, numbered line prompts.
+const prompts = {
+  // The line prompts share one interface. Lines that arrive before they are asked for wait in the queue.
+  lines: null,
+  queue: [],
+  waiting: null,
+  ended: false,
+
+  usesMenus() {
+    return Boolean(io.stdin.isTTY && io.stdout.isTTY && io.stdin.setRawMode) && process.env.TERM !== 'dumb';
+  },
+  readLine(question) {
+    if (!this.lines) {
+      this.lines = readline.createInterface({ input: io.stdin, terminal: false });
+      this.lines.on('line', (line) => {
+        if (!this.waiting) {
+          this.queue.push(line);
+          return;
+        }
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve(line);
+      });
+      this.lines.on('close', () => {
+        this.ended = true;
+        if (!this.waiting) return;
+        const { reject } = this.waiting;
+        this.waiting = null;
+        reject(new Error('stdin was closed before every question was answered.'));
+      });
+    }
+    io.stdout.write(question);
+    if (this.queue.length > 0) return Promise.resolve(this.queue.shift());
+    if (this.ended) return Promise.reject(new Error('stdin was closed before every question was answered.'));
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  },
+  // Asks until parse() accepts the answer, which it returns as { value }
+  async askLine(question, parse, hint) {
+    while (true) {
+      const result = parse((await this.readLine(question)).trim());
+      if (result) return result.value;
+      io.stdout.write(`${hint}\n`);
+    }
+  },
+  // Draws the lines of render() and draws them again after every key press, until onKey() returns { value }.
+  // render(true) is what stays on the screen once the question is answered.
+  askKeys(render, onKey) {
+    const { stdin, stdout } = io;
+    let height = 0;
+    const draw = (answered) => {
+      if (height > 0) {
+        readline.moveCursor(stdout, 0, -height);
+        readline.cursorTo(stdout, 0);
+        readline.clearScreenDown(stdout);
+      }
+      // Wrapped lines would throw off the count of lines to clear
+      const columns = stdout.columns || 80;
+      const lines = render(answered).map(line => (line.length < columns ? line : `${line.slice(0, columns - 2)}…`));
+      stdout.write(`${lines.join('\n')}\n`);
+      height = lines.length;
+    };
+    return new Promise((resolve, reject) => {
+      const finish = (callback) => {
+        stdin.removeListener('keypress', onKeypress);
+        stdin.setRawMode(false);
+        stdin.pause();
+        stdout.write(SHOW_CURSOR);
+        callback();
+      };
+      const onKeypress = (input, key = {}) => {
+        // Raw mode turns Ctrl+C into a key press
+        if (key.ctrl && key.name === 'c') {
+          finish(() => reject(new Error('Setup was cancelled.')));
+          return;
+        }
+        const result = onKey(key.name || input);
+        draw(Boolean(result));
+        if (result) finish(() => resolve(result.value));
+      };
+      readline.emitKeypressEvents(stdin);
+      stdin.setRawMode(true);
+      stdin.resume();
+      stdout.write(HIDE_CURSOR);
+      draw(false);
+      stdin.on('keypress', onKeypress);
+    });
+  },
+  describeChoice(choice) {
+    return `${choice.label}${choice.hint ? `  ${choice.hint}` : ''}`;
+  },
+  // Choices are { value, label, hint }; the default is highlighted first
+  async select(message, choices, defaultValue) {
+    const defaultIndex = Math.max(0, choices.findIndex(choice => choice.value === defaultValue));
+    if (!this.usesMenus()) {
+      const list = choices.map((choice, index) => `  ${index + 1}) ${this.describeChoice(choice)}`).join('\n');
+      const parse = (answer) => {
+        if (answer === '') return { value: choices[defaultIndex].value };
+        const index = Number(answer) - 1;
+        const choice = /^\d+$/.test(answer)
+          ? choices[index]
+          : choices.find(({ value, label }) => [String(value), label].some(name => name.toLowerCase() === answer.toLowerCase()));
+        return choice && { value: choice.value };
+      };
+      return this.askLine(`? ${message}\n${list}\nEnter a number [${defaultIndex + 1}]: `, parse, 'Please enter one of the numbers above.');
+    }
+    let index = defaultIndex;
+    return this.askKeys(
+      answered => (answered
+        ? [`? ${message} › ${choices[index].label}`]
+        : [
+          `? ${message}`,
+          ...choices.map((choice, i) => `${i === index ? '❯' : ' '} ${this.describeChoice(choice)}`),
+          '  (↑/↓ to move, Enter to select)',
+        ]),
+      (key) => {
+        if (key === 'up' || key === 'k') index = (index + choices.length - 1) % choices.length;
+        if (key === 'down' || key === 'j') index = (index + 1) % choices.length;
+        return key === 'return' || key === 'enter' ? { value: choices[index].value } : null;
+      }
+    );
+  },
+  // At least one of the choices has to be picked
+  async multiSelect(message, choices, defaultValues = []) {
+    if (!this.usesMenus()) {
+      const list = choices.map((choice, index) => `  ${index + 1}) ${this.describeChoice(choice)}`).join('\n');
+      const shownDefault = choices.map((choice, index) => (defaultValues.includes(choice.value) ? index + 1 : null)).filter(Boolean);
+      const parse = (answer) => {
+        if (answer === '') return shownDefault.length > 0 && { value: [...defaultValues] };
+        const picked = answer.split(',').map(item => item.trim()).filter(Boolean).map(item => (/^\d+$/.test(item)
+          ? choices[Number(item) - 1]
+          : choices.find(choice => String(choice.value) === item.toLowerCase())));
+        if (picked.length === 0 || picked.some(choice => !choice)) return null;
+        return { value: choices.filter(choice => picked.includes(choice)).map(choice => choice.value) };
+      };
+      return this.askLine(
+        `? ${message}\n${list}\nEnter numbers, separated by commas${shownDefault.length > 0 ? ` [${shownDefault.join(',')}]` : ''}: `,
+        parse,
+        'Please enter one or more of the numbers above.'
+      );
+    }
+    let index = 0;
+    let warned = false;
+    const selected = new Set(defaultValues);
+    const picked = () => choices.filter(choice => selected.has(choice.value));
+    return this.askKeys(
+      answered => (answered
+        ? [`? ${message} › ${picked().map(choice => choice.label).join(', ')}`]
+        : [
+          `? ${message}`,
+          ...choices.map((choice, i) => `${i === index ? '❯' : ' '} ${selected.has(choice.value) ? '◉' : '◯'} ${this.describeChoice(choice)}`),
+          warned ? '  Select at least one with Space.' : '  (↑/↓ to move, Space to select, a for all, Enter to confirm)',
+        ]),
+      (key) => {
+        if (key === 'up' || key === 'k') index = (index + choices.length - 1) % choices.length;
+        if (key === 'down' || key === 'j') index = (index + 1) % choices.length;
+        warned = false;
+        if (key === 'space') {
+          const { value } = choices[index];
+          if (selected.has(value)) selected.delete(value);
+          else selected.add(value);
+        }
+        if (key === 'a') {
+          const all = selected.size === choices.length;
+          choices.forEach(choice => (all ? selected.delete(choice.value) : selected.add(choice.value)));
+        }
+        if (key !== 'return' && key !== 'enter') return null;
+        if (selected.size > 0) return { value: picked().map(choice => choice.value) };
+        warned = true;
+        return null;
+      }
+    );
+  },
+  // A yes or no question; Enter takes the default, and anything but y, yes, n or no is asked again
+  async confirm(message, defaultValue) {
+    const shownDefault = defaultValue ? 'Y/n' : 'y/N';
+    if (!this.usesMenus()) {
+      const parse = (answer) => {
+        const value = answer.toLowerCase();
+        if (value === '') return { value: defaultValue };
+        if (value === 'y' || value === 'yes') return { value: true };
+        if (value === 'n' || value === 'no') return { value: false };
+        return null;
+      };
+      return this.askLine(`? ${message} (${shownDefault}): `, parse, 'Please answer y or n, or press Enter for the default.');
+    }
+    let answer = defaultValue;
+    let rejected = false;
+    return this.askKeys(
+      answered => (answered
+        ? [`? ${message} › ${answer ? 'Yes' : 'No'}`]
+        : [`? ${message} (${shownDefault})`, ...(rejected ? ['  Press y or n, or Enter for the default.'] : [])]),
+      (key) => {
+        if (key === 'y' || key === 'n') answer = key === 'y';
+        else if (key !== 'return' && key !== 'enter') {
+          rejected = true;
+          return null;
+        }
+        return { value: answer };
+      }
+    );
+  },
+  // Ends the line prompts, so stdin no longer keeps the process running
+  close() {
+    if (this.lines) this.lines.close();
+    Object.assign(this, { lines: null, queue: [], waiting: null, ended: false });
+  },
+};
+
+module.exports = { prompts };
@@ -0,0 +1,74 @@
+const path = require('path');
+
+const { fileSystem } = require('./fileSystem');
+const { planExecutor } = require('./planExecutor');
+const { version } = require('../package.json');
+
+// Summary of a setup run, written to .code-polish-pro/report.json and printed by --json. For dry runs and
+// declined plans it lists what would have been changed.
+const runReport = {
+  create() {
+    return {
+      version,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      // started, dry-run, declined, applied, incomplete (dependencies failed to install) or failed
+      status: 'started',
+      error: null,
+      options: {},
+      environment: {},
+      dependencies: { installed: [], failed: [], removed: [] },
+      files: { created: [], modified: [], removed: [] },
+      scripts: [],
+      hooks: [],
+      commands: [],
+      warnings: [],
+    };
+  },
+  // Fills in the changes of the plan, compared with the files as they are before it is applied
+  async describePlan(report, plan) {
+    report.dependencies = {
+      installed: [
+        ...plan.addedDependencies.map(spec => ({ spec, workspace: null })),
+        ...[...plan.workspaceDependencies.values()].flatMap(({ workspace, dependencies }) => (
+          dependencies.map(spec => ({ spec, workspace: workspace.directory }))
+        )),
+      ],
+      failed: [],
+      removed: [...plan.removedDependencies],
+    };
+
+    const files = { created: [], modified: [], removed: [] };
+    for (const [filePath, content] of plan.files) {
+      const existing = await fileSystem.readFileIfExists(filePath);
+      if (existing === null) files.created.push(filePath);
+      else if (existing !== content) files.modified.push(filePath);
+    }
+    for (const filePath of plan.removedFiles) {
+      if (await fileSystem.readFileIfExists(filePath) !== null) files.removed.push(filePath);
+    }
+    const scripts = [];
+    for (const [directory, updates] of plan.packageJsonUpdates) {
+      const file = path.join(directory, 'package.json');
+      const packageJson = await fileSystem.readPackageJson(directory);
+      if (planExecutor.describePackageJsonChanges(packageJson, updates).length > 0) files.modified.push(file);
+      const existingScripts = packageJson.scripts || {};
+      Object.entries(updates.scripts || {})
+        .filter(([name, command]) => existingScripts[name] !== command)
+        .forEach(([name, command]) => scripts.push({ file, name, command }));
+    }
+
+    Object.assign(report, { files, scripts, hooks: plan.hooks.map(hook => hook.path), commands: [...plan.commands] });
+  },
+  // Moves the dependencies the package manager could not install from "installed" to "failed"
+  recordFailedDependencies(report, plan) {
+    const hasFailed = ({ spec, workspace }) => plan.failedDependencies.some(failed => failed.spec === spec && failed.workspace === workspace);
+    report.dependencies.failed = report.dependencies.installed.filter(hasFailed);
+    report.dependencies.installed = report.dependencies.installed.filter(dependency => !hasFailed(dependency));
+  },
+  describeDependency({ spec, workspace }) {
+    return workspace ? `${spec} (in ${workspace})` : spec;
+  },
+};
+
+module.exports = { runReport };
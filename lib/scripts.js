@@ -0,0 +1,18 @@
+// package.json scripts shared by setup and doctor --fix
+function getLintScripts() {
+  return {
+    // The .gitignore entries are part of .eslintignore and of the flat config's ignores; --ignore-path .gitignore
+    // would make ESLint 8 skip .eslintignore
+    lint: 'eslint .',
+    'lint:fix': 'eslint --fix .',
+  };
+}
+
+function getStylelintScripts(glob) {
+  return {
+    'lint:css': `stylelint "${glob}"`,
+    'lint:css:fix': `stylelint --fix "${glob}"`,
+  };
+}
+
+module.exports = { getLintScripts, getStylelintScripts };
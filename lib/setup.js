@@ -0,0 +1,550 @@
+const { createChangePlan } = require('./changePlan');
+const { ciSetup } = require('./ciSetup');
+const { compatibilityMatrix } = require('./compatibilityMatrix');
+const { config } = require('./config');
+const { eslintConfigLoader, prettierConfigLoader } = require('./configLoaders');
+const { dependencyManager } = require('./dependencyManager');
+const { editorConfig } = require('./editorConfig');
+const { environmentChecker } = require('./environmentChecker');
+const { eslintConfigGenerator } = require('./eslintConfigGenerator');
+const { fileSystem } = require('./fileSystem');
+const { flatConfigGenerator } = require('./flatConfigGenerator');
+const { huskySetup } = require('./huskySetup');
+const { ignoreFiles } = require('./ignoreFiles');
+const { io } = require('./io');
+const { lintBaseline } = require('./lintBaseline');
+const { logger } = require('./logger');
+const { optionParser } = require('./options');
+const { packageManager } = require('./packageManager');
+const { planExecutor, reviewAndApplyPlan } = require('./planExecutor');
+const { presetLoader } = require('./presetLoader');
+const { prettierConfigGenerator } = require('./prettierConfigGenerator');
+const { projectDetector } = require('./projectDetector');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { runReport } = require('./runReport');
+const { getLintScripts, getStylelintScripts } = require('./scripts');
+const { stateManager } = require('./stateManager');
+const { strictness } = require('./strictness');
+const { stylelintConfigGenerator } = require('./stylelintConfigGenerator');
+const { testFrameworks } = require('./testFrameworks');
+const { typeScriptSetup } = require('./typeScriptSetup');
+const { userInteraction } = require('./userInteraction');
+const { getAllDependencies, isPlainObject } = require('./utils');
+const { vscodeSetup } = require('./vscodeSetup');
+const { workspaceDetector } = require('./workspaceDetector');
+
+// Merges the generated Prettier options with .editorconfig and any existing Prettier config, and
+// plans writing the result. Returns the resulting config, or null when the existing one is kept as is.
+async function planPrettierConfig(plan, generatedConfig, packageJson) {
+  const editorConfigContent = await fileSystem.readFileIfExists(editorConfig.FILE);
+  const editorConfigOptions = editorConfigContent === null ? {} : editorConfig.toPrettierOptions(editorConfigContent);
+  if (Object.keys(editorConfigOptions).length > 0) {
+    logger.info(`Using ${Object.keys(editorConfigOptions).join(', ')} from ${editorConfig.FILE}.`);
+  }
+
+  const sources = await prettierConfigLoader.findSources(packageJson);
+  if (sources.length === 0) {
+    const prettierConfig = prettierConfigGenerator.mergeConfigs(generatedConfig, editorConfigOptions);
+    plan.writeJsonFile('.prettierrc', prettierConfig);
+    return prettierConfig;
+  }
+
+  const [primarySource, ...ignoredSources] = sources;
+  if (ignoredSources.length > 0) {
+    logger.warn(
+      `Prettier only reads ${prettierConfigLoader.describe(primarySource)}, so ` +
+      `${ignoredSources.map(source => prettierConfigLoader.describe(source)).join(', ')} will not be used. Consider deleting them.`
+    );
+  }
+  if (primarySource.format === 'toml') {
+    logger.warn(`${primarySource.file} cannot be merged automatically; keeping it unchanged.`);
+    return null;
+  }
+  // Prettier configs cannot extend one another, and writing the loaded result would freeze what the file computes
+  if (primarySource.format === 'js') {
+    const existingSource = await prettierConfigLoader.load(primarySource, packageJson);
+    const options = prettierConfigGenerator.mergeConfigs(generatedConfig, editorConfigOptions);
+    const missing = isPlainObject(existingSource.config)
+      ? Object.fromEntries(Object.entries(options).filter(([key]) => existingSource.config[key] === undefined))
+      : {};
+    logger.warn(
+      `${primarySource.file} is JavaScript, so it is kept unchanged` +
+      `${Object.keys(missing).length > 0 ? `; consider adding ${JSON.stringify(missing)}` : ''}.`
+    );
+    return null;
+  }
+  const existingSource = await prettierConfigLoader.load(primarySource, packageJson);
+  if (!isPlainObject(existingSource.config)) {
+    logger.warn(`${prettierConfigLoader.describe(existingSource)} points to a shared config; keeping it unchanged.`);
+    return null;
+  }
+
+  logger.info(`Merging with existing Prettier configuration from ${prettierConfigLoader.describe(existingSource)}.`);
+  const prettierConfig = prettierConfigGenerator.mergeConfigs(generatedConfig, editorConfigOptions, existingSource.config);
+  prettierConfigLoader.write(plan, existingSource, prettierConfig);
+  return prettierConfig;
+}
+
+// Plans writing the legacy config where the existing one was, or to .eslintrc.json. A JavaScript config is moved
+// unchanged next to a new .eslintrc.json that extends it, as writing its loaded result would freeze what it computes.
+async function planEslintrc(plan, eslintConfig, existingSource) {
+  if (!existingSource) {
+    plan.writeJsonFile('.eslintrc.json', eslintConfig);
+    return;
+  }
+  if (existingSource.format !== 'js') {
+    eslintConfigLoader.write(plan, existingSource, eslintConfig);
+    return;
+  }
+  // .eslintrc.js would take precedence over the new .eslintrc.json, so it is renamed
+  const baseFile = existingSource.file.replace('.eslintrc', '.eslintrc.base');
+  plan.writeFile(baseFile, await fileSystem.readFileIfExists(existingSource.file));
+  plan.removeFile(existingSource.file);
+  plan.writeJsonFile('.eslintrc.json', eslintConfigGenerator.extendConfig(eslintConfig, existingSource.config, baseFile));
+  logger.info(`Moving ${existingSource.file} unchanged to ${baseFile}, which the new .eslintrc.json extends.`);
+}
+
+// Sets up ESLint, Prettier and optionally Husky in a project, and returns the planned changes, whether they
+// were applied and the dependencies that failed to install. Answers use the keys of config.OPTIONS (projectType,
+// useTypeScript, ...); anything left out comes from .codepolishrc.json or package.json, and with `yes` from the
+// detected or built-in defaults. `cwd`, `fs` (fs.promises), `childProcess` and `console` replace the real ones, and
+// `interactive` allows prompting on `stdin` and `stdout` (by default the process's). `logLevel` (quiet, info or
+// verbose) and `logFile` configure the logger, and with `json` the run report is the only output on stdout.
+async function setup(options = {}) {
+  const { cwd, fs, childProcess, console: output, stdin, stdout, interactive = false, json = false, logLevel, logFile, ...rest } = options;
+  const quiet = (logLevel === undefined ? logger.level : logLevel) === 'quiet';
+  // The output of the package manager goes to stderr with --json, and is left out with --quiet
+  const commandStdio = json ? ['inherit', 2, 'inherit'] : (quiet ? ['inherit', 'ignore', 'inherit'] : undefined);
+  const overrides = { directory: cwd, fs, childProcess, console: output, stdin, stdout, interactive: interactive && !json, commandStdio };
+  return io.use(overrides, () => (
+    logger.use({ level: logLevel, file: logFile, stderr: json || undefined }, () => runReportedSetup(rest, json))
+  ));
+}
+
+// Writes the run report at the end of every run that is not a dry run, also when it fails
+async function runReportedSetup(args, json) {
+  const report = runReport.create();
+  try {
+    return await runSetup(args, report);
+  } catch (error) {
+    Object.assign(report, { status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    userInteraction.close();
+    Object.assign(report, { finishedAt: new Date().toISOString(), warnings: [...logger.warnings] });
+    if (!args.dryRun) await stateManager.writeReport(report);
+    if (json) io.console.log(JSON.stringify(report, null, 2));
+  }
+}
+
+async function runSetup({ yes = false, dryRun = false, ...rawAnswers }, report) {
+  const args = { yes, dryRun };
+  await environmentChecker.checkNodeVersion();
+  await environmentChecker.checkGitRepository();
+
+  logger.info('Welcome to code-polish-pro! Let\'s set up your project.');
+
+  const answers = { ...(await fileSystem.readOptionsConfig()), ...optionParser.parseAnswers(rawAnswers, 'the setup() options') };
+  if (answers.plugins) {
+    projectTypeRegistry.loadPlugins(answers.plugins, io.cwd());
+    logger.info(`Loaded project type plugins: ${answers.plugins.join(', ')}.`);
+  }
+  if (answers.useStrict !== undefined) {
+    const level = answers.useStrict ? 'strict' : strictness.DEFAULT;
+    logger.warn(`The "strict" option is deprecated; it now stands for --strictness ${level}. Use "strictness" instead.`);
+    if (answers.strictness === undefined) answers.strictness = level;
+    delete answers.useStrict;
+  }
+  if (answers.projectType) {
+    optionParser.checkChoice(optionParser.findOption('type'), answers.projectType, 'the given options');
+  }
+  const detected = await projectDetector.detect();
+  const detectedPackageManager = await packageManager.detect();
+  logger.info(`Using ${detectedPackageManager.value} (${detectedPackageManager.reason}).`);
+
+  const monorepo = await workspaceDetector.detect(await fileSystem.readPackageJson());
+  let workspaces = [];
+  if (monorepo) {
+    logger.info(`Found ${monorepo.workspaces.length} workspace package(s) in ${monorepo.source}.`);
+    for (const workspace of monorepo.workspaces) {
+      const { projectType: type, useTypeScript: typeScript } = workspace.detected;
+      logger.info(
+        `- ${workspace.directory}: ${type.value} (${type.reason}), ` +
+        `${typeScript.value ? 'TypeScript' : 'JavaScript'} (${typeScript.reason})`
+      );
+    }
+    if (monorepo.workspaces.length > 0) {
+      const { useWorkspaces } = await userInteraction.resolveOptions(['useWorkspaces'], answers, args.yes);
+      if (useWorkspaces) workspaces = monorepo.workspaces;
+    }
+  }
+  const useWorkspaces = workspaces.length > 0;
+  if (useWorkspaces) {
+    detected.eslintConfigFormat = projectDetector.detectEslintConfigFormat(
+      getAllDependencies(await fileSystem.readPackageJson()), workspaces
+    );
+  } else {
+    logger.info(`Detected project type: ${detected.projectType.value} (${detected.projectType.reason}).`);
+    logger.info(`Detected ${detected.useTypeScript.value ? 'TypeScript' : 'JavaScript'} (${detected.useTypeScript.reason}).`);
+  }
+  logger.info(`Suggested ${detected.eslintConfigFormat.value} ESLint config (${detected.eslintConfigFormat.reason}).`);
+  const detectedCiProvider = await ciSetup.detectProvider();
+  logger.info(`Suggested CI pipeline: ${detectedCiProvider.value} (${detectedCiProvider.reason}).`);
+  const detectedVscode = await vscodeSetup.detect();
+  logger.info(`Suggested ${detectedVscode.value ? 'with' : 'without'} VS Code settings (${detectedVscode.reason}).`);
+  const options = await userInteraction.getProjectOptions(answers, args.yes, {
+    projectType: detected.projectType.value,
+    useTypeScript: detected.useTypeScript.value,
+    eslintConfigFormat: detected.eslintConfigFormat.value,
+    ciProvider: detectedCiProvider.value,
+    useVscode: detectedVscode.value,
+  }, useWorkspaces ? ['projectType', 'useTypeScript'] : []);
+  const {
+    projectType, useTypeScript, useHusky, gitHooks, strictness: strictnessLevel, useLintBaseline, fixCommit, usePrettier, useStylelint,
+    ciProvider, useVscode, eslintConfigFormat,
+  } = options;
+  report.options = options;
+  const useFlatConfig = eslintConfigFormat === 'flat';
+  const projectTypes = useWorkspaces ? [...new Set(workspaces.map(workspace => workspace.projectType))] : [projectType];
+
+  if (useWorkspaces) {
+    logger.info(`Setting up your monorepo with ${workspaces.length} workspace package(s) and the following options:`);
+  } else {
+    logger.info(`Setting up your ${projectType} project with the following options:`);
+    logger.info(`- ${useTypeScript ? 'TypeScript' : 'JavaScript'}`);
+  }
+  logger.info(`- ${useHusky ? `With Husky (${gitHooks.join(', ')})` : 'Without Husky and lint-staged'}`);
+  // The rule sets are listed so the team knows what it signs up for
+  const anyTypeScript = useWorkspaces
+    ? workspaces.some(workspace => workspace.useTypeScript || projectTypeRegistry.get(workspace.projectType).alwaysTypeScript)
+    : useTypeScript || projectTypeRegistry.get(projectType).alwaysTypeScript;
+  logger.info(`- ESLint strictness "${strictnessLevel}", which turns on:`);
+  strictness.describe(strictnessLevel, { useTypeScript: anyTypeScript }).forEach(ruleSet => logger.info(`    - ${ruleSet}`));
+  logger.info(`- ${useLintBaseline
+    ? `With a lint baseline in ${lintBaseline.FILE}${fixCommit ? ', recorded after a commit of the automatic fixes' : ''}`
+    : 'Without a lint baseline'}`);
+  logger.info(`- ${usePrettier ? 'With' : 'Without'} Prettier integration`);
+  logger.info(`- ${useStylelint ? 'With' : 'Without'} Stylelint`);
+  logger.info(`- ${ciProvider === 'none' ? 'Without a CI pipeline' : `With a ${ciProvider === 'github' ? 'GitHub Actions' : 'GitLab CI'} pipeline`}`);
+  logger.info(`- ${useVscode ? 'With' : 'Without'} VS Code settings`);
+  logger.info(`- ${useFlatConfig ? 'Flat (eslint.config.js)' : 'Legacy (.eslintrc)'} ESLint config format`);
+
+  const packageJson = await fileSystem.readPackageJson();
+  const versions = await compatibilityMatrix.readVersions(packageJson);
+  const preset = answers.preset ? await presetLoader.load(answers.preset) : null;
+  if (preset) {
+    const extended = preset.sources.slice(0, -1).map(source => presetLoader.describe(source));
+    logger.info(`Using preset ${presetLoader.describe(preset)}${extended.length > 0 ? ` (extends ${extended.join(', ')})` : ''}.`);
+  }
+  // Test frameworks of the root package.json and of every workspace package; the generators add their overrides
+  const detectedTestFrameworks = [packageJson, ...workspaces.map(workspace => workspace.packageJson)]
+    .flatMap(manifest => testFrameworks.detect(manifest))
+    .filter((detected, index, all) => all.findIndex(other => other.name === detected.name) === index);
+  if (detectedTestFrameworks.length > 0) {
+    logger.info(`Detected test frameworks: ${testFrameworks.describe(detectedTestFrameworks)}.`);
+  }
+  report.environment = {
+    node: process.version,
+    packageManager: detectedPackageManager,
+    projectType: detected.projectType,
+    useTypeScript: detected.useTypeScript,
+    eslintConfigFormat: detected.eslintConfigFormat,
+    ciProvider: detectedCiProvider,
+    useVscode: detectedVscode,
+    monorepo: monorepo
+      ? { source: monorepo.source, workspaces: monorepo.workspaces.map(({ directory, name, detected: found }) => ({ directory, name, ...found })) }
+      : null,
+    testFrameworks: detectedTestFrameworks,
+  };
+  // In a monorepo, the settings per project type only apply to the packages of that type
+  const presetSettings = presetLoader.getSettings(preset, useWorkspaces ? null : projectType);
+  const plan = createChangePlan({ workspaceRoot: Boolean(monorepo) });
+  projectTypes.forEach(type => plan.removeDependencies(packageManager.getConflictingDependencies(type, packageJson)));
+
+  const existingFlatConfig = await fileSystem.checkExistingFlatESLintConfig();
+  const legacySources = await eslintConfigLoader.findSources(packageJson);
+  const describeSources = (sources) => sources.map(source => eslintConfigLoader.describe(source)).join(', ');
+  let existingSource = null;
+  let existingConfig = {};
+  let skipEslintConfig = false;
+  if (existingFlatConfig || legacySources.length > 0) {
+    const found = [...(existingFlatConfig ? [existingFlatConfig] : []), ...legacySources.map(source => eslintConfigLoader.describe(source))];
+    logger.warn(`Existing ESLint configuration found: ${found.join(', ')}`);
+    const { overwriteEslintConfig: overwrite } = await userInteraction.resolveOptions(
+      ['overwriteEslintConfig'],
+      answers,
+      args.yes
+    );
+    if (overwrite) {
+      // Left in place, these would shadow the generated config or confuse whoever reads the repo next
+      const outputFile = useFlatConfig ? flatConfigGenerator.getFileName(packageJson) : '.eslintrc.json';
+      if (existingFlatConfig && existingFlatConfig !== outputFile) plan.removeFile(existingFlatConfig);
+      legacySources.filter(source => source.file !== outputFile).forEach(source => eslintConfigLoader.remove(plan, source));
+    } else if (existingFlatConfig) {
+      skipEslintConfig = true;
+      logger.info(`Keeping the existing flat config ${existingFlatConfig}; no ESLint config will be generated.`);
+      if (legacySources.length > 0) {
+        logger.warn(`ESLint ignores ${describeSources(legacySources)} while ${existingFlatConfig} exists. Consider deleting them.`);
+      }
+    } else {
+      const [primarySource, ...ignoredSources] = legacySources;
+      existingSource = await eslintConfigLoader.load(primarySource, packageJson);
+      existingConfig = existingSource.config;
+      logger.info(`Merging with existing ESLint configuration from ${eslintConfigLoader.describe(existingSource)}.`);
+      if (ignoredSources.length > 0) {
+        logger.warn(
+          `ESLint only reads ${eslintConfigLoader.describe(primarySource)}, so ${describeSources(ignoredSources)} ` +
+          'will not be used. Consider deleting them.'
+        );
+      }
+      if (useFlatConfig) {
+        const unmigrated = ['extends', 'plugins', 'overrides', 'settings'].filter(key => existingConfig[key] !== undefined);
+        if (unmigrated.length > 0) {
+          logger.warn(
+            `Only the rules of ${eslintConfigLoader.describe(existingSource)} are carried over to the flat config; ` +
+            `review its ${unmigrated.join(', ')} by hand.`
+          );
+        }
+        if (existingSource.format === 'js') {
+          logger.warn(
+            `The rules of ${existingSource.file} are carried over with the values they have now; ` +
+            'restore any it computes when ESLint loads it, such as from process.env, by hand.'
+          );
+        }
+        // ESLint 9 no longer reads the eslintrc file, so it would only be left behind as a stale copy
+        eslintConfigLoader.remove(plan, existingSource);
+      }
+    }
+  }
+
+  // A JavaScript eslintrc is extended instead of merged, see planEslintrc()
+  const mergedConfig = existingSource && existingSource.format === 'js' ? {} : existingConfig;
+
+  // Every ignore file and flat config also skips what git ignores and the TypeScript build output
+  const projectIgnores = await ignoreFiles.readProjectIgnores(['.', ...workspaces.map(workspace => workspace.directory)]);
+
+  // The typecheck scripts of the root package and the hook commands that run them
+  let typeCheckScripts = {};
+  const typeCheckCommands = [];
+
+  if (useWorkspaces) {
+    const workspaceDependencies = dependencyManager.getWorkspaceDependencies(
+      workspaces, usePrettier, eslintConfigFormat, preset, strictnessLevel
+    );
+    plan.addDependencies(workspaceDependencies.root);
+    workspaceDependencies.workspaces.forEach(({ workspace, dependencies }) => plan.addDependencies(dependencies, workspace));
+
+    if (useFlatConfig) {
+      if (!skipEslintConfig) {
+        const flatConfig = flatConfigGenerator.generateWorkspaceConfig(
+          workspaces, strictnessLevel, usePrettier, packageJson, existingConfig, preset, projectIgnores
+        );
+        plan.writeFile(flatConfigGenerator.getFileName(packageJson), flatConfig);
+      }
+    } else {
+      const eslintConfig = eslintConfigGenerator.generateWorkspaceConfig(
+        workspaces, strictnessLevel, usePrettier, packageJson, mergedConfig, preset
+      );
+      await planEslintrc(plan, eslintConfig, existingSource);
+    }
+
+    // Scripts of a project type, such as svelte-check, run in each package
+    workspaces
+      .map(workspace => ({ workspace, scripts: projectTypeRegistry.get(workspace.projectType).scripts }))
+      .filter(({ scripts }) => Object.keys(scripts).length > 0)
+      .forEach(({ workspace, scripts }) => plan.updatePackageJson({ scripts }, workspace.directory));
+
+    const typeScriptWorkspaces = workspaces.filter(workspace => (
+      workspace.useTypeScript || projectTypeRegistry.get(workspace.projectType).alwaysTypeScript
+    ));
+    for (const workspace of typeScriptWorkspaces) {
+      const scripts = await typeScriptSetup.setup(plan, { projectType: workspace.projectType, packageJson: workspace.packageJson, workspace });
+      plan.updatePackageJson({ scripts }, workspace.directory);
+      typeCheckCommands.push(packageManager.runScriptCommand('typecheck', workspace));
+    }
+  } else {
+    plan.addDependencies(dependencyManager.getProjectDependencies(
+      projectType, useTypeScript, usePrettier, eslintConfigFormat, versions, presetSettings, strictnessLevel
+    ));
+
+    if (useFlatConfig) {
+      if (!skipEslintConfig) {
+        const flatConfig = flatConfigGenerator.generateConfig(
+          projectType, useTypeScript, strictnessLevel, usePrettier, packageJson, existingConfig, presetSettings, projectIgnores
+        );
+        plan.writeFile(flatConfigGenerator.getFileName(packageJson), flatConfig);
+      }
+    } else {
+      const eslintConfig = eslintConfigGenerator.generateConfig(
+        projectType, useTypeScript, strictnessLevel, usePrettier, packageJson, mergedConfig, presetSettings
+      );
+      await planEslintrc(plan, eslintConfig, existingSource);
+    }
+
+    projectTypeRegistry.get(projectType).createFiles(plan, { useTypeScript });
+    if (useTypeScript || projectTypeRegistry.get(projectType).alwaysTypeScript) {
+      typeCheckScripts = await typeScriptSetup.setup(plan, { projectType, packageJson });
+      typeCheckCommands.push(packageManager.runScriptCommand('typecheck'));
+    }
+  }
+
+  if (!skipEslintConfig) {
+    plan.addDependencies(testFrameworks.getDependencies(detectedTestFrameworks, eslintConfigFormat));
+  }
+
+  if (usePrettier) {
+    const generatedConfig = prettierConfigGenerator.generateConfig(projectTypes, presetSettings);
+    const prettierConfig = await planPrettierConfig(plan, generatedConfig, packageJson);
+    if (prettierConfig && !(await fileSystem.readFileIfExists(editorConfig.FILE))) {
+      const { createEditorConfig } = await userInteraction.resolveOptions(['createEditorConfig'], answers, args.yes);
+      if (createEditorConfig) plan.writeFile(editorConfig.FILE, editorConfig.generate(prettierConfig));
+    }
+  }
+
+  // Generate .eslintignore file; flat configs carry their ignore patterns themselves
+  if (!useFlatConfig) {
+    await ignoreFiles.createEslintIgnore(plan, projectTypes, projectIgnores, presetSettings);
+  }
+
+  if (usePrettier) {
+    // Generate .prettierignore file
+    await ignoreFiles.createPrettierIgnore(plan, projectTypes, projectIgnores);
+  }
+
+  // Stylelint runs from the root for every package, like ESLint
+  const useScss = stylelintConfigGenerator.usesScss(packageJson, ...workspaces.map(workspace => workspace.packageJson));
+  if (useStylelint) {
+    plan.addDependencies(dependencyManager.getStylelintDependencies(projectTypes, useScss));
+    const existingStylelintConfig = await fileSystem.checkExistingStylelintConfig(packageJson);
+    if (existingStylelintConfig) {
+      logger.info(`Keeping the existing Stylelint configuration from ${existingStylelintConfig}.`);
+    } else {
+      plan.writeJsonFile('.stylelintrc.json', stylelintConfigGenerator.generateConfig(projectTypes, useScss, usePrettier));
+    }
+    await ignoreFiles.createStylelintIgnore(plan, projectTypes, projectIgnores);
+  }
+
+  const packageJsonUpdates = {
+    scripts: getLintScripts(),
+  };
+
+  if (!useWorkspaces) {
+    packageJsonUpdates.scripts = { ...packageJsonUpdates.scripts, ...projectTypeRegistry.get(projectType).scripts, ...typeCheckScripts };
+  }
+
+  if (usePrettier) {
+    const prettierPlugins = prettierConfigGenerator.getPlugins(projectTypes).map(plugin => ` --plugin ${plugin}`).join('');
+    packageJsonUpdates.scripts.format = `prettier --write${prettierPlugins} .`;
+    packageJsonUpdates.scripts['format:check'] = `prettier --check${prettierPlugins} .`;
+  }
+
+  if (useStylelint) {
+    const extensions = stylelintConfigGenerator.getExtensions(projectTypes, useScss);
+    packageJsonUpdates.scripts = { ...packageJsonUpdates.scripts, ...getStylelintScripts(stylelintConfigGenerator.getGlob(extensions)) };
+  }
+
+  if (useLintBaseline) {
+    plan.addDependencies(lintBaseline.dependencies);
+    packageJsonUpdates.scripts = { ...packageJsonUpdates.scripts, ...lintBaseline.scripts };
+  }
+
+  if (useHusky && gitHooks.includes('pre-commit')) {
+    // lint-staged runs from the git root, where the root ESLint config picks the right settings per package
+    const eslintGlobs = useWorkspaces
+      ? workspaceDetector.getLintStagedGlobs(workspaces)
+      : [`*.{${['js', 'jsx', 'ts', 'tsx', ...projectTypeRegistry.get(projectType).extensions].join(',')}}`];
+    // Stylesheets are fixed by Stylelint before Prettier formats them, so they leave the Prettier glob
+    const stylesheetGlob = `*.${useScss ? '{css,scss}' : 'css'}`;
+    packageJsonUpdates['lint-staged'] = {
+      ...Object.fromEntries(eslintGlobs.map(glob => [glob, [useLintBaseline ? lintBaseline.lintStagedCommand : 'eslint --fix']])),
+      ...(useStylelint
+        ? {
+          [stylesheetGlob]: ['stylelint --fix', ...(usePrettier ? ['prettier --write'] : [])],
+          '*.{json,md,html,svelte}': ['prettier --write'],
+        }
+        : { '*.{json,md,css,html,svelte}': ['prettier --write'] }),
+      ...(presetSettings && presetSettings.lintStaged),
+    };
+  }
+
+  if (useHusky) {
+    await huskySetup.setup(plan, packageJson, { hooks: gitHooks, typeCheckCommands, lintScript: useLintBaseline ? 'lint:baseline' : 'lint' });
+  }
+
+  if (preset) {
+    packageJsonUpdates.scripts = { ...packageJsonUpdates.scripts, ...presetSettings.scripts };
+    // Read back as the preset option, so the next run uses the same preset and warns when it was upgraded
+    packageJsonUpdates[config.PACKAGE_JSON_KEY] = { preset: presetLoader.describe(preset) };
+  }
+
+  if (ciProvider !== 'none') {
+    await ciSetup.setup(plan, ciProvider, {
+      packageJson, scripts: { ...packageJson.scripts, ...packageJsonUpdates.scripts }, typeCheckCommands,
+    });
+  }
+
+  if (useVscode) {
+    await vscodeSetup.setup(plan, {
+      projectTypes,
+      // Resolved like the ESLint config, so Angular projects are always linted as TypeScript
+      useTypeScript: anyTypeScript,
+      usePrettier,
+      useFlatConfig,
+      useStylelint,
+    });
+  }
+
+  plan.updatePackageJson(packageJsonUpdates);
+
+  // Runs after the install and the configs are written, so it sees the errors of the new setup. With --fix-commit it
+  // commits, so it runs last.
+  if (useLintBaseline) {
+    plan.runCommand(`${packageManager.execCommand('code-polish-pro')} baseline record${fixCommit ? ' --fix' : ''}`, {
+      writes: [lintBaseline.FILE],
+      final: fixCommit,
+    });
+  }
+
+  const result = {
+    applied: false,
+    options,
+    workspaces: workspaces.map(({ directory, name, projectType: type, useTypeScript: typeScript }) => (
+      { directory, name, projectType: type, useTypeScript: typeScript }
+    )),
+    changes: planExecutor.summarize(plan),
+    failedDependencies: [],
+  };
+  await runReport.describePlan(report, plan);
+  if (!(await reviewAndApplyPlan(plan, args))) {
+    report.status = args.dryRun ? 'dry-run' : 'declined';
+    return result;
+  }
+
+  runReport.recordFailedDependencies(report, plan);
+  if (report.dependencies.failed.length > 0) {
+    report.status = 'incomplete';
+    logger.error(
+      'Setup is incomplete, these dependencies could not be installed: ' +
+      `${report.dependencies.failed.map(dependency => runReport.describeDependency(dependency)).join(', ')}.`
+    );
+    logger.error('Install them by hand, then run "code-polish-pro doctor" to check the setup.');
+    return { ...result, applied: true, failedDependencies: report.dependencies.failed };
+  }
+  report.status = 'applied';
+
+  logger.info('ESLint and Prettier have been set up successfully!');
+  logger.info('To address any potential vulnerabilities, please run:');
+  logger.info(packageManager.auditCommand);
+
+  if (packageJson.type !== 'module' && !useWorkspaces && projectTypeRegistry.get(projectType).commonJs) {
+    logger.info('');
+    logger.info('Note: Your package.json does not have "type": "module" set. 😒');
+    logger.info('If you want to use ES modules, consider adding "type": "module" ✨');
+    logger.info('This will allow you to use import/export syntax without .mjs file extensions. 🚀');
+  }
+
+  logger.info('Happy coding!');
+  return { ...result, applied: true };
+}
+
+module.exports = { planPrettierConfig, setup };
@@ -0,0 +1,44 @@
+// JavaScript source generation for config files that cannot be plain JSON
+const sourceWriter = {
+  // Marks a value to be emitted verbatim as JavaScript code
+  code(source) {
+    return { __code: source };
+  },
+  isCode(value) {
+    return typeof value === 'object' && value !== null && typeof value.__code === 'string';
+  },
+  formatKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : this.formatString(key);
+  },
+  formatString(value) {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  },
+  stringify(value, indent = 0) {
+    const padding = '  '.repeat(indent + 1);
+    const closingPadding = '  '.repeat(indent);
+    if (this.isCode(value)) return value.__code.split('\n').join(`\n${closingPadding}`);
+    if (typeof value === 'string') return this.formatString(value);
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      const items = value.map(item => this.stringify(item, indent + 1));
+      const inline = `[${items.join(', ')}]`;
+      if (inline.length <= 80 && !inline.includes('\n')) return inline;
+      return `[\n${items.map(item => `${padding}${item},`).join('\n')}\n${closingPadding}]`;
+    }
+    if (typeof value === 'object' && value !== null) {
+      const entries = Object.entries(value);
+      if (entries.length === 0) return '{}';
+      const lines = entries.map(([key, entryValue]) => `${padding}${this.formatKey(key)}: ${this.stringify(entryValue, indent + 1)},`);
+      return `{\n${lines.join('\n')}\n${closingPadding}}`;
+    }
+    return JSON.stringify(value);
+  },
+  // Renders an ES module with the given imports, setup statements and default export
+  module({ imports, statements = [], exportDefault }) {
+    const importLines = imports.map(([name, source]) => `import ${name} from '${source}';`);
+    const body = statements.length > 0 ? `${statements.join('\n')}\n\n` : '';
+    return `${importLines.join('\n')}\n\n${body}export default ${this.stringify(exportDefault)};\n`;
+  },
+};
+
+module.exports = { sourceWriter };
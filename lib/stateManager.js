@@ -0,0 +1,205 @@
+const path = require('path');
+
+const { config } = require('./config');
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { packageManager } = require('./packageManager');
+
+// Backups, rollback and the undo manifest kept under .code-polish-pro/
+const stateManager = {
+  get stateDir() {
+    return io.resolve(config.STATE_DIR);
+  },
+  get manifestPath() {
+    return path.join(this.stateDir, 'last-run.json');
+  },
+  async pathExists(filePath) {
+    try {
+      await io.fs.access(io.resolve(filePath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  // Top-most ancestor directory of filePath that does not exist yet, if any
+  async findMissingDirectory(filePath) {
+    let missing = null;
+    let directory = path.dirname(filePath);
+    while (directory !== '.' && directory !== path.dirname(directory)) {
+      if (await this.pathExists(directory)) break;
+      missing = directory;
+      directory = path.dirname(directory);
+    }
+    return missing;
+  },
+  get reportPath() {
+    return path.join(this.stateDir, 'report.json');
+  },
+  // Keep the state directory out of version control without touching the project's .gitignore
+  async createStateDir() {
+    await io.fs.mkdir(this.stateDir, { recursive: true });
+    await io.fs.writeFile(path.join(this.stateDir, '.gitignore'), '*\n');
+  },
+  async begin(touchedPaths) {
+    const runId = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupDir = path.join(this.stateDir, 'backups', runId);
+    await this.createStateDir();
+    await io.fs.mkdir(backupDir, { recursive: true });
+
+    const files = [];
+    const createdDirectories = new Set();
+    for (const filePath of [...new Set(touchedPaths)]) {
+      const content = await fileSystem.readFileIfExists(filePath);
+      if (content === null) {
+        files.push({ path: filePath, existed: false });
+        const missingDirectory = await this.findMissingDirectory(filePath);
+        if (missingDirectory) createdDirectories.add(missingDirectory);
+        continue;
+      }
+      const backup = path.join('backups', runId, filePath);
+      await io.fs.mkdir(path.dirname(path.join(this.stateDir, backup)), { recursive: true });
+      await io.fs.writeFile(path.join(this.stateDir, backup), content);
+      files.push({ path: filePath, existed: true, backup, content });
+    }
+    return { runId, backupDir, files, createdDirectories: [...createdDirectories] };
+  },
+  async restoreFiles(files, createdDirectories) {
+    for (const file of files) {
+      if (file.existed) {
+        await io.fs.writeFile(io.resolve(file.path), file.content);
+        logger.info(`Restored: ${file.path}`);
+      } else if (await this.pathExists(file.path)) {
+        await io.fs.rm(io.resolve(file.path), { force: true });
+        logger.info(`Removed: ${file.path}`);
+      }
+    }
+    for (const directory of createdDirectories) {
+      await io.fs.rm(io.resolve(directory), { recursive: true, force: true });
+      logger.info(`Removed: ${directory}`);
+    }
+  },
+  async rollback(transaction, dependenciesChanged) {
+    try {
+      await this.restoreFiles(transaction.files, transaction.createdDirectories);
+      if (dependenciesChanged) {
+        logger.info('Reinstalling the previous dependencies...');
+        packageManager.syncDependencies();
+      }
+      await io.fs.rm(transaction.backupDir, { recursive: true, force: true });
+      // The backups of the last successful run stay for undo
+      const backupsDir = path.dirname(transaction.backupDir);
+      if ((await io.fs.readdir(backupsDir)).length === 0) await io.fs.rm(backupsDir, { recursive: true, force: true });
+      logger.info('Rollback complete. Your project is back to its previous state.');
+    } catch (error) {
+      logger.error(`Rollback failed: ${error.message}`);
+      logger.error(`Backups of the original files are kept in ${transaction.backupDir}`);
+    }
+  },
+  async commit(transaction, details) {
+    const manifest = {
+      runId: transaction.runId,
+      createdAt: new Date().toISOString(),
+      ...details,
+      files: {
+        created: transaction.files.filter(file => !file.existed).map(file => file.path),
+        modified: transaction.files
+          .filter(file => file.existed && path.basename(file.path) !== 'package.json' && !packageManager.lockfiles.includes(file.path))
+          .map(file => ({ path: file.path, backup: file.backup })),
+      },
+      createdDirectories: transaction.createdDirectories,
+    };
+    await io.fs.writeFile(this.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+    // Only the last run can be undone, so older backups are no longer needed
+    const backupsDir = path.join(this.stateDir, 'backups');
+    for (const runId of await io.fs.readdir(backupsDir)) {
+      if (runId !== transaction.runId) {
+        await io.fs.rm(path.join(backupsDir, runId), { recursive: true, force: true });
+      }
+    }
+  },
+  async writeReport(report) {
+    await this.createStateDir();
+    await io.fs.writeFile(this.reportPath, JSON.stringify(report, null, 2) + '\n');
+  },
+  async readManifest() {
+    const content = await fileSystem.readFileIfExists(this.manifestPath);
+    if (content === null) {
+      throw new Error(`Nothing to undo: no previous run was recorded in ${config.STATE_DIR}/.`);
+    }
+    return JSON.parse(content);
+  },
+  async undo() {
+    const manifest = await this.readManifest();
+    logger.info(`Undoing the run from ${manifest.createdAt}...`);
+    packageManager.name = manifest.packageManager;
+    packageManager.yarnBerry = packageManager.name === 'yarn' && await packageManager.detectYarnBerry(await fileSystem.readPackageJson());
+
+    // Dependencies first, so the package manager updates package.json and the lockfile itself
+    const { added, removed } = manifest.dependencies;
+    const workspaceRoot = Boolean(manifest.workspaceRoot);
+    const targets = new Map([[null, { workspace: null, added: [], removed }]]);
+    for (const dep of added) {
+      const key = dep.workspace ? dep.workspace.directory : null;
+      if (!targets.has(key)) targets.set(key, { workspace: dep.workspace, added: [], removed: [] });
+      targets.get(key).added.push(dep);
+    }
+    for (const target of targets.values()) {
+      const { workspace } = target;
+      const toRemove = target.added.filter(dep => !dep.previous).map(dep => dep.name);
+      const toRestore = [
+        ...target.added.filter(dep => dep.previous).map(dep => ({ name: dep.name, ...dep.previous })),
+        ...target.removed.filter(dep => dep.range),
+      ];
+      if (toRemove.length > 0) {
+        await packageManager.removeDependencies(toRemove, { workspace, workspaceRoot });
+      }
+      for (const field of ['devDependencies', 'dependencies']) {
+        const specs = toRestore.filter(dep => dep.field === field).map(dep => `${dep.name}@${dep.range}`);
+        if (specs.length > 0) {
+          await packageManager.installDependencies(specs, { dev: field === 'devDependencies', workspace, workspaceRoot });
+        }
+      }
+    }
+
+    // Runs recorded before workspace support only changed the root package.json
+    const packageJsonFiles = [...new Set(manifest.packageJson.map(entry => entry.file || 'package.json'))];
+    for (const file of packageJsonFiles) {
+      const directory = path.dirname(file);
+      const packageJson = await fileSystem.readPackageJson(directory);
+      for (const { path: keyPath, previous } of manifest.packageJson.filter(entry => (entry.file || 'package.json') === file)) {
+        const [key, subKey] = keyPath;
+        const target = subKey === undefined ? packageJson : packageJson[key];
+        const property = subKey === undefined ? key : subKey;
+        if (!target) continue;
+        if (previous === undefined) delete target[property];
+        else target[property] = previous;
+      }
+      await fileSystem.writeJsonFile(file, packageJson);
+    }
+
+    const files = [
+      ...manifest.files.created.map(filePath => ({ path: filePath, existed: false })),
+      ...await Promise.all(manifest.files.modified.map(async file => ({
+        path: file.path,
+        existed: true,
+        content: await io.fs.readFile(path.join(this.stateDir, file.backup), 'utf-8'),
+      }))),
+    ];
+    await this.restoreFiles(files, manifest.createdDirectories);
+
+    if (manifest.createdDirectories.includes('.husky')) {
+      try {
+        io.childProcess.execSync('git config --unset core.hooksPath', { cwd: io.cwd(), stdio: 'ignore' });
+      } catch (error) {
+        logger.debug('core.hooksPath was not set.');
+      }
+    }
+
+    await io.fs.rm(this.stateDir, { recursive: true, force: true });
+    logger.info('The last code-polish-pro run has been undone.');
+  },
+};
+
+module.exports = { stateManager };
@@ -0,0 +1,157 @@
+const { sourceWriter } = require('./sourceWriter');
+
+// Files typescript-eslint's type-checked configs apply to; the script blocks of components are left out
+const TYPE_CHECKED_EXTENSIONS = ['ts', 'tsx', 'mts', 'cts'];
+
+// Lint plugins the stricter levels add on top of the framework configs. Each one has a label, its dependencies
+// for each ESLint config format, and configureEslint(config, { useTypeScript }) and
+// configureFlatConfig({ useTypeScript }) like the project types.
+const plugins = {
+  sonarjs: {
+    label: 'eslint-plugin-sonarjs recommended (bug patterns and code smells)',
+    // Since eslint-plugin-sonarjs 1, "recommended" is the flat config
+    dependencies: { legacy: ['eslint-plugin-sonarjs@^1.0.3'], flat: ['eslint-plugin-sonarjs@^1.0.3'] },
+    configureEslint(config) {
+      config.extends = [...(config.extends || []), 'plugin:sonarjs/recommended-legacy'];
+      return config;
+    },
+    configureFlatConfig() {
+      return { imports: [['sonarjs', 'eslint-plugin-sonarjs']], entries: [sourceWriter.code('sonarjs.configs.recommended')] };
+    },
+  },
+  importCycles: {
+    label: 'import/no-cycle from eslint-plugin-import (circular imports)',
+    // Without the TypeScript resolver, imports of .ts files are not followed
+    dependencies: { legacy: ['eslint-plugin-import@^2.31.0'], flat: ['eslint-plugin-import@^2.31.0'] },
+    typescriptDependencies: ['eslint-import-resolver-typescript@^3.6.3'],
+    configureEslint(config, { useTypeScript }) {
+      config.plugins = [...new Set([...(config.plugins || []), 'import'])];
+      if (useTypeScript) {
+        const settings = config.settings || {};
+        config.settings = { ...settings, 'import/resolver': { ...settings['import/resolver'], typescript: true } };
+      }
+      config.rules = { ...config.rules, 'import/no-cycle': 'error' };
+      return config;
+    },
+    configureFlatConfig({ useTypeScript }) {
+      return {
+        imports: [['importPlugin', 'eslint-plugin-import']],
+        entries: [{
+          // ESLint refuses a second, different object under the name "import", and the flat configs of
+          // eslint-plugin-import, which project types such as React use, register this one rather than the module
+          plugins: { import: sourceWriter.code('importPlugin.flatConfigs.recommended.plugins.import') },
+          ...(useTypeScript ? { settings: { 'import/resolver': { typescript: true, node: true } } } : {}),
+          rules: { 'import/no-cycle': 'error' },
+        }],
+      };
+    },
+  },
+  unicorn: {
+    label: 'eslint-plugin-unicorn recommended (modern and consistent JavaScript)',
+    // eslint-plugin-unicorn 49 is the last release that supports ESLint 8 and CommonJS config loading
+    dependencies: { legacy: ['eslint-plugin-unicorn@^49.0.0'], flat: ['eslint-plugin-unicorn@^56.0.0'] },
+    configureEslint(config) {
+      config.extends = [...(config.extends || []), 'plugin:unicorn/recommended'];
+      return config;
+    },
+    configureFlatConfig() {
+      return {
+        imports: [['eslintPluginUnicorn', 'eslint-plugin-unicorn']],
+        entries: [sourceWriter.code("eslintPluginUnicorn.configs['flat/recommended']")],
+      };
+    },
+  },
+};
+
+// ESLint strictness levels, from the fewest to the most rules. Each level has:
+// - summary: shown when choosing a level
+// - rules: core ESLint rules
+// - typescript: the typescript-eslint config for TypeScript files; the *-type-checked ones read the tsconfig.json
+//   and catch mistakes only types reveal, such as unhandled promises
+// - typescriptRules: typescript-eslint rules on top of it
+// - plugins: the extra plugins above
+const strictness = {
+  DEFAULT: 'recommended',
+  TYPE_CHECKED_EXTENSIONS,
+  plugins,
+  levels: {
+    relaxed: {
+      summary: 'for prototypes and legacy code: console and any are allowed, debugger is a warning',
+      rules: { 'no-console': 'off', 'no-debugger': 'warn' },
+      typescript: 'recommended',
+      typescriptRules: { '@typescript-eslint/no-explicit-any': 'off' },
+      plugins: [],
+    },
+    recommended: {
+      summary: 'the frameworks\' recommended rules, console is a warning',
+      rules: { 'no-console': 'warn', 'no-debugger': 'error' },
+      typescript: 'recommended',
+      typescriptRules: {},
+      plugins: [],
+    },
+    strict: {
+      summary: 'type-aware TypeScript rules, SonarJS and import cycle detection, console is an error',
+      rules: { 'no-console': 'error', 'no-debugger': 'error', eqeqeq: ['error', 'always'], 'no-var': 'error', 'prefer-const': 'error' },
+      typescript: 'recommended-type-checked',
+      typescriptRules: {},
+      plugins: ['sonarjs', 'importCycles'],
+    },
+    pedantic: {
+      summary: 'everything in strict, with typescript-eslint\'s strict rules, Unicorn and no any',
+      rules: {
+        'no-console': 'error',
+        'no-debugger': 'error',
+        eqeqeq: ['error', 'always'],
+        'no-var': 'error',
+        'prefer-const': 'error',
+        'no-implicit-coercion': 'error',
+        'no-param-reassign': 'error',
+        'prefer-template': 'error',
+        'object-shorthand': 'error',
+      },
+      typescript: 'strict-type-checked',
+      typescriptRules: { '@typescript-eslint/no-explicit-any': 'error' },
+      plugins: ['sonarjs', 'importCycles', 'unicorn'],
+    },
+  },
+  names() {
+    return Object.keys(this.levels);
+  },
+  get(level = this.DEFAULT) {
+    const definition = this.levels[level];
+    if (!definition) {
+      throw new Error(`Unknown strictness "${level}". Expected one of: ${this.names().join(', ')}.`);
+    }
+    return definition;
+  },
+  getPlugins(level) {
+    return this.get(level).plugins.map(name => this.plugins[name]);
+  },
+  isTypeChecked(level) {
+    return this.get(level).typescript.endsWith('-type-checked');
+  },
+  // 'strict-type-checked' -> 'strictTypeChecked', the name of the config in the typescript-eslint package
+  getFlatTypeScriptConfig(level) {
+    return this.get(level).typescript.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+  },
+  // The rule sets a level turns on, for the summary printed when it is chosen
+  describe(level, { useTypeScript }) {
+    const { rules, typescript } = this.get(level);
+    const describeRule = (name) => `${name} (${[].concat(rules[name])[0]})`;
+    return [
+      `core rules ${Object.keys(rules).map(describeRule).join(', ')}`,
+      ...(useTypeScript
+        ? [`typescript-eslint ${typescript}${this.isTypeChecked(level) ? ' for .ts and .tsx files, using tsconfig.eslint.json' : ''}`]
+        : []),
+      ...this.getPlugins(level).map(plugin => plugin.label),
+    ];
+  },
+  getDependencies(level, eslintConfigFormat, useTypeScript) {
+    return this.getPlugins(level).flatMap(plugin => [
+      ...plugin.dependencies[eslintConfigFormat],
+      ...(useTypeScript ? plugin.typescriptDependencies || [] : []),
+    ]);
+  },
+};
+
+module.exports = { strictness };
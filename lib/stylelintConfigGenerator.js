@@ -0,0 +1,60 @@
+const { getAllDependencies } = require('./utils');
+
+// Stylelint configuration generator
+const stylelintConfigGenerator = {
+  sassPackages: ['sass', 'sass-embedded', 'node-sass'],
+  // stylelint-config-standard has no stylistic rules since Stylelint 15, but the SCSS config still has
+  // these, which disagree with the way Prettier breaks and spaces SCSS expressions
+  prettierConflictingScssRules: [
+    'scss/at-else-closing-brace-newline-after',
+    'scss/at-else-closing-brace-space-after',
+    'scss/at-else-empty-line-before',
+    'scss/at-else-if-parentheses-space-before',
+    'scss/at-if-closing-brace-newline-after',
+    'scss/at-if-closing-brace-space-after',
+    'scss/dollar-variable-colon-space-after',
+    'scss/dollar-variable-colon-space-before',
+    'scss/double-slash-comment-whitespace-inside',
+    'scss/operator-no-newline-after',
+    'scss/operator-no-newline-before',
+    'scss/operator-no-unspaced',
+  ],
+  usesScss(...packageJsons) {
+    return packageJsons.some(packageJson => this.sassPackages.some(name => getAllDependencies(packageJson)[name]));
+  },
+  // File extensions holding styles: stylesheets, and the <style> blocks of Vue and Svelte components
+  getExtensions(projectTypes, useScss) {
+    return ['css', ...(useScss ? ['scss'] : []), ...['vue', 'svelte'].filter(type => projectTypes.includes(type))];
+  },
+  getGlob(extensions) {
+    return extensions.length === 1 ? `**/*.${extensions[0]}` : `**/*.{${extensions.join(',')}}`;
+  },
+  generateConfig(projectTypes, useScss, usePrettier) {
+    const stylelintConfig = {
+      extends: [useScss ? 'stylelint-config-standard-scss' : 'stylelint-config-standard'],
+    };
+
+    // Both parse components with postcss-html, so only their <style> blocks are linted
+    if (projectTypes.includes('vue')) {
+      stylelintConfig.extends.push(useScss ? 'stylelint-config-recommended-vue/scss' : 'stylelint-config-recommended-vue');
+    }
+    if (projectTypes.includes('svelte')) {
+      stylelintConfig.overrides = [
+        {
+          files: ['**/*.svelte'],
+          customSyntax: 'postcss-html',
+          rules: {
+            'selector-pseudo-class-no-unknown': [true, { ignorePseudoClasses: ['global'] }],
+          },
+        },
+      ];
+    }
+
+    if (usePrettier && useScss) {
+      stylelintConfig.rules = Object.fromEntries(this.prettierConflictingScssRules.map(rule => [rule, null]));
+    }
+    return stylelintConfig;
+  },
+};
+
+module.exports = { stylelintConfigGenerator };
@@ -0,0 +1,149 @@
+const { sourceWriter } = require('./sourceWriter');
+const { getAllDependencies } = require('./utils');
+
+// Where unit test runners look for tests by default
+const TEST_FILES = ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'];
+
+// Test frameworks whose files get their own globals and lint rules. Each one has:
+// - packages: the dependencies it is recognized by
+// - files: globs of its test files; browser tests (e2e) are left out of the unit test frameworks' globs
+// - dependencies: { legacy, flat }, its lint plugin for each ESLint config format
+// - configureEslint(dependency) and configureFlatConfig(dependency), its part of an .eslintrc override and of
+//   an eslint.config.js entry, for the package it was recognized by
+const testFrameworks = {
+  frameworks: [
+    {
+      name: 'jest',
+      label: 'Jest',
+      packages: ['jest'],
+      files: TEST_FILES,
+      dependencies: { legacy: ['eslint-plugin-jest@^28.8.0'], flat: ['eslint-plugin-jest@^28.8.0'] },
+      configureEslint: () => ({ env: { jest: true }, extends: ['plugin:jest/recommended'] }),
+      configureFlatConfig: () => ({ imports: [['jest', 'eslint-plugin-jest']], config: "jest.configs['flat/recommended']" }),
+    },
+    {
+      name: 'vitest',
+      label: 'Vitest',
+      packages: ['vitest'],
+      files: TEST_FILES,
+      dependencies: { legacy: ['eslint-plugin-vitest@^0.5.4'], flat: ['eslint-plugin-vitest@^0.5.4'] },
+      configureEslint: () => ({ env: { 'vitest/env': true }, extends: ['plugin:vitest/legacy-recommended'] }),
+      // The recommended config has no globals; they are only there with `globals: true` in the Vitest config
+      configureFlatConfig: () => ({
+        imports: [['vitest', 'eslint-plugin-vitest']],
+        config: 'vitest.configs.recommended',
+        globals: 'vitest.environments.env.globals',
+      }),
+    },
+    {
+      name: 'mocha',
+      label: 'Mocha',
+      packages: ['mocha'],
+      files: ['**/*.test.*', '**/*.spec.*', '**/test/**'],
+      configureEslint: () => ({ env: { mocha: true } }),
+      configureFlatConfig: () => ({ globals: 'globals.mocha' }),
+    },
+    {
+      name: 'testing-library',
+      label: 'Testing Library',
+      // The first package found picks the plugin's config; @testing-library/dom is used by the others
+      packages: [
+        '@testing-library/react',
+        '@testing-library/react-native',
+        '@testing-library/vue',
+        '@testing-library/angular',
+        '@testing-library/svelte',
+        '@testing-library/dom',
+      ],
+      files: TEST_FILES,
+      // Flat configs were added in eslint-plugin-testing-library 7
+      dependencies: { legacy: ['eslint-plugin-testing-library@^6.3.0'], flat: ['eslint-plugin-testing-library@^7.0.0'] },
+      configureEslint: (dependency) => ({ extends: [`plugin:testing-library/${testFrameworks.getTestingLibraryConfig(dependency)}`] }),
+      configureFlatConfig: (dependency) => ({
+        imports: [['testingLibrary', 'eslint-plugin-testing-library']],
+        config: `testingLibrary.configs['flat/${testFrameworks.getTestingLibraryConfig(dependency)}']`,
+      }),
+    },
+    {
+      name: 'playwright',
+      label: 'Playwright',
+      packages: ['@playwright/test'],
+      files: ['**/e2e/**'],
+      e2e: true,
+      dependencies: { legacy: ['eslint-plugin-playwright@^1.6.2'], flat: ['eslint-plugin-playwright@^1.6.2'] },
+      configureEslint: () => ({ extends: ['plugin:playwright/recommended'] }),
+      configureFlatConfig: () => ({ imports: [['playwright', 'eslint-plugin-playwright']], config: "playwright.configs['flat/recommended']" }),
+    },
+    {
+      name: 'cypress',
+      label: 'Cypress',
+      packages: ['cypress'],
+      files: ['**/cypress/**', '**/*.cy.*'],
+      e2e: true,
+      // eslint-plugin-cypress 3 has both config formats; its flat configs are a separate entry point
+      dependencies: { legacy: ['eslint-plugin-cypress@^3.5.0'], flat: ['eslint-plugin-cypress@^3.5.0'] },
+      configureEslint: () => ({ extends: ['plugin:cypress/recommended'] }),
+      configureFlatConfig: () => ({ imports: [['pluginCypress', 'eslint-plugin-cypress/flat']], config: 'pluginCypress.configs.recommended' }),
+    },
+  ],
+  getTestingLibraryConfig(dependency) {
+    const config = dependency.replace('@testing-library/', '').replace('-native', '');
+    return ['react', 'vue', 'angular'].includes(config) ? config : 'dom';
+  },
+  get(name) {
+    return this.frameworks.find(framework => framework.name === name);
+  },
+  // The test frameworks a package.json depends on, with the dependency each one was recognized by
+  detect(packageJson) {
+    const dependencies = getAllDependencies(packageJson);
+    return this.frameworks
+      .map(framework => ({ framework, dependency: framework.packages.find(name => dependencies[name]) }))
+      .filter(({ dependency }) => dependency)
+      .map(({ framework, dependency }) => ({ name: framework.name, dependency }));
+  },
+  describe(detected) {
+    return detected.map(({ name, dependency }) => `${this.get(name).label} ("${dependency}" is listed in package.json)`).join(', ');
+  },
+  getDependencies(detected, eslintConfigFormat) {
+    const deps = detected
+      .map(({ name }) => this.get(name).dependencies)
+      .flatMap(dependencies => (dependencies ? dependencies[eslintConfigFormat] : []));
+    return [...new Set(deps)];
+  },
+  // Unit test globs also match spec files of browser tests, which are left to their own framework
+  getFiles(detected) {
+    const e2eFiles = detected.map(({ name }) => this.get(name)).filter(framework => framework.e2e).flatMap(framework => framework.files);
+    return detected.map(({ name }) => {
+      const framework = this.get(name);
+      return { files: framework.files, excludedFiles: framework.e2e ? [] : e2eFiles };
+    });
+  },
+  // One .eslintrc override per test framework
+  getEslintOverrides(detected) {
+    const files = this.getFiles(detected);
+    return detected.map(({ name, dependency }, index) => ({
+      files: files[index].files,
+      ...(files[index].excludedFiles.length > 0 ? { excludedFiles: files[index].excludedFiles } : {}),
+      ...this.get(name).configureEslint(dependency),
+    }));
+  },
+  // One eslint.config.js entry per test framework, with the imports they need
+  getFlatConfig(detected) {
+    const files = this.getFiles(detected);
+    const imports = [];
+    const entries = detected.map(({ name, dependency }, index) => {
+      const { imports: frameworkImports = [], config, globals } = this.get(name).configureFlatConfig(dependency);
+      imports.push(...frameworkImports);
+      const entry = sourceWriter.stringify({
+        files: files[index].files,
+        ...(files[index].excludedFiles.length > 0 ? { ignores: files[index].excludedFiles } : {}),
+        ...(globals ? { languageOptions: { globals: sourceWriter.code(globals) } } : {}),
+      });
+      // The plugin's config comes first, so the files above apply to it
+      return sourceWriter.code(config ? entry.replace('{\n', `{\n  ...${config},\n`) : entry);
+    });
+    return { imports, entries };
+  },
+};
+
+module.exports = { testFrameworks };
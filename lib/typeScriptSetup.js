@@ -0,0 +1,125 @@
+const path = require('path');
+
+const { configFormats } = require('./configFormats');
+const { fileSystem } = require('./fileSystem');
+const { logger } = require('./logger');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { getAllDependencies, getPackageName } = require('./utils');
+
+// The tsconfig.json of project types that have no TypeScript settings, such as those of plugins
+const DEFAULT_SETTINGS = {
+  tsconfig: { extends: '@tsconfig/recommended/tsconfig.json' },
+  base: '@tsconfig/recommended@^1.0.7',
+};
+
+// Config and test files, which a tsconfig.json often leaves out, but which type-aware lint rules check too
+const ESLINT_INCLUDE = [
+  '*.config.*',
+  '.*.cjs',
+  '.*.js',
+  '**/*.test.*',
+  '**/*.spec.*',
+  '**/__tests__/**/*',
+  'test/**/*',
+  'tests/**/*',
+  'e2e/**/*',
+];
+
+// TypeScript step of a package: a tsconfig.json extending the base of its framework, a tsconfig.eslint.json
+// for type-aware linting, and a typecheck script
+const typeScriptSetup = {
+  FILE: 'tsconfig.json',
+  ESLINT_FILE: 'tsconfig.eslint.json',
+  dependencies: ['typescript@^5.5.0'],
+
+  // A project type's `typescript` settings, which may depend on its package.json, such as Expo or bare React Native
+  getSettings(projectType, packageJson) {
+    const { typescript } = projectTypeRegistry.get(projectType);
+    const settings = typeof typescript === 'function' ? typescript(packageJson) : typescript;
+    return { tsconfig: {}, base: null, typecheck: 'tsc --noEmit', typecheckDependencies: [], ...(settings || DEFAULT_SETTINGS) };
+  },
+  // '@tsconfig/svelte/tsconfig.json' -> '@tsconfig/svelte'; relative and absolute paths are not packages
+  getExtendedPackage(extended) {
+    if (typeof extended !== 'string' || /^[./]/.test(extended)) return null;
+    return extended.split('/').slice(0, extended.startsWith('@') ? 2 : 1).join('/');
+  },
+  // Reads an existing tsconfig.json and reports what keeps it from working; returns the packages it extends
+  // that the base of the project type provides but package.json is missing
+  validate(tsconfigPath, content, settings, packageJson) {
+    let tsconfig;
+    try {
+      tsconfig = configFormats.parseJson(content);
+    } catch (error) {
+      logger.warn(`Unable to read ${tsconfigPath}: ${error.message}. Type checks and type-aware lint rules need a valid tsconfig.json.`);
+      return { tsconfig: null, missing: [] };
+    }
+    const dependencies = getAllDependencies(packageJson);
+    const basePackage = settings.base && getPackageName(settings.base);
+    const missing = [];
+    for (const extended of [].concat(tsconfig.extends || [])) {
+      const name = this.getExtendedPackage(extended);
+      if (!name || dependencies[name]) continue;
+      if (name === basePackage) {
+        logger.info(`Installing ${settings.base}, which ${tsconfigPath} extends.`);
+        missing.push(settings.base);
+      } else {
+        logger.warn(`${tsconfigPath} extends ${extended}, but ${name} is not in package.json.`);
+      }
+    }
+    if (!tsconfig.extends && settings.tsconfig.extends) {
+      logger.info(`${tsconfigPath} does not extend ${settings.tsconfig.extends}; keeping its own compiler options.`);
+    }
+    return { tsconfig, missing };
+  },
+  // Extends the tsconfig.json, adding the config and test files to what it compiles. Without an include,
+  // TypeScript compiles every file already.
+  generateEslintConfig(tsconfig) {
+    const include = tsconfig && tsconfig.include ? [...new Set([...tsconfig.include, ...ESLINT_INCLUDE])] : ['**/*'];
+    return { extends: `./${this.FILE}`, compilerOptions: { noEmit: true, allowJs: true }, include };
+  },
+  // Plans the files and dependencies of a package (the root for `workspace` null) and returns its typecheck
+  // script. Packages that are installed already, or planned by the lint setup, keep their version.
+  async setup(plan, { projectType, packageJson, workspace = null }) {
+    const directory = workspace ? workspace.directory : '.';
+    const settings = this.getSettings(projectType, packageJson);
+    const tsconfigPath = path.posix.join(directory, this.FILE);
+    const existing = await fileSystem.readFileIfExists(tsconfigPath);
+    let tsconfig;
+    const dependencies = [...this.dependencies, ...settings.typecheckDependencies];
+    if (existing === null) {
+      tsconfig = settings.tsconfig;
+      plan.writeJsonFile(tsconfigPath, tsconfig);
+      if (settings.base) dependencies.push(settings.base);
+    } else {
+      const validated = this.validate(tsconfigPath, existing, settings, packageJson);
+      tsconfig = validated.tsconfig;
+      dependencies.push(...validated.missing);
+    }
+
+    const eslintTsconfigPath = path.posix.join(directory, this.ESLINT_FILE);
+    if ((await fileSystem.readFileIfExists(eslintTsconfigPath)) === null) {
+      plan.writeJsonFile(eslintTsconfigPath, this.generateEslintConfig(tsconfig));
+    } else {
+      logger.info(`Keeping the existing ${eslintTsconfigPath}.`);
+    }
+
+    const installed = getAllDependencies(packageJson);
+    const planned = workspace
+      ? ((plan.workspaceDependencies.get(directory) || { dependencies: [] }).dependencies)
+      : plan.addedDependencies;
+    const plannedNames = planned.map(spec => getPackageName(spec));
+    plan.addDependencies(
+      dependencies.filter(spec => !installed[getPackageName(spec)] && !plannedNames.includes(getPackageName(spec))),
+      workspace
+    );
+
+    const existingScript = packageJson.scripts && packageJson.scripts.typecheck;
+    if (existingScript) {
+      logger.info(`Keeping the existing typecheck script of ${path.posix.join(directory, 'package.json')}: ${existingScript}`);
+      return {};
+    }
+    return { typecheck: settings.typecheck };
+  },
+};
+
+module.exports = { typeScriptSetup };
@@ -0,0 +1,151 @@
+const { config } = require('./config');
+const { io } = require('./io');
+const { optionParser } = require('./options');
+const { prompts } = require('./prompts');
+const { strictness } = require('./strictness');
+
+// Follow-up questions, only asked when the answer to the first one is yes
+const FOLLOW_UPS = { useHusky: 'gitHooks', useLintBaseline: 'fixCommit' };
+
+// User interaction utilities
+const userInteraction = {
+  questions: {
+    projectType: 'What type of project are you working on?',
+    useTypeScript: 'Are you using TypeScript?',
+    useHusky: 'Do you want to set up Husky and lint-staged for pre-commit hooks?',
+    gitHooks: 'Which Git hooks do you want to install?',
+    strictness: 'How strict should ESLint be?',
+    useLintBaseline: 'Do you want to record the existing lint errors in a baseline, so only new ones fail?',
+    fixCommit: 'Do you want to commit the changes of lint:fix and format on their own before recording it?',
+    usePrettier: 'Do you want to use Prettier for code formatting?',
+    useStylelint: 'Do you want to lint your stylesheets with Stylelint?',
+    ciProvider: 'Which CI pipeline should run the lint and format checks?',
+    useVscode: 'Do you want to add VS Code settings for format-on-save and ESLint fixes?',
+    eslintConfigFormat: 'Which ESLint config format do you want to generate?',
+    overwriteEslintConfig: 'Do you want to overwrite the existing configuration?',
+    createEditorConfig: 'Do you want to create an .editorconfig matching your Prettier settings?',
+    useWorkspaces: 'Do you want to configure each workspace package for its own framework?',
+  },
+  // Names of the answers on the review screen
+  labels: {
+    projectType: 'Project type',
+    useTypeScript: 'TypeScript',
+    useHusky: 'Husky and lint-staged',
+    gitHooks: 'Git hooks',
+    strictness: 'ESLint strictness',
+    useLintBaseline: 'Lint baseline',
+    fixCommit: 'Commit the fixes first',
+    usePrettier: 'Prettier',
+    useStylelint: 'Stylelint',
+    ciProvider: 'CI pipeline',
+    useVscode: 'VS Code settings',
+    eslintConfigFormat: 'ESLint config format',
+  },
+  // Descriptions shown next to the choices
+  hints: {
+    get strictness() {
+      return Object.fromEntries(strictness.names().map(name => [name, strictness.get(name).summary]));
+    },
+    gitHooks: { 'pre-commit': 'lint-staged', 'commit-msg': 'commitlint', 'pre-push': 'type check and lint' },
+    ciProvider: { github: 'GitHub Actions', gitlab: 'GitLab CI' },
+    eslintConfigFormat: { flat: 'eslint.config.js', legacy: '.eslintrc.*' },
+  },
+  isInteractive() {
+    return io.interactive && Boolean(io.stdin.isTTY);
+  },
+  confirm(question, defaultValue) {
+    return prompts.confirm(question, defaultValue);
+  },
+  close() {
+    prompts.close();
+  },
+  formatValue(option, value) {
+    if (option.type === 'boolean') return value ? 'yes' : 'no';
+    return option.type === 'list' ? value.join(', ') : value;
+  },
+  // Asks a single question. The default is preselected and marked with where it comes from: detected, default or
+  // the current answer on the review screen.
+  async ask(option, defaultValue, source = 'default') {
+    const question = this.questions[option.key];
+    if (option.type === 'boolean') return prompts.confirm(question, Boolean(defaultValue));
+
+    const hints = this.hints[option.key] || {};
+    const defaults = [].concat(defaultValue === undefined ? [] : defaultValue);
+    const choices = optionParser.getChoices(option).map(value => ({
+      value,
+      label: value,
+      hint: [hints[value], option.type === 'string' && defaults.includes(value) ? `(${source})` : null].filter(Boolean).join(' '),
+    }));
+    return option.type === 'list' ? prompts.multiSelect(question, choices, defaults) : prompts.select(question, choices, defaultValue);
+  },
+  defaultFor(option, detectedDefaults) {
+    return detectedDefaults[option.key] !== undefined ? detectedDefaults[option.key] : option.default;
+  },
+  // The options of the keys that are prompted for: neither answered nor, when defaults are accepted, defaulted
+  findUnanswered(keys, answers, acceptDefaults, detectedDefaults = {}) {
+    return config.OPTIONS.filter(option => keys.includes(option.key)).filter(option => (
+      answers[option.key] === undefined && !(acceptDefaults && this.defaultFor(option, detectedDefaults) !== undefined)
+    ));
+  },
+  // Fills in the given keys from the provided answers, the defaults (when accepted) or prompts.
+  // Detected values take the place of the built-in defaults.
+  async resolveOptions(keys, answers, acceptDefaults, detectedDefaults = {}) {
+    const options = config.OPTIONS.filter(option => keys.includes(option.key));
+    const unanswered = this.findUnanswered(keys, answers, acceptDefaults, detectedDefaults);
+    if (unanswered.length > 0 && !this.isInteractive()) {
+      const flags = unanswered.map(option => (option.type === 'boolean' ? `--[no-]${option.name}` : `--${option.name} <value>`));
+      throw new Error(
+        `Cannot prompt for ${unanswered.map(option => `"${option.name}"`).join(', ')} because stdin is not a terminal. ` +
+        `Pass ${flags.join(', ')}${unanswered.every(option => this.defaultFor(option, detectedDefaults) !== undefined) ? ' or --yes' : ''}, ` +
+        `or set them in ${config.RC_FILE}.`
+      );
+    }
+
+    const resolved = {};
+    for (const option of options) {
+      const defaultValue = this.defaultFor(option, detectedDefaults);
+      if (answers[option.key] !== undefined) {
+        resolved[option.key] = answers[option.key];
+      } else if (acceptDefaults && defaultValue !== undefined) {
+        resolved[option.key] = defaultValue;
+      } else {
+        resolved[option.key] = await this.ask(option, defaultValue, detectedDefaults[option.key] !== undefined ? 'detected' : 'default');
+      }
+    }
+    return resolved;
+  },
+  // Resolves the follow-up questions of the answers that are yes, and drops those of the answers that are no
+  async resolveFollowUps(options, answers, acceptDefaults) {
+    for (const [key, followUp] of Object.entries(FOLLOW_UPS)) {
+      if (!options[key]) delete options[followUp];
+      else if (options[followUp] === undefined) Object.assign(options, await this.resolveOptions([followUp], answers, acceptDefaults));
+    }
+    return options;
+  },
+  // Lists the answers until the user continues; any of them can be changed, including those from flags and config files
+  async review(options) {
+    while (true) {
+      const answered = config.OPTIONS.filter(option => options[option.key] !== undefined);
+      const key = await prompts.select('Review your answers, or select one to change it.', [
+        { value: 'continue', label: 'Continue with these answers' },
+        ...answered.map(option => ({ value: option.key, label: `${this.labels[option.key]}: ${this.formatValue(option, options[option.key])}` })),
+      ], 'continue');
+      if (key === 'continue') return options;
+      options[key] = await this.ask(answered.find(option => option.key === key), options[key], 'current');
+      await this.resolveFollowUps(options, {}, false);
+    }
+  },
+  // In a monorepo the project type and language are detected per workspace package, so they are skipped. When any
+  // question was asked, the answers are reviewed before anything is planned.
+  async getProjectOptions(answers = {}, acceptDefaults = false, detectedDefaults = {}, skippedKeys = []) {
+    const keys = [
+      'projectType', 'useTypeScript', 'useHusky', 'strictness', 'useLintBaseline', 'usePrettier', 'useStylelint', 'ciProvider',
+      'useVscode', 'eslintConfigFormat',
+    ].filter(key => !skippedKeys.includes(key));
+    const options = await this.resolveFollowUps(await this.resolveOptions(keys, answers, acceptDefaults, detectedDefaults), answers, acceptDefaults);
+    const asked = this.findUnanswered(Object.keys(options), answers, acceptDefaults, detectedDefaults);
+    return asked.length > 0 ? this.review(options) : options;
+  },
+};
+
+module.exports = { userInteraction };
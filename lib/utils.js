@@ -0,0 +1,31 @@
+// Converts a glob with *, **, ? and {a,b} into a regular expression matching relative paths
+function globToRegExp(glob, { matchBase = false } = {}) {
+  const pattern = glob
+    .replace(/[.+^$()|\\]/g, '\\$&')
+    .replace(/\{([^}]*)\}/g, (match, choices) => `(${choices.split(',').join('|')})`)
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\u0000/g, '.*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${matchBase ? '(.*/)?' : ''}${pattern}$`);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// 'eslint@^9.0.0' -> 'eslint', '@eslint/js@^9.0.0' -> '@eslint/js'
+function getPackageName(spec) {
+  const versionIndex = spec.indexOf('@', 1);
+  return versionIndex === -1 ? spec : spec.slice(0, versionIndex);
+}
+
+function getAllDependencies(packageJson) {
+  return {
+    ...(packageJson.peerDependencies || {}),
+    ...(packageJson.dependencies || {}),
+    ...(packageJson.devDependencies || {}),
+  };
+}
+
+module.exports = { globToRegExp, isPlainObject, getPackageName, getAllDependencies };
@@ -0,0 +1,110 @@
+const { configFormats } = require('./configFormats');
+const { fileSystem } = require('./fileSystem');
+const { logger } = require('./logger');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+
+// VS Code workspace settings, so format-on-save and ESLint fixes work without configuring the editor
+const vscodeSetup = {
+  SETTINGS_FILE: '.vscode/settings.json',
+  EXTENSIONS_FILE: '.vscode/extensions.json',
+
+  async detect() {
+    if ((await fileSystem.findFirstFile([this.SETTINGS_FILE, this.EXTENSIONS_FILE])) !== null) {
+      return { value: true, reason: 'the project has .vscode settings' };
+    }
+    return { value: false, reason: 'no .vscode settings were found' };
+  },
+  // Languages the ESLint extension lints; it only lints JavaScript files unless told otherwise. useTypeScript
+  // includes the project types that always use TypeScript.
+  getEslintLanguages(projectTypes, useTypeScript) {
+    const types = projectTypes.map(projectType => projectTypeRegistry.get(projectType));
+    return [...new Set([
+      'javascript',
+      'javascriptreact',
+      ...(useTypeScript ? ['typescript', 'typescriptreact'] : []),
+      // Component files, such as .vue, are named after their language
+      ...types.flatMap(type => [...type.editor.eslintLanguages, ...type.extensions]),
+    ])];
+  },
+  generateSettings({ projectTypes, useTypeScript, usePrettier, useFlatConfig, useStylelint }) {
+    const settings = {};
+    if (usePrettier) {
+      settings['editor.defaultFormatter'] = 'esbenp.prettier-vscode';
+      settings['editor.formatOnSave'] = true;
+    }
+    settings['editor.codeActionsOnSave'] = {
+      'source.fixAll.eslint': 'explicit',
+      ...(useStylelint ? { 'source.fixAll.stylelint': 'explicit' } : {}),
+    };
+    settings['eslint.validate'] = this.getEslintLanguages(projectTypes, useTypeScript);
+    if (useFlatConfig) {
+      settings['eslint.useFlatConfig'] = true;
+    }
+    if (useStylelint) {
+      settings['stylelint.validate'] = ['css', 'scss', ...['vue', 'svelte'].filter(type => projectTypes.includes(type))];
+    }
+    // The Svelte extension formats components with prettier-plugin-svelte and the project's Prettier config
+    if (usePrettier && projectTypes.includes('svelte')) {
+      settings['[svelte]'] = { 'editor.defaultFormatter': 'svelte.svelte-vscode' };
+    }
+    return settings;
+  },
+  generateExtensions({ projectTypes, usePrettier, useStylelint }) {
+    return {
+      recommendations: [
+        'dbaeumer.vscode-eslint',
+        ...(usePrettier ? ['esbenp.prettier-vscode'] : []),
+        ...(useStylelint ? ['stylelint.vscode-stylelint'] : []),
+        ...new Set(projectTypes.flatMap(projectType => projectTypeRegistry.get(projectType).editor.extensions)),
+      ],
+    };
+  },
+  // The team's existing settings win; lists such as eslint.validate are combined
+  mergeSettings(generated, existing = {}) {
+    const merged = { ...generated, ...existing };
+    for (const [key, value] of Object.entries(generated)) {
+      const current = existing[key];
+      if (Array.isArray(value) && Array.isArray(current)) {
+        merged[key] = [...new Set([...current, ...value])];
+      } else if (typeof value === 'object' && typeof current === 'object' && current !== null && !Array.isArray(current)) {
+        merged[key] = { ...value, ...current };
+      }
+    }
+    return merged;
+  },
+  // Recommendations are added to the existing ones, except for extensions the team marked as unwanted
+  mergeExtensions(generated, existing = {}) {
+    const unwanted = existing.unwantedRecommendations || [];
+    const recommendations = [...(existing.recommendations || []), ...generated.recommendations]
+      .filter(extension => !unwanted.includes(extension));
+    return { ...existing, recommendations: [...new Set(recommendations)] };
+  },
+  async planFile(plan, file, generated, merge) {
+    const content = await fileSystem.readFileIfExists(file);
+    if (content === null) {
+      plan.writeJsonFile(file, generated);
+      return;
+    }
+
+    let existing;
+    try {
+      existing = configFormats.parseJson(content);
+    } catch (error) {
+      logger.warn(`Unable to parse ${file}, keeping it unchanged: ${error.message}`);
+      return;
+    }
+    const merged = merge(generated, existing);
+    if (JSON.stringify(merged) === JSON.stringify(existing)) return;
+    logger.info(`Merging with the existing ${file}.`);
+    if (/^\s*\/[/*]/m.test(content)) {
+      logger.warn(`The comments in ${file} will not be kept.`);
+    }
+    plan.writeJsonFile(file, merged);
+  },
+  async setup(plan, options) {
+    await this.planFile(plan, this.SETTINGS_FILE, this.generateSettings(options), (generated, existing) => this.mergeSettings(generated, existing));
+    await this.planFile(plan, this.EXTENSIONS_FILE, this.generateExtensions(options), (generated, existing) => this.mergeExtensions(generated, existing));
+  },
+};
+
+module.exports = { vscodeSetup };
@@ -0,0 +1,108 @@
+const YAML = require('yaml');
+
+const { compatibilityMatrix } = require('./compatibilityMatrix');
+const { fileSystem } = require('./fileSystem');
+const { io } = require('./io');
+const { logger } = require('./logger');
+const { projectDetector } = require('./projectDetector');
+const { projectTypeRegistry } = require('./projectTypeRegistry');
+const { globToRegExp } = require('./utils');
+
+// Monorepo workspace packages, declared in package.json "workspaces" or pnpm-workspace.yaml
+const workspaceDetector = {
+  MAX_DEPTH: 4,
+  async readPatterns(packageJson) {
+    const pnpmWorkspace = await fileSystem.readFileIfExists(io.resolve('pnpm-workspace.yaml'));
+    if (pnpmWorkspace !== null) {
+      let parsed;
+      try {
+        parsed = YAML.parse(pnpmWorkspace);
+      } catch (error) {
+        throw new Error(`Unable to parse pnpm-workspace.yaml: ${error.message}`);
+      }
+      return { source: 'pnpm-workspace.yaml', patterns: (parsed && parsed.packages) || [] };
+    }
+    // Yarn 1 also accepts { "packages": [...], "nohoist": [...] }
+    const { workspaces } = packageJson;
+    const patterns = Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages;
+    return Array.isArray(patterns) ? { source: 'the "workspaces" field of package.json', patterns } : null;
+  },
+  // Directories (relative, with forward slashes) that match the patterns and contain a package.json
+  async findPackageDirectories(patterns) {
+    const normalized = patterns.map(pattern => pattern.replace(/^(!?)\.\//, '$1').replace(/\/+$/, ''));
+    const include = normalized.filter(pattern => !pattern.startsWith('!')).map(pattern => globToRegExp(pattern));
+    const exclude = normalized.filter(pattern => pattern.startsWith('!')).map(pattern => globToRegExp(pattern.slice(1)));
+
+    const found = [];
+    const visit = async (directory, depth) => {
+      let entries;
+      try {
+        entries = await io.fs.readdir(io.resolve(directory), { withFileTypes: true });
+      } catch (error) {
+        logger.debug(`Unable to list ${directory}: ${error.message}`);
+        return;
+      }
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+        const child = directory === '.' ? entry.name : `${directory}/${entry.name}`;
+        const matches = include.some(regExp => regExp.test(child)) && !exclude.some(regExp => regExp.test(child));
+        if (matches && (await fileSystem.readFileIfExists(io.resolve(child, 'package.json'))) !== null) {
+          found.push(child);
+        }
+        if (depth < this.MAX_DEPTH) await visit(child, depth + 1);
+      }
+    };
+    await visit('.', 1);
+    return found.sort();
+  },
+  getSourceExtensions(projectType, useTypeScript) {
+    const type = projectTypeRegistry.get(projectType);
+    return [
+      'js', 'jsx', 'mjs', 'cjs',
+      ...(useTypeScript || type.alwaysTypeScript ? ['ts', 'tsx', 'mts', 'cts'] : []),
+      ...type.extensions,
+    ];
+  },
+  // Glob, relative to the repository root, of the files a workspace package is linted for
+  getSourceGlob(workspace) {
+    return `${workspace.directory}/**/*.{${this.getSourceExtensions(workspace.projectType, workspace.useTypeScript).join(',')}}`;
+  },
+  // lint-staged globs for a monorepo: one for JavaScript and TypeScript anywhere in the repository, so files outside
+  // the packages are fixed too, and one per package for its components. A glob without a slash matches in every
+  // directory, and a file matching two globs would be fixed by two ESLint processes at once.
+  getLintStagedGlobs(workspaces) {
+    const formatGlob = (prefix, extensions) => `${prefix}*.${extensions.length > 1 ? `{${extensions.join(',')}}` : extensions[0]}`;
+    const scriptExtensions = [...new Set(workspaces.flatMap(workspace => (
+      this.getSourceExtensions(workspace.projectType, workspace.useTypeScript)
+        .filter(extension => !projectTypeRegistry.get(workspace.projectType).extensions.includes(extension))
+    )))];
+    return [
+      formatGlob('', scriptExtensions),
+      ...workspaces
+        .filter(workspace => projectTypeRegistry.get(workspace.projectType).extensions.length > 0)
+        .map(workspace => formatGlob(`${workspace.directory}/**/`, projectTypeRegistry.get(workspace.projectType).extensions)),
+    ];
+  },
+  async detect(packageJson) {
+    const declared = await this.readPatterns(packageJson);
+    if (!declared || declared.patterns.length === 0) return null;
+
+    const workspaces = [];
+    for (const directory of await this.findPackageDirectories(declared.patterns)) {
+      const workspacePackageJson = await fileSystem.readPackageJson(directory);
+      const detected = await projectDetector.detect(directory);
+      workspaces.push({
+        directory,
+        name: workspacePackageJson.name || directory,
+        packageJson: workspacePackageJson,
+        versions: await compatibilityMatrix.readVersions(workspacePackageJson, directory),
+        detected,
+        projectType: detected.projectType.value,
+        useTypeScript: detected.useTypeScript.value,
+      });
+    }
+    return { source: declared.source, workspaces };
+  },
+};
+
+module.exports = { workspaceDetector };
@@ -0,0 +1,145 @@
+const { doctor } = require('../lib/doctor');
+const { io } = require('../lib/io');
+const { createMemoryFs, createFakeChildProcess } = require('./helpers/fakes');
+
+const ROOT = '/project';
+
+// A flat config setup with nothing to report; each test breaks one thing
+const healthy = {
+  'package.json': {
+    name: 'app',
+    scripts: { lint: 'eslint .', format: 'prettier --write .' },
+    devDependencies: { eslint: '^9.9.0', '@eslint/js': '^9.9.0', globals: '^15.9.0', prettier: '^3.3.3' },
+  },
+  'eslint.config.mjs': "import js from '@eslint/js';\nimport globals from 'globals';\n\nexport default [js.configs.recommended];\n",
+  '.prettierrc': '{}\n',
+};
+const withoutEslintConfig = { 'package.json': healthy['package.json'], '.prettierrc': healthy['.prettierrc'] };
+
+// Runs the doctor and returns the number of errors it leaves, the messages it logged and the commands it ran
+async function runDoctor(fs, args = {}) {
+  const messages = [];
+  const record = (line) => messages.push(line.replace(/^\[[^\]]+\] /, ''));
+  const console = { log() {}, info: record, warn: record, error: record, debug() {} };
+  const childProcess = createFakeChildProcess();
+  const errors = await io.use({ directory: ROOT, fs, childProcess, console, interactive: false }, () => doctor.run({ yes: true, ...args }));
+  return { errors, messages, commands: childProcess.commands };
+}
+
+function createProject(files, base = healthy) {
+  return createMemoryFs(ROOT, { '.git/': null, ...base, ...files });
+}
+
+describe('doctor', () => {
+  test('reports a healthy setup', async () => {
+    const { errors, messages } = await runDoctor(createProject());
+    expect(errors).toBe(0);
+    expect(messages).toEqual(['[INFO] No problems found. Your setup looks healthy.']);
+  });
+
+  test('reports a missing ESLint config without a fix', async () => {
+    const fs = createProject({}, withoutEslintConfig);
+    const { errors, messages } = await runDoctor(fs, { fix: true });
+    expect(errors).toBe(1);
+    expect(messages).toContain('[ERROR] No ESLint configuration was found. Run code-polish-pro to create one.');
+  });
+
+  test('installs the packages the config needs', async () => {
+    const fs = createProject({
+      'eslint.config.mjs': "import js from '@eslint/js';\nimport react from 'eslint-plugin-react';\n\nexport default [js.configs.recommended, react.configs.flat.recommended];\n",
+    });
+    const { messages } = await runDoctor(fs);
+    expect(messages).toContain(
+      '[ERROR] eslint.config.mjs needs packages that are missing from devDependencies: eslint-plugin-react (fixable with --fix)'
+    );
+
+    const fixed = await runDoctor(fs, { fix: true });
+    expect(fixed.errors).toBe(0);
+    expect(fixed.commands).toEqual([expect.stringMatching(/^npm install --save-dev eslint-plugin-react@\^/)]);
+  });
+
+  test('moves eslint-config-prettier to the end of "extends"', async () => {
+    const fs = createProject({
+      'package.json': { ...healthy['package.json'], devDependencies: { eslint: '^8.57.0', 'eslint-config-prettier': '^9.1.0', 'eslint-plugin-react': '^7.35.0', prettier: '^3.3.3' } },
+      '.eslintrc.json': { extends: ['prettier', 'plugin:react/recommended'], overrides: [{ files: ['*.ts'], extends: ['prettier', 'eslint:recommended'] }] },
+    }, withoutEslintConfig);
+    const { messages } = await runDoctor(fs);
+    expect(messages).toContain(
+      '[ERROR] eslint-config-prettier is not last in "extends" of .eslintrc.json, so the configs after it turn rules that conflict ' +
+      'with Prettier back on (fixable with --fix)'
+    );
+
+    expect((await runDoctor(fs, { fix: true })).errors).toBe(0);
+    expect(JSON.parse(fs.read('.eslintrc.json'))).toEqual({
+      extends: ['plugin:react/recommended', 'prettier'],
+      overrides: [{ files: ['*.ts'], extends: ['eslint:recommended', 'prettier'] }],
+    });
+  });
+
+  test('adds the missing lint and format scripts', async () => {
+    const fs = createProject({ 'package.json': { ...healthy['package.json'], scripts: { test: 'jest' } } });
+    const { errors, messages } = await runDoctor(fs);
+    expect(errors).toBe(1);
+    expect(messages).toEqual(expect.arrayContaining([
+      '[ERROR] package.json has no "lint" script (fixable with --fix)',
+      '[WARN] package.json has no "format" script although Prettier is installed (fixable with --fix)',
+    ]));
+
+    expect((await runDoctor(fs, { fix: true })).errors).toBe(0);
+    expect(JSON.parse(fs.read('package.json')).scripts).toEqual({
+      test: 'jest', lint: 'eslint .', 'lint:fix': 'eslint --fix .', format: 'prettier --write .',
+    });
+  });
+
+  test('makes the pre-commit hook executable', async () => {
+    const fs = createProject({ '.husky/pre-commit': 'npx lint-staged\n' });
+    const { messages } = await runDoctor(fs);
+    expect(messages).toContain(
+      '[ERROR] .husky/pre-commit is not executable, so Git skips it and nothing is checked before a commit (fixable with --fix)'
+    );
+
+    expect((await runDoctor(fs, { fix: true })).errors).toBe(0);
+    expect((await fs.stat(`${ROOT}/.husky/pre-commit`)).mode & 0o111).not.toBe(0);
+    expect(fs.read('.husky/pre-commit')).toBe('npx lint-staged\n');
+  });
+
+  test('removes the configs that are shadowed by another one', async () => {
+    const fs = createProject({ '.eslintrc.json': { rules: {} }, '.eslintignore': 'dist\n', '.prettierrc.json': '{}\n' });
+    const { errors, messages } = await runDoctor(fs);
+    expect(errors).toBe(0);
+    expect(messages).toEqual(expect.arrayContaining([
+      '[WARN] Flat configs do not read .eslintignore; move its patterns into the "ignores" of eslint.config.mjs',
+      '[WARN] ESLint only reads eslint.config.mjs, so .eslintrc.json is ignored (fixable with --fix)',
+      '[WARN] Prettier only reads .prettierrc, so .prettierrc.json is ignored (fixable with --fix)',
+    ]));
+
+    await runDoctor(fs, { fix: true });
+    expect(fs.read('.eslintrc.json')).toBeNull();
+    expect(fs.read('.prettierrc.json')).toBeNull();
+    expect(fs.read('.eslintignore')).toBe('dist\n');
+  });
+
+  test('aligns the majors of packages versioned together, at the root and in workspace packages', async () => {
+    const fs = createProject({
+      'package.json': {
+        ...healthy['package.json'],
+        workspaces: ['packages/*'],
+        devDependencies: { ...healthy['package.json'].devDependencies, '@eslint/js': '^8.57.0' },
+      },
+      'pnpm-lock.yaml': '',
+      'packages/ui/package.json': { name: '@app/ui', devDependencies: { eslint: '^8.57.0' } },
+    });
+    const { messages } = await runDoctor(fs);
+    expect(messages).toContain(
+      '[ERROR] eslint is pinned at different major versions: eslint@^9.9.0, @eslint/js@^8.57.0, eslint@^8.57.0 (in packages/ui) ' +
+      '(fixable with --fix)'
+    );
+
+    const fixed = await runDoctor(fs, { fix: true });
+    expect(fixed.errors).toBe(0);
+    expect(fixed.commands).toEqual([
+      'pnpm add --workspace-root --save-dev @eslint/js@^9.9.0',
+      'pnpm --filter @app/ui add --save-dev eslint@^9.9.0',
+    ]);
+  });
+});
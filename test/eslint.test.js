@@ -0,0 +1,66 @@
+const { execFileSync } = require('child_process');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { setup } = require('../lib');
+const { createMemoryFs, createFakeChildProcess, silentConsole } = require('./helpers/fakes');
+
+const ROOT = '/project';
+
+// ESLint loads flat configs with import(), which Jest's module system does not support, so it runs in a process of its own.
+// The eslint devDependency is ESLint 9, the major that is installed with flat configs.
+const LINT = `
+const { loadESLint } = require(process.argv[1]);
+loadESLint({ useFlatConfig: true })
+  .then(async (ESLint) => ({ version: ESLint.version, results: await new ESLint().lintFiles(['.']) }))
+  .then((output) => process.stdout.write(JSON.stringify(output)));
+`;
+
+// Writes the files a dry run plans, with `sources`, to a temporary project sharing this package's node_modules, where
+// the plugins of the generated configs are installed, and lints it with ESLint 9. Returns the messages as "file: rule".
+async function lintGenerated(options, sources) {
+  const fs = createMemoryFs(ROOT, { '.git/': null, 'package.json': { name: 'app', dependencies: { react: '^18.3.0' } } });
+  const { changes } = await setup({
+    cwd: ROOT, fs, childProcess: createFakeChildProcess(), console: silentConsole, yes: true, dryRun: true,
+    eslintConfigFormat: 'flat', usePrettier: false, ...options,
+  });
+  const directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'code-polish-pro-'));
+  try {
+    await fsp.symlink(path.join(__dirname, '..', 'node_modules'), path.join(directory, 'node_modules'), 'dir');
+    for (const [file, content] of Object.entries({ ...changes.files, ...sources })) {
+      await fsp.mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+      await fsp.writeFile(path.join(directory, file), content);
+    }
+    // A config ESLint rejects fails the command, with ESLint's error in the message
+    const { version, results } = JSON.parse(execFileSync(process.execPath, ['-e', LINT, require.resolve('eslint')], { cwd: directory }));
+    expect(version).toMatch(/^9\./);
+    return results.flatMap(result => result.messages.map(message => `${path.relative(directory, result.filePath)}: ${message.ruleId}`));
+  } finally {
+    await fsp.rm(directory, { recursive: true, force: true });
+  }
+}
+
+describe('generated flat configs with ESLint 9', () => {
+  test.each([
+    ['JavaScript', false, {
+      'src/greet.js': "export const greet = () => 'hello';\n",
+      'src/app.js': "import { greet } from './greet.js';\n\nexport const App = () => <p>{greet()}</p>;\n",
+    }],
+    ['TypeScript', true, {
+      'src/greet.ts': "export const greet = (): string => 'hello';\n",
+      'src/app.tsx': "import { greet } from './greet';\n\nexport const App = () => <p>{greet()}</p>;\n",
+    }],
+  ])('lints a fresh React project with %s without errors', async (label, useTypeScript, sources) => {
+    expect(await lintGenerated({ projectType: 'react', useTypeScript }, sources)).toEqual([]);
+  }, 30000);
+
+  // The strict level adds import/no-cycle on top of React's eslint-plugin-import configs
+  test('lints a React project at the strict level without errors', async () => {
+    const sources = {
+      'src/greet.js': "export const greet = () => 'hello';\n",
+      'src/app.js': "import { greet } from './greet.js';\n\nexport const App = () => <p>{greet()}</p>;\n",
+    };
+    expect(await lintGenerated({ projectType: 'react', strictness: 'strict' }, sources)).toEqual([]);
+  }, 30000);
+});
@@ -0,0 +1,109 @@
+const path = require('path');
+
+// In-memory stand-in for fs.promises, covering the calls the library makes.
+// `files` maps paths relative to `root` to their content; a trailing slash marks an empty directory.
+function createMemoryFs(root, files = {}) {
+  const entries = new Map(); // absolute path -> { content, mode } for files, null for directories
+  const notFound = (syscall, filePath) => Object.assign(
+    new Error(`ENOENT: no such file or directory, ${syscall} '${filePath}'`),
+    { code: 'ENOENT' }
+  );
+  const addDirectory = (directory) => {
+    for (let current = directory; !entries.has(current); current = path.dirname(current)) {
+      entries.set(current, null);
+      if (current === path.dirname(current)) break;
+    }
+  };
+  const write = (filePath, content) => {
+    addDirectory(path.dirname(filePath));
+    entries.set(filePath, { content: String(content), mode: 0o644 });
+  };
+
+  addDirectory(root);
+  for (const [file, content] of Object.entries(files)) {
+    if (file.endsWith('/')) addDirectory(path.join(root, file.slice(0, -1)));
+    else write(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  }
+
+  return {
+    // Content of a file relative to the root, or null, for assertions
+    read(file) {
+      const entry = entries.get(path.join(root, file));
+      return entry ? entry.content : null;
+    },
+    async readFile(filePath) {
+      const entry = entries.get(filePath);
+      if (!entry) throw notFound('open', filePath);
+      return entry.content;
+    },
+    async writeFile(filePath, content) {
+      if (entries.get(path.dirname(filePath)) !== null) throw notFound('open', filePath);
+      write(filePath, content);
+    },
+    async access(filePath) {
+      if (!entries.has(filePath)) throw notFound('access', filePath);
+    },
+    async stat(filePath) {
+      if (!entries.has(filePath)) throw notFound('stat', filePath);
+      const entry = entries.get(filePath);
+      return { mode: entry ? entry.mode : 0o755, isFile: () => entry !== null, isDirectory: () => entry === null };
+    },
+    async readdir(directory, { withFileTypes = false } = {}) {
+      if (entries.get(directory) !== null) throw notFound('scandir', directory);
+      const children = [...entries.keys()].filter(entry => entry !== directory && path.dirname(entry) === directory);
+      if (!withFileTypes) return children.map(child => path.basename(child));
+      return children.map(child => ({
+        name: path.basename(child),
+        isFile: () => entries.get(child) !== null,
+        isDirectory: () => entries.get(child) === null,
+      }));
+    },
+    async mkdir(directory) {
+      addDirectory(directory);
+    },
+    async rm(target, { recursive = false, force = false } = {}) {
+      if (!entries.has(target)) {
+        if (force) return;
+        throw notFound('rm', target);
+      }
+      const nested = [...entries.keys()].filter(entry => entry.startsWith(`${target}${path.sep}`));
+      if (nested.length > 0 && !recursive) throw new Error(`EISDIR: is a directory, rm '${target}'`);
+      [target, ...nested].forEach(entry => entries.delete(entry));
+    },
+    async chmod(filePath, mode) {
+      if (!entries.get(filePath)) throw notFound('chmod', filePath);
+      entries.get(filePath).mode = parseInt(mode, 8);
+    },
+  };
+}
+
+// Records the commands instead of running them; every command succeeds
+function createFakeChildProcess() {
+  const commands = [];
+  return {
+    commands,
+    spawn(command, args) {
+      commands.push([command, ...args].join(' '));
+      const listeners = {};
+      setImmediate(() => listeners.close && listeners.close(0));
+      return {
+        on(event, listener) {
+          listeners[event] = listener;
+          return this;
+        },
+      };
+    },
+    execSync(command) {
+      commands.push(command);
+      return Buffer.from('');
+    },
+    execFileSync(command, args) {
+      commands.push([command, ...args].join(' '));
+      return Buffer.from('');
+    },
+  };
+}
+
+const silentConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+module.exports = { createMemoryFs, createFakeChildProcess, silentConsole };
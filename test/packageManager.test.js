@@ -0,0 +1,168 @@
+const { packageManager } = require('../lib/packageManager');
+const { io } = require('../lib/io');
+const { createMemoryFs, createFakeChildProcess, silentConsole } = require('./helpers/fakes');
+
+const ROOT = '/project';
+const workspace = { directory: 'packages/ui', name: '@app/ui' };
+
+// Detects the package manager of a project with the given files, as setup() does
+async function detect(files) {
+  const fs = createMemoryFs(ROOT, { 'package.json': { name: 'app' }, ...files });
+  return io.use({ directory: ROOT, fs }, () => packageManager.detect());
+}
+
+afterEach(() => {
+  Object.assign(packageManager, { name: 'npm', yarnBerry: false });
+});
+
+describe('package managers', () => {
+  test.each([
+    ['npm', 'package-lock.json', { 'package-lock.json': '{}' }],
+    ['pnpm', 'pnpm-lock.yaml', { 'pnpm-lock.yaml': '' }],
+    ['yarn', 'yarn.lock', { 'yarn.lock': '' }],
+    ['bun', 'bun.lockb', { 'bun.lockb': '' }],
+    ['bun', 'bun.lock', { 'bun.lock': '' }],
+    ['yarn', 'packageManager', { 'package.json': { name: 'app', packageManager: 'yarn@4.5.0' } }],
+    ['npm', 'nothing', {}],
+  ])('detects %s from %s', async (name, source, files) => {
+    await detect(files);
+    expect(packageManager.name).toBe(name);
+  });
+
+  test.each([
+    ['yarn 1', { 'yarn.lock': '' }, false],
+    ['yarn 4 from packageManager', { 'package.json': { name: 'app', packageManager: 'yarn@4.5.0' } }, true],
+    ['yarn 4 from .yarnrc.yml', { 'yarn.lock': '', '.yarnrc.yml': 'nodeLinker: node-modules\n' }, true],
+  ])('tells %s apart', async (label, files, yarnBerry) => {
+    await detect(files);
+    expect(packageManager.yarnBerry).toBe(yarnBerry);
+  });
+
+  // name, yarnBerry, add, add to a workspace package, add to a monorepo root, remove, exec, CI install with and without a lockfile
+  test.each([
+    [
+      'npm', false,
+      'npm install --save-dev eslint', 'npm --workspace packages/ui install --save-dev eslint', 'npm install --save-dev eslint',
+      'npm uninstall eslint', 'npx husky', 'npm ci', 'npm install',
+    ],
+    [
+      'pnpm', false,
+      'pnpm add --save-dev eslint', 'pnpm --filter @app/ui add --save-dev eslint', 'pnpm add --workspace-root --save-dev eslint',
+      'pnpm remove eslint', 'pnpm exec husky', 'pnpm install --frozen-lockfile', 'pnpm install',
+    ],
+    [
+      'yarn', false,
+      'yarn add --dev eslint', 'yarn workspace @app/ui add --dev eslint', 'yarn add -W --dev eslint',
+      'yarn remove eslint', 'yarn husky', 'yarn install --frozen-lockfile', 'yarn install',
+    ],
+    [
+      'yarn', true,
+      'yarn add --dev eslint', 'yarn workspace @app/ui add --dev eslint', 'yarn add --dev eslint',
+      'yarn remove eslint', 'yarn husky', 'yarn install --immutable', 'yarn install',
+    ],
+    [
+      'bun', false,
+      'bun add --dev eslint', 'bun --cwd packages/ui add --dev eslint', 'bun add --dev eslint',
+      'bun remove eslint', 'bunx husky', 'bun install --frozen-lockfile', 'bun install',
+    ],
+  ])('builds the commands of %s (Yarn 2+: %s)', (name, yarnBerry, add, addToWorkspace, addToRoot, remove, exec, ciInstall, install) => {
+    Object.assign(packageManager, { name, yarnBerry });
+    expect(packageManager.addArgs(['eslint']).join(' ')).toBe(add);
+    expect(packageManager.addArgs(['eslint'], { workspace }).join(' ')).toBe(addToWorkspace);
+    expect(packageManager.removeArgs(['eslint']).join(' ')).toBe(remove);
+    expect(packageManager.execCommand('husky')).toBe(exec);
+    expect(packageManager.ciInstallCommand(true)).toBe(ciInstall);
+    expect(packageManager.ciInstallCommand(false)).toBe(install);
+    expect(packageManager.addArgs(['eslint'], { workspaceRoot: true }).join(' ')).toBe(addToRoot);
+    expect(packageManager.addArgs(['eslint'], { workspace, workspaceRoot: true }).join(' ')).toBe(addToWorkspace);
+  });
+
+  test('adds production dependencies without the dev flag', () => {
+    packageManager.name = 'yarn';
+    expect(packageManager.addArgs(['react'], { dev: false }).join(' ')).toBe('yarn add react');
+  });
+
+  describe('installing', () => {
+    // spawn exits with `spawnCode`, or fails to start with null; execFileSync fails for the commands matching `failing`
+    function createChildProcess(spawnCode, failing = () => false) {
+      const childProcess = createFakeChildProcess();
+      childProcess.spawn = (command, args) => {
+        childProcess.commands.push(`spawn ${[command, ...args].join(' ')}`);
+        const listeners = {};
+        setImmediate(() => (spawnCode === null ? listeners.error(new Error('spawn ENOENT')) : listeners.close(spawnCode)));
+        return {
+          on(event, listener) {
+            listeners[event] = listener;
+            return this;
+          },
+        };
+      };
+      childProcess.execFileSync = (file, args) => {
+        const command = [file, ...args].join(' ');
+        childProcess.commands.push(command);
+        if (failing(command)) throw new Error(`Command failed: ${command}`);
+        return Buffer.from('');
+      };
+      return childProcess;
+    }
+
+    async function install(childProcess, dependencies, name = 'pnpm') {
+      packageManager.name = name;
+      return io.use({ directory: ROOT, childProcess, console: silentConsole }, () => packageManager.installDependencies(dependencies));
+    }
+
+    test('spawns the package manager once', async () => {
+      const childProcess = createChildProcess(0);
+      expect(await install(childProcess, ['eslint', 'prettier'])).toEqual([]);
+      expect(childProcess.commands).toEqual(['spawn pnpm add --save-dev eslint prettier']);
+    });
+
+    test.each([['exits with an error', 1], ['cannot be started', null]])('falls back to execFileSync when spawn %s', async (label, code) => {
+      const childProcess = createChildProcess(code);
+      expect(await install(childProcess, ['eslint', 'prettier'])).toEqual([]);
+      expect(childProcess.commands).toEqual(['spawn pnpm add --save-dev eslint prettier', 'pnpm add --save-dev eslint prettier']);
+    });
+
+    test('passes each package to the fallback as one argument, without a shell', async () => {
+      const childProcess = createChildProcess(1);
+      const calls = [];
+      childProcess.execFileSync = (file, args) => calls.push([file, args]);
+      await install(childProcess, ['eslint-config-next@>=14 <16']);
+      expect(calls).toEqual([['pnpm', ['add', '--save-dev', 'eslint-config-next@>=14 <16']]]);
+    });
+
+    test.each([
+      ['npm', 'npm install --save-dev eslint-plugin-react', '--legacy-peer-deps'],
+      ['pnpm', 'pnpm add --save-dev eslint-plugin-react', '--config.strict-peer-dependencies=false'],
+    ])('installs again letting peer dependency conflicts through with %s', async (name, command, flag) => {
+      const childProcess = createChildProcess(1, failed => !failed.endsWith(flag));
+      expect(await install(childProcess, ['eslint-plugin-react'], name)).toEqual([]);
+      expect(childProcess.commands).toEqual([`spawn ${command}`, command, `${command} ${flag}`]);
+    });
+
+    // Yarn and Bun only warn about peer dependency conflicts
+    test.each([['yarn', 'yarn add --dev'], ['bun', 'bun add --dev']])('installs one by one with %s', async (name, add) => {
+      const childProcess = createChildProcess(1, command => command.includes('eslint-plugin-missing'));
+      expect(await install(childProcess, ['eslint', 'eslint-plugin-missing'], name)).toEqual(['eslint-plugin-missing']);
+      expect(childProcess.commands).toEqual([
+        `spawn ${add} eslint eslint-plugin-missing`,
+        `${add} eslint eslint-plugin-missing`,
+        `${add} eslint`,
+        `${add} eslint-plugin-missing`,
+      ]);
+    });
+
+    test('installs one by one when execFileSync fails too, and returns the packages that failed', async () => {
+      const childProcess = createChildProcess(1, command => command.includes('eslint-plugin-missing'));
+      expect(await install(childProcess, ['eslint', 'eslint-plugin-missing', 'prettier'])).toEqual(['eslint-plugin-missing']);
+      expect(childProcess.commands).toEqual([
+        'spawn pnpm add --save-dev eslint eslint-plugin-missing prettier',
+        'pnpm add --save-dev eslint eslint-plugin-missing prettier',
+        'pnpm add --save-dev eslint eslint-plugin-missing prettier --config.strict-peer-dependencies=false',
+        'pnpm add --save-dev eslint',
+        'pnpm add --save-dev eslint-plugin-missing',
+        'pnpm add --save-dev prettier',
+      ]);
+    });
+  });
+});
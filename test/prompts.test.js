@@ -0,0 +1,120 @@
+const { PassThrough } = require('stream');
+
+const { io } = require('../lib/io');
+const { prompts } = require('../lib/prompts');
+
+const UP = '\u001B[A';
+const DOWN = '\u001B[B';
+const ENTER = '\r';
+
+const choices = [
+  { value: 'flat', label: 'flat', hint: 'eslint.config.js' },
+  { value: 'legacy', label: 'legacy', hint: '.eslintrc.*' },
+  { value: 'none', label: 'none' },
+];
+
+// stdin and stdout as terminals, or with `isTTY: false` as pipes. The output, with the escape codes of the menus
+// removed, and the raw modes stdin was switched to are recorded.
+function createTerminal({ isTTY = true } = {}) {
+  const stdin = Object.assign(new PassThrough(), { isTTY });
+  const rawModes = [];
+  if (isTTY) stdin.setRawMode = (mode) => rawModes.push(mode);
+  const stdout = Object.assign(new PassThrough(), { isTTY, columns: 80 });
+  let output = '';
+  stdout.on('data', (chunk) => { output += chunk; });
+  return { stdin, stdout, rawModes, output: () => output.replace(/\u001B\[[\d;?]*[A-Za-z]/g, '') };
+}
+
+// Asks with the terminal, typing `input` once the question is shown
+function ask(terminal, question, input) {
+  return io.use({ stdin: terminal.stdin, stdout: terminal.stdout }, () => {
+    const answer = question();
+    terminal.stdin.write(input);
+    return answer;
+  });
+}
+
+describe('prompts', () => {
+  const { TERM } = process.env;
+  beforeEach(() => {
+    process.env.TERM = 'xterm';
+  });
+  afterEach(() => {
+    process.env.TERM = TERM;
+    prompts.close();
+  });
+
+  describe('on a terminal', () => {
+    test('selects the choice moved to with the arrow keys when Enter is pressed', async () => {
+      const terminal = createTerminal();
+      // Down past the last choice wraps around to the first, and up from the first back to the last
+      const answer = await ask(terminal, () => prompts.select('Which ESLint config format?', choices, 'legacy'), `${DOWN}${DOWN}${UP}${ENTER}`);
+
+      expect(answer).toBe('none');
+      expect(terminal.output()).toContain('? Which ESLint config format?\n  flat  eslint.config.js\n❯ legacy  .eslintrc.*\n  none\n');
+      expect(terminal.output()).toMatch(/\? Which ESLint config format\? › none\n$/);
+      expect(terminal.rawModes).toEqual([true, false]);
+    });
+
+    test('toggles choices with Space and asks for at least one', async () => {
+      const terminal = createTerminal();
+      // Unselecting the default leaves nothing to confirm
+      const answer = await ask(terminal, () => prompts.multiSelect('Which Git hooks?', choices, ['flat']), ` ${ENTER}${DOWN} ${DOWN} ${ENTER}`);
+
+      expect(answer).toEqual(['legacy', 'none']);
+      expect(terminal.output()).toContain('  Select at least one with Space.');
+    });
+
+    test('answers yes or no with a key press and ignores the other keys', async () => {
+      const terminal = createTerminal();
+      expect(await ask(terminal, () => prompts.confirm('Use Prettier?', true), `x${ENTER}`)).toBe(true);
+      expect(terminal.output()).toContain('  Press y or n, or Enter for the default.');
+
+      expect(await ask(createTerminal(), () => prompts.confirm('Use Prettier?', true), 'n')).toBe(false);
+    });
+
+    test('cancels on Ctrl+C', async () => {
+      const terminal = createTerminal();
+      const answer = ask(terminal, () => prompts.select('Which ESLint config format?', choices), '\u0003');
+      await expect(answer).rejects.toThrow('Setup was cancelled.');
+      expect(terminal.rawModes).toEqual([true, false]);
+    });
+  });
+
+  describe('without a terminal', () => {
+    test('falls back to numbered line prompts when stdout is not a terminal', async () => {
+      const terminal = createTerminal();
+      terminal.stdout.isTTY = false;
+      const answer = await ask(terminal, () => prompts.select('Which ESLint config format?', choices, 'legacy'), '7\nNone\n');
+
+      expect(answer).toBe('none');
+      expect(terminal.rawModes).toEqual([]);
+      expect(terminal.output()).toBe(
+        '? Which ESLint config format?\n  1) flat  eslint.config.js\n  2) legacy  .eslintrc.*\n  3) none\nEnter a number [2]: ' +
+        'Please enter one of the numbers above.\n' +
+        '? Which ESLint config format?\n  1) flat  eslint.config.js\n  2) legacy  .eslintrc.*\n  3) none\nEnter a number [2]: '
+      );
+    });
+
+    test('takes the default on an empty line', async () => {
+      const terminal = createTerminal({ isTTY: false });
+      expect(await ask(terminal, () => prompts.select('Which ESLint config format?', choices, 'legacy'), '\n')).toBe('legacy');
+      expect(await ask(terminal, () => prompts.multiSelect('Which Git hooks?', choices, ['flat', 'none']), '\n')).toEqual(['flat', 'none']);
+    });
+
+    test('asks a yes or no question again until the answer is y, yes, n or no', async () => {
+      const terminal = createTerminal({ isTTY: false });
+      const answer = await ask(terminal, () => prompts.confirm('Use Prettier?', true), 'maybe\nNO\n');
+
+      expect(answer).toBe(false);
+      expect(terminal.output()).toBe('? Use Prettier? (Y/n): Please answer y or n, or press Enter for the default.\n? Use Prettier? (Y/n): ');
+    });
+
+    test('fails when stdin ends before the question is answered', async () => {
+      const terminal = createTerminal({ isTTY: false });
+      terminal.stdin.end();
+      const answer = io.use({ stdin: terminal.stdin, stdout: terminal.stdout }, () => prompts.confirm('Use Prettier?', true));
+      await expect(answer).rejects.toThrow('stdin was closed');
+    });
+  });
+});
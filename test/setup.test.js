@@ -0,0 +1,778 @@
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+const { setup, baseline, config, projectTypeRegistry, sourceWriter } = require('../lib');
+const { createMemoryFs, createFakeChildProcess, silentConsole } = require('./helpers/fakes');
+
+const ROOT = '/project';
+
+// The framework each project type is detected from
+const frameworkDependencies = {
+  nextjs: { next: '^15.0.0', react: '^18.3.0' },
+  react: { react: '^18.3.0' },
+  nodejs: {},
+  angular: { '@angular/core': '^18.2.0' },
+  vue: { vue: '^3.4.0' },
+  svelte: { svelte: '^4.2.0' },
+  astro: { astro: '^4.15.0' },
+  nuxt: { nuxt: '^3.13.0', vue: '^3.4.0' },
+  remix: { '@remix-run/react': '^2.12.0', react: '^18.3.0' },
+  solid: { 'solid-js': '^1.8.0' },
+  'react-native': { expo: '^51.0.0', 'react-native': '0.74.5', react: '^18.2.0' },
+};
+
+function createProject(projectType, useTypeScript, extraFiles = {}) {
+  return createMemoryFs(ROOT, {
+    '.git/': null,
+    'package.json': {
+      name: 'app',
+      version: '1.0.0',
+      dependencies: frameworkDependencies[projectType],
+      devDependencies: useTypeScript ? { typescript: '^5.5.0' } : {},
+    },
+    ...extraFiles,
+  });
+}
+
+async function runSetup(fs, options) {
+  const childProcess = createFakeChildProcess();
+  const result = await setup({ cwd: ROOT, fs, childProcess, console: silentConsole, yes: true, ...options });
+  return { result, childProcess };
+}
+
+const combinations = [];
+for (const projectType of config.PROJECT_TYPES) {
+  for (const useTypeScript of [false, true]) {
+    for (const strictness of ['recommended', 'strict']) {
+      for (const usePrettier of [false, true]) {
+        combinations.push([projectType, useTypeScript, strictness, usePrettier]);
+      }
+    }
+  }
+}
+
+describe.each(['flat', 'legacy'])('generated %s config', (eslintConfigFormat) => {
+  test.each(combinations)('%s, typescript: %s, strictness: %s, prettier: %s', async (projectType, useTypeScript, strictness, usePrettier) => {
+    const fs = createProject(projectType, useTypeScript);
+    const { result, childProcess } = await runSetup(fs, {
+      projectType, useTypeScript, strictness, usePrettier, eslintConfigFormat, useHusky: false, dryRun: true,
+    });
+
+    expect(result.applied).toBe(false);
+    expect(childProcess.commands).toEqual([]);
+    expect(result.changes.dependencies).toMatchSnapshot('dependencies');
+    expect(result.changes.files).toMatchSnapshot('files');
+    expect(result.changes.packageJson).toMatchSnapshot('package.json');
+  });
+});
+
+describe('setup', () => {
+  test('applies the plan through the given file system and child process', async () => {
+    const fs = createProject('react', true);
+    const { result, childProcess } = await runSetup(fs, {
+      projectType: 'react', useTypeScript: true, useHusky: true, eslintConfigFormat: 'flat',
+    });
+
+    expect(result.applied).toBe(true);
+    expect(childProcess.commands).toEqual([
+      expect.stringMatching(/^npm install --save-dev eslint@\^9\.9\.0 .*typescript-eslint@\^8\.4\.0 @tsconfig\/vite-react@\^3\.0\.2 husky@\^9\.0\.11 lint-staged@\^15\.2\.2$/),
+      'npx husky',
+    ]);
+    expect(fs.read('eslint.config.mjs')).toBe(result.changes.files['eslint.config.mjs']);
+    expect(JSON.parse(fs.read('package.json')).scripts).toEqual({
+      lint: 'eslint .',
+      'lint:fix': 'eslint --fix .',
+      format: 'prettier --write .',
+      'format:check': 'prettier --check .',
+      prepare: 'husky',
+      typecheck: 'tsc --noEmit',
+    });
+    expect(fs.read('.husky/pre-commit')).toBe('npx lint-staged\nnpm run typecheck\n');
+    expect(JSON.parse(fs.read('.code-polish-pro/last-run.json')).files.created).toContain('eslint.config.mjs');
+  });
+
+  test('merges an existing ESLint config', async () => {
+    const fs = createProject('nodejs', false, {
+      '.eslintrc.json': { rules: { 'no-console': 'off', eqeqeq: 'error' } },
+    });
+    const { result } = await runSetup(fs, { projectType: 'nodejs', eslintConfigFormat: 'legacy', dryRun: true });
+
+    const eslintConfig = JSON.parse(result.changes.files['.eslintrc.json']);
+    expect(eslintConfig.rules).toMatchObject({ 'no-console': 'off', eqeqeq: 'error' });
+  });
+
+  test('extends an existing JavaScript ESLint config instead of freezing what it computes', async () => {
+    const eslintrc = [
+      'module.exports = {',
+      "  parserOptions: { ecmaVersion: 2020, tsconfigRootDir: __dirname },",
+      "  rules: { 'no-console': process.env.CI ? 'error' : 'warn' },",
+      '};',
+      '',
+    ].join('\n');
+    // The config is loaded with require(), so it has to be on disk
+    const directory = await fsp.mkdtemp(path.join(os.tmpdir(), 'code-polish-pro-'));
+    try {
+      await fsp.writeFile(path.join(directory, '.eslintrc.js'), eslintrc);
+      const fs = createMemoryFs(directory, { '.git/': null, 'package.json': { name: 'app' }, '.eslintrc.js': eslintrc });
+      const result = await setup({
+        cwd: directory, fs, childProcess: createFakeChildProcess(), console: silentConsole, yes: true, dryRun: true,
+        projectType: 'nodejs', eslintConfigFormat: 'legacy', usePrettier: true,
+      });
+
+      expect(result.changes.files['.eslintrc.base.js']).toBe(eslintrc);
+      expect(result.changes.removedFiles).toContain('.eslintrc.js');
+      const content = result.changes.files['.eslintrc.json'];
+      expect(content).not.toContain(directory);
+      const eslintConfig = JSON.parse(content);
+      expect(eslintConfig.extends.slice(-2)).toEqual(['./.eslintrc.base.js', 'plugin:prettier/recommended']);
+      expect(eslintConfig.parserOptions.ecmaVersion).toBeUndefined();
+      expect(eslintConfig.rules['no-console']).toBeUndefined();
+    } finally {
+      await fsp.rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('merges an existing JSON5 Prettier config', async () => {
+    const fs = createProject('nodejs', false, {
+      '.prettierrc.json5': "// Team defaults\n{\n  singleQuote: true,\n  printWidth: 100,\n  trailingComma: 'none',\n}\n",
+    });
+    const { result } = await runSetup(fs, { projectType: 'nodejs', dryRun: true, createEditorConfig: true });
+
+    const prettierConfig = JSON.parse(result.changes.files['.prettierrc.json5']);
+    expect(prettierConfig).toMatchObject({ singleQuote: true, printWidth: 100, trailingComma: 'none' });
+    expect(result.changes.files['.editorconfig']).toContain('max_line_length = 100');
+  });
+
+  test('sets up Stylelint for the style blocks of the project type', async () => {
+    const fs = createProject('vue', false, {
+      'package.json': { name: 'app', dependencies: { vue: '^3.4.0' }, devDependencies: { sass: '^1.77.0' } },
+    });
+    const { result } = await runSetup(fs, {
+      projectType: 'vue', eslintConfigFormat: 'flat', useStylelint: true, useHusky: true, dryRun: true,
+    });
+
+    expect(JSON.parse(result.changes.files['.stylelintrc.json'])).toMatchSnapshot();
+    expect(result.changes.dependencies.added).toEqual(expect.arrayContaining([
+      'stylelint@^16.9.0', 'stylelint-config-standard-scss@^13.1.0', 'stylelint-config-recommended-vue@^1.5.0', 'postcss-html@^1.7.0',
+    ]));
+    expect(result.changes.files['.stylelintignore']).toBe('dist\nbuild\ncoverage\n*.min.css\n');
+    expect(result.changes.packageJson['.'].scripts['lint:css']).toBe('stylelint "**/*.{css,scss,vue}"');
+    expect(result.changes.packageJson['.']['lint-staged']).toMatchObject({
+      '*.{css,scss}': ['stylelint --fix', 'prettier --write'],
+      '*.{json,md,html,svelte}': ['prettier --write'],
+    });
+  });
+
+  test('keeps an existing Stylelint config', async () => {
+    const fs = createProject('react', false, { '.stylelintrc.yml': 'extends: stylelint-config-standard\n' });
+    const { result } = await runSetup(fs, { projectType: 'react', useStylelint: true, dryRun: true });
+
+    expect(result.changes.files['.stylelintrc.json']).toBeUndefined();
+    expect(result.changes.packageJson['.'].scripts['lint:css']).toBe('stylelint "**/*.css"');
+  });
+
+  test('adds the .gitignore entries and the tsconfig outDir to existing ignore files', async () => {
+    const fs = createProject('nodejs', true, {
+      '.gitignore': '# dependencies\nnode_modules/\n.env\n/tmp\n',
+      'tsconfig.json': '{\n  // build output\n  "compilerOptions": { "outDir": "./lib/" },\n}\n',
+      '.eslintignore': '# generated\nsrc/generated\n/dist',
+    });
+    const { result } = await runSetup(fs, { projectType: 'nodejs', useTypeScript: true, eslintConfigFormat: 'legacy', dryRun: true });
+
+    expect(result.changes.files['.eslintignore']).toBe(
+      '# generated\nsrc/generated\n/dist\nnode_modules\nbuild\ncoverage\n*.min.js\n*.d.ts\n.env\n/tmp\n/lib\n'
+    );
+    expect(result.changes.files['.prettierignore'].split('\n')).toEqual(expect.arrayContaining(['.env', '/tmp', '/lib']));
+    expect(result.changes.packageJson['.'].scripts).toMatchObject({ lint: 'eslint .', 'lint:fix': 'eslint --fix .' });
+
+    const { result: flatResult } = await runSetup(fs, { projectType: 'nodejs', useTypeScript: true, eslintConfigFormat: 'flat', dryRun: true });
+    expect(flatResult.changes.files['eslint.config.mjs']).toMatch(/'\*\*\/\*\.d\.ts',\s+'\*\*\/\.env',\s+'tmp',\s+'lib',\s+\]/);
+  });
+
+  test('keeps an existing tsconfig.json, installs the base it extends and type checks before committing', async () => {
+    const fs = createProject('svelte', true, {
+      'package.json': {
+        name: 'app',
+        scripts: { typecheck: 'svelte-kit sync && svelte-check' },
+        devDependencies: { svelte: '^4.2.0', typescript: '^5.5.0' },
+      },
+      'tsconfig.json': '{\n  "extends": "@tsconfig/svelte/tsconfig.json",\n  "include": ["src"],\n}\n',
+    });
+    const { result } = await runSetup(fs, { projectType: 'svelte', useTypeScript: true, useHusky: true, dryRun: true });
+
+    expect(result.changes.files['tsconfig.json']).toBeUndefined();
+    expect(JSON.parse(result.changes.files['tsconfig.eslint.json'])).toMatchObject({
+      extends: './tsconfig.json',
+      include: ['src', '*.config.*', '.*.cjs', '.*.js', '**/*.test.*', '**/*.spec.*', '**/__tests__/**/*', 'test/**/*', 'tests/**/*', 'e2e/**/*'],
+    });
+    expect(result.changes.dependencies.added).toContain('@tsconfig/svelte@^5.0.4');
+    expect(result.changes.dependencies.added.filter(spec => spec.startsWith('typescript@'))).toEqual([]);
+    expect(result.changes.packageJson['.'].scripts.typecheck).toBeUndefined();
+    expect(result.changes.hooks).toEqual([expect.objectContaining({ name: 'pre-commit', content: 'npx lint-staged\nnpm run typecheck\n' })]);
+  });
+
+  test('installs the chosen Git hooks and keeps existing ones', async () => {
+    const fs = createProject('svelte', true, {
+      '.husky/pre-commit': '#!/usr/bin/env sh\n. "$(dirname -- "$0")/_/husky.sh"\n\nnpm test\n',
+    });
+    const { result } = await runSetup(fs, {
+      projectType: 'svelte', useTypeScript: true, useHusky: true, gitHooks: 'pre-commit,commit-msg,pre-push', dryRun: true,
+    });
+
+    expect(result.changes.commands).toEqual(['npx husky']);
+    expect(result.changes.hooks.map(({ name, content }) => [name, content])).toEqual([
+      ['pre-commit', '#!/usr/bin/env sh\n\nnpm test\nnpx lint-staged\n'],
+      ['commit-msg', 'npx commitlint --edit "$1"\n'],
+      ['pre-push', 'npm run typecheck\nnpm run lint\n'],
+    ]);
+    expect(JSON.parse(result.changes.files['.commitlintrc.json'])).toEqual({ extends: ['@commitlint/config-conventional'] });
+    expect(result.changes.dependencies.added).toEqual(expect.arrayContaining(['@commitlint/cli@^19.5.0', 'lint-staged@^15.2.2']));
+  });
+
+  test('rejects unknown Git hooks', async () => {
+    const fs = createProject('react', false);
+    await expect(runSetup(fs, { projectType: 'react', useHusky: true, gitHooks: ['post-merge'], dryRun: true }))
+      .rejects.toThrow('Invalid value "post-merge" for "hooks"');
+  });
+
+  test('generates a GitHub Actions workflow for the package manager and Node.js version', async () => {
+    const fs = createProject('svelte', true, {
+      '.nvmrc': '20\n',
+      'pnpm-lock.yaml': '',
+    });
+    const { result } = await runSetup(fs, { projectType: 'svelte', useTypeScript: true, ciProvider: 'github', dryRun: true });
+
+    expect(result.changes.files['.github/workflows/lint.yml']).toMatchSnapshot();
+  });
+
+  test('installs from the lockfile in CI when the lockfile is only written by the setup', async () => {
+    const { result } = await runSetup(createProject('nodejs', false), { projectType: 'nodejs', ciProvider: 'github', dryRun: true });
+
+    const workflow = result.changes.files['.github/workflows/lint.yml'];
+    expect(workflow).toContain('cache: npm');
+    expect(workflow).toContain('- run: npm ci\n');
+  });
+
+  test('adds the checks to an existing workflow job', async () => {
+    const workflow = [
+      'name: CI',
+      'on: [push]',
+      'jobs:',
+      '  lint:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '      # Keep in sync with the Dockerfile',
+      '      - run: npm ci',
+      '      - run: npm run lint',
+      '',
+    ].join('\n');
+    const fs = createProject('react', false, { '.github/workflows/lint.yml': workflow, 'package-lock.json': '{}' });
+    const { result } = await runSetup(fs, { projectType: 'react', dryRun: true });
+
+    expect(result.options.ciProvider).toBe('github');
+    expect(result.changes.files['.github/workflows/lint.yml']).toBe(`${workflow}      - run: npm run format:check\n`);
+  });
+
+  test('adds a job to an existing GitLab pipeline', async () => {
+    const fs = createProject('nodejs', false, {
+      '.gitlab-ci.yml': 'stages:\n  - build\n\nbuild:\n  stage: build\n  script:\n    - npm run build\n',
+      'package.json': { name: 'app', engines: { node: '>=18.18.0' } },
+    });
+    const { result } = await runSetup(fs, { projectType: 'nodejs', ciProvider: 'gitlab', dryRun: true });
+
+    expect(result.changes.files['.gitlab-ci.yml']).toMatchSnapshot();
+  });
+
+  test('adds the rule sets and plugins of the strictness level', async () => {
+    const fs = createProject('react', true);
+    const { result: pedantic } = await runSetup(fs, { projectType: 'react', strictness: 'pedantic', eslintConfigFormat: 'flat', dryRun: true });
+    const flatConfig = pedantic.changes.files['eslint.config.mjs'];
+
+    expect(pedantic.changes.dependencies.added).toEqual(expect.arrayContaining([
+      'eslint-plugin-sonarjs@^1.0.3', 'eslint-plugin-unicorn@^56.0.0', 'eslint-import-resolver-typescript@^3.6.3',
+    ]));
+    expect(flatConfig).toContain("...tseslint.configs.strictTypeChecked.map((config) => ({ ...config, files: ['**/*.{ts,tsx,mts,cts}'] })),");
+    expect(flatConfig).toContain("eslintPluginUnicorn.configs['flat/recommended'],");
+    expect(flatConfig).toContain("'@typescript-eslint/no-explicit-any': 'error',");
+
+    const { result: relaxed } = await runSetup(fs, { projectType: 'react', strictness: 'relaxed', eslintConfigFormat: 'legacy', dryRun: true });
+    const eslintConfig = JSON.parse(relaxed.changes.files['.eslintrc.json']);
+    expect(eslintConfig.rules).toMatchObject({ 'no-console': 'off', 'no-debugger': 'warn', '@typescript-eslint/no-explicit-any': 'off' });
+    expect(eslintConfig.overrides).toBeUndefined();
+  });
+
+  test('reads the deprecated strict option as a strictness level', async () => {
+    const fs = createProject('nodejs', false);
+    const { result } = await runSetup(fs, { useStrict: true, dryRun: true });
+
+    expect(result.options.strictness).toBe('strict');
+  });
+
+  test('adds lint overrides for the test frameworks in package.json', async () => {
+    const fs = createProject('react', false, {
+      'package.json': {
+        name: 'app',
+        dependencies: { react: '^18.3.0' },
+        devDependencies: { jest: '^29.7.0', '@testing-library/react': '^16.0.0', cypress: '^13.15.0' },
+      },
+    });
+    const { result: legacy } = await runSetup(fs, { projectType: 'react', eslintConfigFormat: 'legacy', dryRun: true });
+
+    expect(legacy.changes.dependencies.added).toEqual(expect.arrayContaining([
+      'eslint-plugin-jest@^28.8.0', 'eslint-plugin-testing-library@^6.3.0', 'eslint-plugin-cypress@^3.5.0',
+    ]));
+    expect(JSON.parse(legacy.changes.files['.eslintrc.json']).overrides).toEqual([
+      {
+        files: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'],
+        excludedFiles: ['**/cypress/**', '**/*.cy.*'],
+        env: { jest: true },
+        extends: ['plugin:jest/recommended'],
+      },
+      {
+        files: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'],
+        excludedFiles: ['**/cypress/**', '**/*.cy.*'],
+        extends: ['plugin:testing-library/react'],
+      },
+      { files: ['**/cypress/**', '**/*.cy.*'], extends: ['plugin:cypress/recommended'] },
+    ]);
+
+    const { result: flat } = await runSetup(fs, { projectType: 'react', eslintConfigFormat: 'flat', dryRun: true });
+    const flatConfig = flat.changes.files['eslint.config.mjs'];
+    expect(flat.changes.dependencies.added).toContain('eslint-plugin-testing-library@^7.0.0');
+    expect(flatConfig).toContain("import pluginCypress from 'eslint-plugin-cypress/flat';");
+    expect(flatConfig).toContain([
+      '  {',
+      "    ...jest.configs['flat/recommended'],",
+      "    files: ['**/*.test.*', '**/*.spec.*', '**/__tests__/**'],",
+      "    ignores: ['**/cypress/**', '**/*.cy.*'],",
+      '  },',
+    ].join('\n'));
+  });
+
+  test.each([
+    ['a JavaScript React project', 'react', false, false],
+    ['a TypeScript React project', 'react', true, true],
+    ['an Angular project, which always uses TypeScript', 'angular', false, true],
+  ])('lets VS Code lint TypeScript files as the ESLint config does in %s', async (label, projectType, useTypeScript, lintsTypeScript) => {
+    const { result } = await runSetup(createProject(projectType, useTypeScript), { projectType, useTypeScript, useVscode: true, dryRun: true });
+
+    const languages = JSON.parse(result.changes.files['.vscode/settings.json'])['eslint.validate'];
+    expect(languages.includes('typescript')).toBe(lintsTypeScript);
+  });
+
+  test('merges VS Code settings and extension recommendations', async () => {
+    const fs = createProject('svelte', true, {
+      '.vscode/settings.json': '{\n  // Team settings\n  "editor.formatOnSave": false,\n  "eslint.validate": ["markdown"]\n}\n',
+      '.vscode/extensions.json': { recommendations: ['eamodio.gitlens'], unwantedRecommendations: ['esbenp.prettier-vscode'] },
+    });
+    const { result } = await runSetup(fs, { projectType: 'svelte', useTypeScript: true, eslintConfigFormat: 'flat', dryRun: true });
+
+    expect(result.options.useVscode).toBe(true);
+    expect(JSON.parse(result.changes.files['.vscode/settings.json'])).toEqual({
+      'editor.defaultFormatter': 'esbenp.prettier-vscode',
+      'editor.formatOnSave': false,
+      'editor.codeActionsOnSave': { 'source.fixAll.eslint': 'explicit' },
+      'eslint.validate': ['markdown', 'javascript', 'javascriptreact', 'typescript', 'typescriptreact', 'svelte'],
+      'eslint.useFlatConfig': true,
+      '[svelte]': { 'editor.defaultFormatter': 'svelte.svelte-vscode' },
+    });
+    expect(JSON.parse(result.changes.files['.vscode/extensions.json'])).toEqual({
+      recommendations: ['eamodio.gitlens', 'dbaeumer.vscode-eslint', 'svelte.svelte-vscode'],
+      unwantedRecommendations: ['esbenp.prettier-vscode'],
+    });
+  });
+
+  test('records a lint baseline once the setup is applied and checks against it', async () => {
+    const fs = createProject('react', false, { 'package-lock.json': '{}' });
+    const { result, childProcess } = await runSetup(fs, {
+      projectType: 'react', useHusky: true, gitHooks: 'pre-commit,pre-push', ciProvider: 'github', eslintConfigFormat: 'flat',
+      useLintBaseline: true, fixCommit: true,
+    });
+
+    expect(result.changes.dependencies.added).toEqual(expect.arrayContaining([expect.stringMatching(/^code-polish-pro@\^\d+\.\d+\.\d+$/)]));
+    expect(childProcess.commands.slice(1)).toEqual(['npx husky', 'npx code-polish-pro baseline record --fix']);
+    const packageJson = JSON.parse(fs.read('package.json'));
+    expect(packageJson.scripts).toMatchObject({
+      'lint:baseline': 'code-polish-pro baseline check',
+      'lint:baseline:update': 'code-polish-pro baseline update',
+    });
+    expect(packageJson['lint-staged']['*.{js,jsx,ts,tsx}']).toEqual(['code-polish-pro baseline check --fix']);
+    expect(fs.read('.husky/pre-push')).toBe('npm run lint:baseline\n');
+    expect(fs.read('.github/workflows/lint.yml')).toContain('- run: npm run lint:baseline\n');
+    expect(fs.read('.github/workflows/lint.yml')).not.toContain('- run: npm run lint\n');
+    expect(JSON.parse(fs.read('.code-polish-pro/last-run.json')).files.created).toContain('.eslint-baseline.json');
+  });
+
+  test('commits the fixes only once the rest of the setup is applied', async () => {
+    const options = {
+      cwd: ROOT, console: silentConsole, yes: true, projectType: 'react', useHusky: true, eslintConfigFormat: 'flat',
+      useLintBaseline: true, fixCommit: true,
+    };
+    // A command that fails
+    const failing = (command) => {
+      const childProcess = createFakeChildProcess();
+      childProcess.execSync = (line) => {
+        childProcess.commands.push(line);
+        if (line === command) throw new Error(`Command failed: ${line}`);
+        return Buffer.from('');
+      };
+      return childProcess;
+    };
+
+    const rolledBack = failing('npx husky');
+    await expect(setup({ ...options, fs: createProject('react', false), childProcess: rolledBack })).rejects.toThrow('npx husky');
+    expect(rolledBack.commands).not.toContain('npx code-polish-pro baseline record --fix');
+
+    const fs = createProject('react', false);
+    const childProcess = failing('npx code-polish-pro baseline record --fix');
+    await expect(setup({ ...options, fs, childProcess })).rejects.toThrow(
+      'The setup was applied, but "npx code-polish-pro baseline record --fix" failed'
+    );
+    expect(fs.read('.husky/pre-commit')).not.toBeNull();
+    expect(JSON.parse(fs.read('.code-polish-pro/last-run.json')).files.created).toContain('.eslint-baseline.json');
+  });
+
+  test('reports the run as JSON and fails when dependencies are not installed', async () => {
+    const fs = createProject('react', false);
+    const childProcess = createFakeChildProcess();
+    // The install fails as a whole, and then for one of the packages
+    childProcess.spawn = (command, args) => {
+      childProcess.commands.push([command, ...args].join(' '));
+      return { on: (event, listener) => event === 'close' && setImmediate(() => listener(1)) };
+    };
+    childProcess.execFileSync = (file, args) => {
+      childProcess.commands.push([file, ...args].join(' '));
+      if (args[0] === 'install' && args.some(arg => arg.startsWith('eslint-plugin-react@'))) throw new Error('ETARGET');
+      return Buffer.from('');
+    };
+    const output = [];
+    const result = await setup({
+      cwd: ROOT, fs, childProcess, console: { ...silentConsole, log: (text) => output.push(text) },
+      projectType: 'react', eslintConfigFormat: 'flat', yes: true, json: true, logFile: 'setup.log',
+    });
+
+    expect(result.applied).toBe(true);
+    expect(result.failedDependencies).toEqual([{ spec: 'eslint-plugin-react@^7.35.0', workspace: null }]);
+    expect(output).toHaveLength(1);
+    const report = JSON.parse(output[0]);
+    expect(JSON.parse(fs.read('.code-polish-pro/report.json'))).toEqual(report);
+    expect(report).toMatchObject({
+      status: 'incomplete',
+      options: { projectType: 'react', usePrettier: true },
+      environment: { packageManager: { value: 'npm' }, projectType: { value: 'react' } },
+      dependencies: { failed: [{ spec: 'eslint-plugin-react@^7.35.0' }], removed: [] },
+      files: { created: expect.arrayContaining(['eslint.config.mjs', '.prettierrc']), modified: ['package.json'] },
+      hooks: [],
+      warnings: [
+        'Spawn method failed, falling back to execFileSync...',
+        'npm could not install the dependencies, which is often a peer dependency conflict. Trying again with --legacy-peer-deps...',
+      ],
+    });
+    expect(report.dependencies.installed).toContainEqual({ spec: 'eslint@^9.9.0', workspace: null });
+    expect(report.scripts).toContainEqual({ file: 'package.json', name: 'lint', command: 'eslint .' });
+    expect(fs.read('setup.log')).toContain('[ERROR] Setup is incomplete, these dependencies could not be installed: eslint-plugin-react@^7.35.0.');
+  });
+
+  test('rejects unknown options', async () => {
+    const fs = createProject('react', false);
+    await expect(runSetup(fs, { projectKind: 'react' })).rejects.toThrow('Unknown option "projectKind"');
+  });
+
+  test('requires a Git repository', async () => {
+    const fs = createMemoryFs(ROOT, { 'package.json': { name: 'app' } });
+    await expect(runSetup(fs, { projectType: 'react' })).rejects.toThrow('not a Git repository');
+  });
+
+  test('fails instead of prompting for missing answers', async () => {
+    const fs = createProject('react', false);
+    await expect(runSetup(fs, { yes: false, projectType: 'react' })).rejects.toThrow('Cannot prompt for');
+  });
+
+  test('falls back to line prompts and lets the answers be changed on the review screen', async () => {
+    const fs = createProject('react', false);
+    // A terminal as stdin, with the output piped elsewhere
+    const stdin = Object.assign(new PassThrough(), { isTTY: true });
+    const stdout = new PassThrough();
+    let output = '';
+    stdout.on('data', (chunk) => { output += chunk; });
+    // The detected project type, "maybe" and then yes for TypeScript, the default for Husky; on the review screen
+    // Husky is changed to yes, which asks for the Git hooks, before continuing
+    stdin.end(['', 'maybe', 'y', '', '4', 'y', '1,3', ''].map(answer => `${answer}\n`).join(''));
+    const { result } = await runSetup(fs, {
+      yes: false, interactive: true, stdin, stdout, dryRun: true, strictness: 'recommended', useLintBaseline: false, usePrettier: true,
+      useStylelint: false, ciProvider: 'none', useVscode: false, eslintConfigFormat: 'flat', createEditorConfig: false,
+    });
+
+    expect(output).toContain('  2) react  (detected)');
+    expect(output).toContain('Please answer y or n, or press Enter for the default.');
+    expect(output).toContain('  4) Husky and lint-staged: no');
+    expect(output).toContain('  4) Husky and lint-staged: yes\n  5) Git hooks: pre-commit, pre-push');
+    expect(result.changes.dependencies.added).toContain('typescript@^5.5.0');
+    expect(result.changes.hooks.map(hook => hook.name)).toEqual(['pre-commit', 'pre-push']);
+  });
+
+  test('changes nothing when the plan is declined', async () => {
+    const fs = createProject('react', false);
+    const packageJson = fs.read('package.json');
+    const stdin = Object.assign(new PassThrough(), { isTTY: true });
+    const stdout = new PassThrough();
+    let output = '';
+    stdout.on('data', (chunk) => { output += chunk; });
+    // Yes for TypeScript, continue on the review screen, and the default, no, for applying the changes
+    stdin.end(['y', '', ''].map(answer => `${answer}\n`).join(''));
+    const { result, childProcess } = await runSetup(fs, {
+      yes: false, interactive: true, stdin, stdout, projectType: 'react', strictness: 'recommended', useHusky: false,
+      useLintBaseline: false, usePrettier: true, useStylelint: false, ciProvider: 'none', useVscode: false, eslintConfigFormat: 'flat',
+      createEditorConfig: false,
+    });
+
+    expect(output).toMatch(/Apply these changes\? \(y\/N\): $/);
+    expect(result.applied).toBe(false);
+    expect(result.changes.files['eslint.config.mjs']).toBeDefined();
+    expect(childProcess.commands).toEqual([]);
+    expect(fs.read('eslint.config.mjs')).toBeNull();
+    expect(fs.read('package.json')).toBe(packageJson);
+    expect(JSON.parse(fs.read('.code-polish-pro/report.json')).status).toBe('declined');
+  });
+});
+
+describe('lint baseline', () => {
+  // ESLint's JSON output for { file: [[rule, severity]] }; it exits with 1 when it found errors. Its runs are
+  // recorded as argument arrays, which show the file names that contain spaces as single arguments.
+  function createEslint(messages) {
+    const results = Object.entries(messages).map(([file, fileMessages]) => ({
+      filePath: `${ROOT}/${file}`,
+      messages: fileMessages.map(([ruleId, severity], index) => ({ ruleId, severity, line: index + 1, column: 1, message: `${ruleId} failed` })),
+    }));
+    const childProcess = createFakeChildProcess();
+    childProcess.execFileSync = (command, args) => {
+      childProcess.commands.push([command, ...args]);
+      if (command !== 'npx' || args[0] !== 'eslint') return Buffer.from('');
+      throw Object.assign(new Error(`Command failed: ${command} ${args.join(' ')}`), { status: 1, stdout: Buffer.from(JSON.stringify(results)) });
+    };
+    return childProcess;
+  }
+
+  async function runBaseline(fs, messages, options) {
+    const childProcess = createEslint(messages);
+    const newErrors = await baseline({ cwd: ROOT, fs, childProcess, console: silentConsole, ...options });
+    return { newErrors, commands: childProcess.commands };
+  }
+
+  test('records the errors per file and rule and only fails on new ones', async () => {
+    const fs = createProject('nodejs', false, {
+      'package.json': { name: 'app', scripts: { lint: 'eslint --ignore-path .gitignore .', 'lint:fix': 'eslint --fix .' } },
+    });
+    const { commands } = await runBaseline(fs, {
+      'src/b.js': [['no-undef', 2], ['no-console', 1]],
+      'src/a.js': [['no-var', 2], ['eqeqeq', 2], ['no-var', 2]],
+      'src/clean.js': [],
+    }, { action: 'record', fix: true });
+
+    expect(commands).toEqual([
+      'git status --porcelain -z',
+      'npm run lint:fix',
+      'git status --porcelain -z',
+      ['npx', 'eslint', '--format', 'json', '--ignore-path', '.gitignore', '.'],
+    ]);
+    expect(JSON.parse(fs.read('.eslint-baseline.json'))).toEqual({
+      'src/a.js': { eqeqeq: 1, 'no-var': 2 },
+      'src/b.js': { 'no-undef': 1 },
+    });
+
+    const unchanged = await runBaseline(fs, { 'src/a.js': [['no-var', 2], ['no-var', 2], ['eqeqeq', 2]] }, { action: 'check' });
+    expect(unchanged.newErrors).toBe(0);
+
+    const staged = await runBaseline(fs, {
+      'src/a.js': [['no-var', 2], ['no-var', 2], ['no-var', 2], ['eqeqeq', 2]],
+      'src/new file.js': [['no-undef', 2]],
+    }, { action: 'check', fix: true, files: ['src/a.js', 'src/new file.js'] });
+    expect(staged.newErrors).toBe(2);
+    expect(staged.commands).toEqual([['npx', 'eslint', '--format', 'json', '--fix', 'src/a.js', 'src/new file.js']]);
+  });
+
+  test('passes the quoted arguments of the lint script without their quotes', async () => {
+    const fs = createProject('nodejs', false, {
+      'package.json': { name: 'app', scripts: { lint: 'eslint --ext .js,.ts "src/**/*.{js,ts}" \'test files\'' } },
+      '.eslint-baseline.json': {},
+    });
+    const { commands } = await runBaseline(fs, {}, { action: 'check' });
+    expect(commands).toEqual([['npx', 'eslint', '--format', 'json', '--ext', '.js,.ts', 'src/**/*.{js,ts}', 'test files']]);
+  });
+
+  test('commits the fixes without the Git hooks and says so', async () => {
+    const fs = createProject('nodejs', false, { 'package.json': { name: 'app', scripts: { lint: 'eslint .', 'lint:fix': 'eslint --fix .' } } });
+    const childProcess = createEslint({});
+    // lint:fix changes src/a.js
+    const statuses = ['', ' M src/a.js\0'];
+    childProcess.execSync = (command) => {
+      childProcess.commands.push(command);
+      return Buffer.from(command === 'git status --porcelain -z' ? statuses.shift() : '');
+    };
+    const messages = [];
+    const record = (line) => messages.push(line.replace(/^\[[^\]]+\] /, ''));
+    const console = { ...silentConsole, info: record, warn: record };
+    await baseline({ cwd: ROOT, fs, childProcess, console, action: 'record', fix: true });
+
+    expect(childProcess.commands).toContain(
+      'git commit --no-verify --quiet -m "style: apply lint:fix and format" --pathspec-from-file=- --pathspec-file-nul'
+    );
+    expect(messages).toEqual(expect.arrayContaining([
+      '[INFO] Committed the fixes of lint:fix to 1 file(s): "style: apply lint:fix and format".',
+      '[WARN] The commit was made with --no-verify, so your Git hooks did not run on it.',
+    ]));
+  });
+
+  test('shrinks the baseline as errors are fixed', async () => {
+    const fs = createProject('nodejs', false, {
+      '.eslint-baseline.json': { 'src/a.js': { eqeqeq: 1, 'no-var': 2 }, 'src/b.js': { 'no-undef': 1 } },
+    });
+    const { newErrors } = await runBaseline(fs, { 'src/a.js': [['no-var', 2], ['no-console', 2]] }, { action: 'update' });
+
+    expect(newErrors).toBe(0);
+    expect(JSON.parse(fs.read('.eslint-baseline.json'))).toEqual({ 'src/a.js': { 'no-var': 1 } });
+  });
+
+  test('needs a recorded baseline to check against', async () => {
+    const fs = createProject('nodejs', false);
+    await expect(runBaseline(fs, {}, { action: 'check' })).rejects.toThrow('No lint baseline found');
+  });
+});
+
+describe('project types', () => {
+  test.each([
+    ['nuxt', 'nuxt'],
+    ['remix', 'remix'],
+    ['react-native', 'react-native'],
+    ['vue', 'vue'],
+  ])('detects %s projects', async (framework, projectType) => {
+    const fs = createProject(framework, false);
+    const { result } = await runSetup(fs, { dryRun: true });
+
+    expect(result.options.projectType).toBe(projectType);
+  });
+
+  test('sets up project types registered by plugins', async () => {
+    const qwik = {
+      name: 'qwik',
+      label: 'Qwik',
+      detection: { dependencies: ['@builder.io/qwik'], configFiles: null, vitePlugins: [] },
+      dependencies: { legacy: ['eslint-plugin-qwik@^1.9.0'], flat: ['eslint-plugin-qwik@^1.9.0'] },
+      ignores: { eslint: ['server'], prettier: ['server'] },
+      scripts: { 'build.types': 'tsc --incremental --noEmit' },
+      configureFlatConfig: () => ({
+        imports: [['qwik', 'eslint-plugin-qwik']],
+        entries: [sourceWriter.code("qwik.configs['flat/recommended']")],
+      }),
+    };
+    projectTypeRegistry.register(qwik);
+    try {
+      const fs = createMemoryFs(ROOT, {
+        '.git/': null,
+        'package.json': { name: 'app', dependencies: { '@builder.io/qwik': '^1.9.0' } },
+      });
+      const { result } = await runSetup(fs, { eslintConfigFormat: 'flat', dryRun: true });
+
+      expect(result.options.projectType).toBe('qwik');
+      expect(result.changes.dependencies.added).toContain('eslint-plugin-qwik@^1.9.0');
+      expect(result.changes.files['eslint.config.mjs']).toContain("import qwik from 'eslint-plugin-qwik';");
+      expect(result.changes.files['eslint.config.mjs']).toContain("qwik.configs['flat/recommended'],");
+      expect(result.changes.files['.prettierignore']).toContain('server');
+      expect(result.changes.packageJson['.'].scripts['build.types']).toBe('tsc --incremental --noEmit');
+      expect(() => projectTypeRegistry.register({ ...qwik })).toThrow('Project type "qwik" is already registered.');
+    } finally {
+      projectTypeRegistry.unregister('qwik');
+    }
+  });
+
+  test('installs eslint-config-next at a caret range of the lowest Next.js version the package.json range allows', async () => {
+    const fs = createProject('nextjs', false, { 'package.json': { name: 'app', dependencies: { next: '>=14 <16', react: '^18.3.0' } } });
+    const { result } = await runSetup(fs, { projectType: 'nextjs', eslintConfigFormat: 'legacy', dryRun: true });
+
+    expect(result.changes.dependencies.added).toContain('eslint-config-next@^14.0.0');
+  });
+
+  test('rejects unknown project types', async () => {
+    const fs = createProject('react', false);
+    await expect(runSetup(fs, { projectType: 'ember' })).rejects.toThrow('Invalid value "ember" for "type"');
+  });
+});
+
+describe('presets', () => {
+  // A package preset extending a base preset that ships inside it
+  const presetFiles = {
+    'node_modules/@acme/polish-preset/package.json': { name: '@acme/polish-preset', version: '1.2.0', main: 'preset.json' },
+    'node_modules/@acme/polish-preset/preset.json': {
+      extends: './base.yaml',
+      eslint: { rules: { eqeqeq: 'error' } },
+      prettier: { printWidth: 120 },
+      scripts: { 'lint:ci': 'eslint --max-warnings 0 .' },
+      projectTypes: {
+        react: {
+          eslint: { extends: ['plugin:@acme/react'], rules: { 'react/prop-types': 'off' } },
+          dependencies: ['@acme/eslint-plugin@^2.0.0', 'eslint-plugin-react@^7.36.0'],
+          lintStaged: { '*.css': ['stylelint --fix'] },
+        },
+      },
+    },
+    'node_modules/@acme/polish-preset/base.yaml': 'eslint:\n  rules:\n    eqeqeq: warn\n    curly: error\nignorePatterns:\n  - generated\n',
+  };
+
+  test('adds rules, dependencies, Prettier options, ignore patterns and scripts per project type', async () => {
+    const fs = createProject('react', false, presetFiles);
+    const { result } = await runSetup(fs, {
+      projectType: 'react', eslintConfigFormat: 'legacy', useHusky: true, preset: '@acme/polish-preset', dryRun: true,
+    });
+
+    const eslintConfig = JSON.parse(result.changes.files['.eslintrc.json']);
+    expect(eslintConfig.rules).toMatchObject({ eqeqeq: 'error', curly: 'error', 'react/prop-types': 'off' });
+    expect(eslintConfig.extends.slice(-2)).toEqual(['plugin:@acme/react', 'plugin:prettier/recommended']);
+    expect(result.changes.dependencies.added).toEqual(expect.arrayContaining(['@acme/eslint-plugin@^2.0.0', 'eslint-plugin-react@^7.36.0']));
+    expect(JSON.parse(result.changes.files['.prettierrc']).printWidth).toBe(120);
+    expect(result.changes.files['.eslintignore'].split('\n')).toContain('generated');
+    expect(result.changes.packageJson['.']).toMatchObject({
+      scripts: { 'lint:ci': 'eslint --max-warnings 0 .' },
+      'lint-staged': { '*.css': ['stylelint --fix'] },
+      codePolishPro: { preset: '@acme/polish-preset@1.2.0' },
+    });
+  });
+
+  test('loads eslintrc-style extends through FlatCompat in flat configs', async () => {
+    const fs = createProject('react', false, presetFiles);
+    const { result } = await runSetup(fs, {
+      projectType: 'react', eslintConfigFormat: 'flat', preset: '@acme/polish-preset', dryRun: true,
+    });
+
+    expect(result.changes.files['eslint.config.mjs']).toMatchSnapshot();
+    expect(result.changes.dependencies.added).toContain('@eslint/eslintrc@^3.1.0');
+  });
+
+  test('reads the preset recorded in package.json', async () => {
+    const fs = createMemoryFs(ROOT, {
+      ...presetFiles,
+      '.git/': null,
+      'package.json': { name: 'app', dependencies: { react: '^18.3.0' }, codePolishPro: { preset: '@acme/polish-preset@1.2.0' } },
+    });
+    const { result } = await runSetup(fs, { projectType: 'react', eslintConfigFormat: 'legacy', dryRun: true });
+
+    expect(JSON.parse(result.changes.files['.eslintrc.json']).rules.eqeqeq).toBe('error');
+  });
+
+  test('requires the preset package to be installed', async () => {
+    const fs = createProject('react', false);
+    await expect(runSetup(fs, { projectType: 'react', preset: '@acme/missing', dryRun: true }))
+      .rejects.toThrow('Preset @acme/missing is not installed');
+  });
+
+  test('rejects presets that extend themselves', async () => {
+    const fs = createProject('react', false, {
+      'presets/a.json': { extends: './b.json' },
+      'presets/b.json': { extends: './a.json' },
+    });
+    await expect(runSetup(fs, { projectType: 'react', preset: './presets/a.json', dryRun: true }))
+      .rejects.toThrow('Preset ./a.json extends itself');
+  });
+});
@@ -0,0 +1,101 @@
+const { setup } = require('../lib');
+const { io } = require('../lib/io');
+const { stateManager } = require('../lib/stateManager');
+const { createMemoryFs, createFakeChildProcess, silentConsole } = require('./helpers/fakes');
+
+const ROOT = '/project';
+const packageJson = {
+  name: 'app',
+  dependencies: { react: '^18.3.0' },
+  devDependencies: { 'eslint-plugin-react': '^7.30.0' },
+};
+
+function createProject() {
+  return createMemoryFs(ROOT, { '.git/': null, 'package.json': packageJson, '.prettierrc': '{ "semi": false }\n' });
+}
+
+// A child process whose execSync and execFileSync fail for the commands matching `failing`
+function createChildProcess(failing = () => false) {
+  const childProcess = createFakeChildProcess();
+  const { execSync, execFileSync } = childProcess;
+  const fail = (command) => {
+    if (failing(command)) throw new Error(`Command failed: ${command}`);
+  };
+  childProcess.execSync = (command, options) => {
+    const output = execSync(command, options);
+    fail(command);
+    return output;
+  };
+  childProcess.execFileSync = (file, args, options) => {
+    const output = execFileSync(file, args, options);
+    fail([file, ...args].join(' '));
+    return output;
+  };
+  return childProcess;
+}
+
+async function runSetup(fs, childProcess) {
+  return setup({
+    cwd: ROOT, fs, childProcess, console: silentConsole, yes: true, projectType: 'react', useHusky: true, eslintConfigFormat: 'flat',
+  });
+}
+
+async function undo(fs, childProcess, console = silentConsole) {
+  return io.use({ directory: ROOT, fs, childProcess, console }, () => stateManager.undo());
+}
+
+describe('transactions', () => {
+  test('rolls every change back when a step fails', async () => {
+    const fs = createProject();
+    const childProcess = createChildProcess(command => command === 'npx husky');
+    await expect(runSetup(fs, childProcess)).rejects.toThrow('Command failed: npx husky');
+
+    expect(JSON.parse(fs.read('package.json'))).toEqual(packageJson);
+    expect(fs.read('.prettierrc')).toBe('{ "semi": false }\n');
+    expect(fs.read('eslint.config.mjs')).toBeNull();
+    expect(fs.read('.eslintignore')).toBeNull();
+    // The package manager brings node_modules back to the restored package.json
+    expect(childProcess.commands[childProcess.commands.length - 1]).toBe('npm install');
+    expect(await fs.readdir(`${ROOT}/.code-polish-pro`)).toEqual(['.gitignore', 'report.json']);
+    expect(fs.read('.code-polish-pro/last-run.json')).toBeNull();
+  });
+
+  test('undoes the last run with one command per package manager action', async () => {
+    const fs = createProject();
+    await runSetup(fs, createChildProcess());
+    expect(fs.read('.husky/pre-commit')).not.toBeNull();
+
+    const childProcess = createChildProcess();
+    const messages = [];
+    await undo(fs, childProcess, { ...silentConsole, info: line => messages.push(line.replace(/^\[[^\]]+\] \[INFO\] /, '')) });
+
+    expect(messages).toEqual(expect.arrayContaining(['File updated: package.json', 'Restored: .prettierrc', 'Removed: eslint.config.mjs']));
+    expect(messages).not.toContain('File created: package.json');
+    expect(childProcess.commands).toEqual([
+      expect.stringMatching(/^npm uninstall eslint (\S+ )+lint-staged$/),
+      'npm install --save-dev eslint-plugin-react@^7.30.0',
+      'git config --unset core.hooksPath',
+    ]);
+    expect(JSON.parse(fs.read('package.json'))).toEqual(packageJson);
+    expect(fs.read('.prettierrc')).toBe('{ "semi": false }\n');
+    expect(fs.read('eslint.config.mjs')).toBeNull();
+    expect(fs.read('.husky/pre-commit')).toBeNull();
+    expect(fs.read('.code-polish-pro/last-run.json')).toBeNull();
+  });
+
+  test('removes the packages one by one when removing them at once fails', async () => {
+    const fs = createProject();
+    await runSetup(fs, createChildProcess());
+
+    const childProcess = createChildProcess(command => command.startsWith('npm uninstall') && command.includes(' husky'));
+    await undo(fs, childProcess);
+
+    const removals = childProcess.commands.filter(command => command.startsWith('npm uninstall'));
+    expect(removals.slice(1)).toEqual(removals[0].split(' ').slice(2).map(name => `npm uninstall ${name}`));
+    expect(fs.read('eslint.config.mjs')).toBeNull();
+  });
+
+  test('has nothing to undo without a recorded run', async () => {
+    await expect(undo(createProject(), createChildProcess())).rejects.toThrow('Nothing to undo');
+  });
+});
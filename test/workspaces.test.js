@@ -0,0 +1,127 @@
+const { setup } = require('../lib');
+const { createMemoryFs, createFakeChildProcess, silentConsole } = require('./helpers/fakes');
+
+const ROOT = '/project';
+
+// A Svelte app with TypeScript, a React component library and a Node.js package, plus packages the patterns leave out
+const packages = {
+  'apps/web/package.json': { name: '@app/web', dependencies: { svelte: '^4.2.0' }, devDependencies: { typescript: '^5.5.0' } },
+  'apps/web/tsconfig.json': { compilerOptions: { strict: true } },
+  'packages/ui/package.json': { name: '@app/ui', dependencies: { react: '^18.3.0' } },
+  'packages/utils/package.json': { name: '@app/utils' },
+  'packages/fixtures/package.json': { name: 'fixtures' },
+  'packages/ui/node_modules/dep/package.json': { name: 'dep' },
+  'docs/package.json': { name: 'docs' },
+  'packages/empty/': null,
+};
+
+function createMonorepo(files) {
+  return createMemoryFs(ROOT, { '.git/': null, ...packages, ...files });
+}
+
+async function runSetup(fs, options = {}) {
+  return setup({
+    cwd: ROOT, fs, childProcess: createFakeChildProcess(), console: silentConsole, yes: true, dryRun: true,
+    eslintConfigFormat: 'flat', usePrettier: true, ...options,
+  });
+}
+
+const npmWorkspaces = { 'package.json': { name: 'root', private: true, workspaces: ['apps/*', 'packages/*', '!packages/fixtures'] } };
+const pnpmWorkspaces = {
+  'package.json': { name: 'root', private: true },
+  'pnpm-workspace.yaml': "packages:\n  - 'apps/*'\n  - 'packages/*'\n  - '!packages/fixtures'\n",
+  'pnpm-lock.yaml': '',
+};
+
+describe('monorepos', () => {
+  test.each([
+    ['npm workspaces', npmWorkspaces],
+    ['Yarn 1 workspaces with nohoist', { 'package.json': { name: 'root', workspaces: { packages: ['apps/*', 'packages/*', '!packages/fixtures'], nohoist: [] } } }],
+    ['pnpm-workspace.yaml', pnpmWorkspaces],
+  ])('finds the packages of %s with their own project types', async (label, files) => {
+    const result = await runSetup(createMonorepo(files));
+    expect(result.workspaces).toEqual([
+      { directory: 'apps/web', name: '@app/web', projectType: 'svelte', useTypeScript: true },
+      { directory: 'packages/ui', name: '@app/ui', projectType: 'react', useTypeScript: false },
+      { directory: 'packages/utils', name: '@app/utils', projectType: 'nodejs', useTypeScript: false },
+    ]);
+  });
+
+  test.each([
+    ['Next.js 14', { next: '^14.2.0', react: '^18.3.0' }, 'eslint-config-next for Next.js 14 in apps/web only supports ESLint 8'],
+    ['ESLint 8', { eslint: '^8.57.0' }, 'eslint ^8.57.0 is already installed in apps/web and reads .eslintrc files'],
+  ])('suggests a legacy config when a workspace package needs %s', async (label, dependencies, reason) => {
+    const fs = createMonorepo({ ...pnpmWorkspaces, 'apps/web/package.json': { name: '@app/web', dependencies } });
+    const messages = [];
+    const console = { ...silentConsole, info: line => messages.push(line.replace(/^\[[^\]]+\] \[INFO\] /, '')) };
+    const result = await setup({ cwd: ROOT, fs, childProcess: createFakeChildProcess(), console, yes: true, dryRun: true });
+    expect(result.options.eslintConfigFormat).toBe('legacy');
+    expect(result.changes.files['.eslintrc.json']).toBeDefined();
+    expect(messages).toContain(`Suggested legacy ESLint config (${reason}).`);
+  });
+
+  test('installs the ESLint plugins at the root and the tools a package runs itself in that package', async () => {
+    const result = await runSetup(createMonorepo(npmWorkspaces));
+    const { added, workspaces } = result.changes.dependencies;
+    expect(Object.keys(workspaces)).toEqual(['apps/web']);
+    expect(workspaces['apps/web']).toEqual(expect.arrayContaining([expect.stringMatching(/^svelte-check@/)]));
+    expect(workspaces['apps/web'].every(dep => /^(svelte-check|typescript)@/.test(dep))).toBe(true);
+    expect(added).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^eslint@/),
+      expect.stringMatching(/^eslint-plugin-svelte@/),
+      expect.stringMatching(/^eslint-plugin-react@/),
+      expect.stringMatching(/^prettier@/),
+    ]));
+    expect(added.some(dep => /^svelte-check@/.test(dep))).toBe(false);
+  });
+
+  test('installs the root and package dependencies with the package manager of the monorepo', async () => {
+    const childProcess = createFakeChildProcess();
+    await setup({
+      cwd: ROOT, fs: createMonorepo(pnpmWorkspaces), childProcess, console: silentConsole, yes: true,
+      eslintConfigFormat: 'flat', usePrettier: false, useHusky: false,
+    });
+    expect(childProcess.commands).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^pnpm add --workspace-root --save-dev eslint@\S+ /),
+      expect.stringMatching(/^pnpm --filter @app\/web add --save-dev svelte-check@/),
+    ]));
+  });
+
+  test('type checks the TypeScript packages in CI', async () => {
+    const result = await runSetup(createMonorepo(pnpmWorkspaces), { ciProvider: 'github' });
+    const runs = result.changes.files['.github/workflows/lint.yml'].match(/- run: .+/g);
+    expect(runs).toEqual([
+      '- run: pnpm install --frozen-lockfile',
+      '- run: pnpm run lint',
+      '- run: pnpm run format:check',
+      '- run: pnpm --filter @app/web run typecheck',
+    ]);
+  });
+
+  test('limits the entries of each package to its directory with scope()', async () => {
+    const result = await runSetup(createMonorepo(npmWorkspaces));
+    const flatConfig = result.changes.files['eslint.config.mjs'];
+    const source = flatConfig.slice(flatConfig.indexOf('const scope ='), flatConfig.indexOf('}));') + '}));'.length);
+    const scope = new Function(`${source}\nreturn scope;`)();
+
+    expect(scope('packages/ui', [
+      { files: ['**/*.{ts,tsx}'], ignores: ['dist/**'], rules: { eqeqeq: 'error' } },
+      { rules: { 'no-console': 'warn' } },
+    ])).toEqual([
+      { files: ['packages/ui/**/*.{ts,tsx}'], ignores: ['packages/ui/dist/**'], rules: { eqeqeq: 'error' } },
+      { files: ['packages/ui/**/*'], rules: { 'no-console': 'warn' } },
+    ]);
+    expect(flatConfig).toContain("...scope('apps/web', [");
+    expect(flatConfig).toContain("...scope('packages/ui', [");
+    expect(flatConfig).toContain("...scope('packages/utils', [");
+  });
+
+  test('runs lint-staged on files outside the packages too, and on each package\'s components', async () => {
+    const result = await runSetup(createMonorepo(npmWorkspaces), { useHusky: true });
+    expect(result.changes.packageJson['.']['lint-staged']).toEqual({
+      '*.{js,jsx,mjs,cjs,ts,tsx,mts,cts}': ['eslint --fix'],
+      'apps/web/**/*.svelte': ['eslint --fix'],
+      '*.{json,md,css,html,svelte}': ['prettier --write'],
+    });
+  });
+});